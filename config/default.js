@@ -191,6 +191,31 @@ export default {
    */
   pagesWithoutArchives: [],
 
+  /**
+   * Settings for archiving topics manually using the "Archive" item of the section menu. The
+   * archive page name is the archive prefix of the page (see
+   * {@link module:defaultConfig.archivePaths}) followed by `subpage`. The item is shown only on
+   * pages with a known archive prefix. If `null`, the item is not shown; set it for your wiki
+   * according to its archiving rules.
+   *
+   * @type {?object}
+   * @property {string} subpage Archive subpage name. `$1` is replaced with the archive number
+   *   (counter), `$2` with the current year. If there is `$1`, the topic is added to the archive
+   *   with the largest number, or, if its size would exceed `maxSize`, to the next one.
+   * @property {?number} [maxSize] Maximal size of a counter-based archive page in bytes.
+   * @property {?string} [header] Code of the archive notice added to the top of a new archive page.
+   *   The string normally ends with `\n`. If not set, a standard notice linking to the source page
+   *   is added; set to `''` to add no notice.
+   * @default null
+   * @example
+   * {
+   *   subpage: 'Archive $2',
+   *   maxSize: 150000,
+   *   header: '{{Talk archive}}\n',
+   * }
+   */
+  archiving: null,
+
   /**
    * Regexps for fragments that shouldn't trigger the "Section not found" notification.
    *
@@ -398,6 +423,26 @@ export default {
    */
   clearTemplates: [],
 
+  /**
+   * Reactions ("+1", "agree", "done", etc.) that users can leave on comments without replying. A
+   * reaction is added to the end of the comment, before the signature, as a template call:
+   * `{{<template>|<type name>|<user name>}}`. The template should output an element with the
+   * `class` class and the `data-reaction` and `data-user` attributes set to the type name and the
+   * user name respectively. When comments are reformatted, these elements are replaced with
+   * aggregated reaction chips in the comment header. If `null`, reactions are disabled.
+   *
+   * An example: `{ template: 'Reaction', class: 'reaction', types: [{ name: '+1', label: '👍' },
+   * { name: 'done', label: '✅' }] }`.
+   *
+   * @type {?object}
+   * @property {string} template Name of the reaction template.
+   * @property {string} class Name of the class of the element output by the template.
+   * @property {object[]} types Reaction types: objects with the `name` property (used in the
+   *   template call) and the `label` property (displayed to the user, e.g. an emoji).
+   * @default null
+   */
+  reactions: null,
+
   /**
    * Character used to trigger user mention (ping) autocomplete.
    *
@@ -413,6 +458,17 @@ export default {
    */
   mentionRequiresLeadingSpace: true,
 
+  /**
+   * Names of the templates that are analogs of
+   * {@link https://en.wikipedia.org/wiki/Template:Ping}. Please include aliases. The users pinged
+   * with these templates (as well as with user links) are ranked higher in the mentions
+   * autocomplete.
+   *
+   * @type {string[]}
+   * @default []
+   */
+  pingTemplates: [],
+
   /**
    * Object specifying quote formatting for singleline and multiline quotes.
    *
@@ -580,6 +636,16 @@ export default {
    */
   defaultInsertButtons: [],
 
+  /**
+   * Name of the page with canned replies available to all users in the comment form toolbar and
+   * autocomplete. Every reply is a section: the headline is the label of the reply, the content is
+   * its text. The text can contain the `{{author}}`, `{{section}}` and `{{date}}` placeholders.
+   *
+   * @type {?string}
+   * @default null
+   */
+  cannedRepliesPage: null,
+
   /**
    * How many characters should a comment have to be considered long. Comments having more
    * characters will need confirmation to be sent.
@@ -659,6 +725,28 @@ export default {
    */
   textReactions: [],
 
+  /**
+   * Custom checks run before a comment form is submitted, in addition to the default ones (empty
+   * headline, empty comment, long comment, etc.). A check with the name of a default check replaces
+   * it. See {@link module:submitChecks~SubmitCheck} for the format. Example:
+   * ```js
+   * [
+   *   {
+   *     name: 'noSignature',
+   *     severity: 'block',
+   *     check: (commentForm) => (
+   *       commentForm.commentInput.getValue().includes('~~~~') &&
+   *       'Don\'t sign the comment, the signature is added automatically.'
+   *     ),
+   *   },
+   * ]
+   * ```
+   *
+   * @type {object[]}
+   * @default []
+   */
+  submitChecks: [],
+
   /**
    * @typedef {object} Module
    * @property {string} name Name of the module.
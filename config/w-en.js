@@ -205,6 +205,14 @@ export default {
     'Absatz',
   ],
 
+  pingTemplates: [
+    'Ping',
+    'Reply to',
+    'Re',
+    'U',
+    'Yo',
+  ],
+
   quoteFormatting: {
     singleline: ["{{tq|1=", "}}<br>"],
     multiline: ["{{tqb|1=", "}}<br>"],
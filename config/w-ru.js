@@ -269,6 +269,12 @@ export default {
     '-',
   ],
 
+  pingTemplates: [
+    'Ping',
+    'Re',
+    'U',
+  ],
+
   noSignatureClasses: [
     'ambox',
     'NavHead',
@@ -0,0 +1,523 @@
+import CdError from './CdError';
+import CommentStatic from './CommentStatic';
+import cd from './cd';
+import controller from './controller';
+import pageRegistry from './pageRegistry';
+import updateChecker from './updateChecker';
+import { focusInput, ucFirst, underlinesToSpaces } from './utils';
+import { formatDate } from './timestamp';
+import { handleApiReject } from './apiWrappers';
+import { handleDialogError, tweakUserOoUiClass } from './ooui';
+
+/**
+ * Maximal number of comments to show in the results.
+ *
+ * @type {number}
+ * @private
+ */
+const resultsLimit = 100;
+
+/**
+ * Maximal length of the comment text shown in the results.
+ *
+ * @type {number}
+ * @private
+ */
+const textMaxLength = 200;
+
+/**
+ * @typedef {object} ArchiveSearchResult
+ * @property {string} pageName
+ * @property {string} id Comment ID.
+ * @property {string} authorName
+ * @property {?Date} date
+ * @property {string} [headline] Headline of the section the comment is in.
+ * @property {string} text
+ * @property {import('./Comment').default} [comment] Comment object if the comment is on the current
+ *   page.
+ */
+
+/**
+ * Class used to create a "Search this page and its archives" dialog. The comments of the current
+ * page are taken from the page itself, the archive pages are found using the search API and parsed
+ * in the web worker to extract individual comments that are then filtered by author, date and text.
+ *
+ * @augments external:OO.ui.ProcessDialog
+ */
+class ArchiveSearchDialog extends OO.ui.ProcessDialog {
+  static name = 'archiveSearchDialog';
+  static title = cd.s('asd-title');
+  static actions = [
+    {
+      action: 'close',
+      modes: ['search'],
+      flags: ['safe', 'close'],
+    },
+    {
+      action: 'search',
+      modes: ['search'],
+      label: cd.s('asd-search'),
+      flags: ['primary', 'progressive'],
+      disabled: true,
+    },
+  ];
+  static size = 'large';
+
+  /**
+   * Create a "Search this page and its archives" dialog.
+   *
+   * @param {object} [initialCriteria={}] Initial values of the search fields.
+   * @param {string} [initialCriteria.author]
+   * @param {Date} [initialCriteria.date] Date to search around (the day of it).
+   * @param {string} [initialCriteria.text]
+   */
+  constructor(initialCriteria = {}) {
+    super();
+    this.initialCriteria = initialCriteria;
+  }
+
+  /**
+   * OOUI native method to get the height of the window body.
+   *
+   * @returns {number}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getBodyHeight
+   * @private
+   */
+  getBodyHeight() {
+    return this.$errorItems ? this.$errors.prop('scrollHeight') : this.$body.prop('scrollHeight');
+  }
+
+  /**
+   * OOUI native method that initializes window contents.
+   *
+   * @param {...*} [args]
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.ProcessDialog-method-initialize
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   * @private
+   */
+  initialize(...args) {
+    super.initialize(...args);
+
+    this.pushPending();
+
+    this.preparatoryRequests = [mw.loader.using('mediawiki.widgets.DateInputWidget')];
+
+    this.panel = new OO.ui.PanelLayout({
+      padded: true,
+      expanded: false,
+    });
+    this.panel.$element.append($('<div>').text(cd.s('loading-ellipsis')));
+    this.$body.append(this.panel.$element);
+  }
+
+  /**
+   * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} [data] Dialog opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getSetupProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   * @private
+   */
+  getSetupProcess(data) {
+    return super.getSetupProcess(data).next(() => {
+      this.actions.setMode('search');
+    });
+  }
+
+  /**
+   * OOUI native method that returns a "ready" process which is used to ready a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} data Window opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getReadyProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   * @private
+   */
+  getReadyProcess(data) {
+    return super.getReadyProcess(data).next(async () => {
+      try {
+        await Promise.all(this.preparatoryRequests);
+      } catch (e) {
+        handleDialogError(this, e, 'error-loaddata', false);
+        return;
+      }
+
+      this.createControls();
+      this.$results = $('<div>').addClass('cd-archiveSearch-results');
+      this.panel.$element.empty().append(
+        this.controls.text.field.$element,
+        this.controls.author.field.$element,
+        $('<div>')
+          .addClass('cd-archiveSearch-dates')
+          .append(this.controls.dateFrom.field.$element, this.controls.dateTo.field.$element),
+        this.$results,
+      );
+
+      this.updateSearchAbility();
+      focusInput(this.controls.text.input);
+      this.updateSize();
+      this.popPending();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a process for taking action.
+   *
+   * @param {string} action Symbolic name of the action.
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getActionProcess
+   * @private
+   */
+  getActionProcess(action) {
+    if (action === 'search') {
+      return new OO.ui.Process(async () => {
+        this.pushPending();
+        this.$results.empty();
+        let results;
+        try {
+          results = await this.search(this.getCriteria());
+        } catch (e) {
+          handleDialogError(this, e, 'asd-error', true);
+          this.popPending();
+          return;
+        }
+        this.renderResults(results);
+        this.popPending();
+      });
+    } else if (action === 'close') {
+      return new OO.ui.Process(() => {
+        this.close();
+      });
+    }
+    return super.getActionProcess(action);
+  }
+
+  /**
+   * Create the search form controls.
+   *
+   * @private
+   */
+  createControls() {
+    const { author, date, text } = this.initialCriteria;
+    const dateValue = date?.toISOString().slice(0, 10);
+
+    this.controls = {};
+
+    this.controls.text = {};
+    this.controls.text.input = new OO.ui.TextInputWidget({ value: text });
+    this.controls.text.field = new OO.ui.FieldLayout(this.controls.text.input, {
+      label: cd.s('asd-text'),
+      align: 'top',
+    });
+
+    this.controls.author = {};
+    this.controls.author.input = new OO.ui.TextInputWidget({ value: author });
+    this.controls.author.field = new OO.ui.FieldLayout(this.controls.author.input, {
+      label: cd.s('asd-author'),
+      align: 'top',
+    });
+
+    this.controls.dateFrom = {};
+    this.controls.dateFrom.input = new mw.widgets.DateInputWidget({
+      $overlay: this.$overlay,
+      value: dateValue,
+    });
+    this.controls.dateFrom.field = new OO.ui.FieldLayout(this.controls.dateFrom.input, {
+      label: cd.s('asd-datefrom'),
+      align: 'top',
+    });
+
+    this.controls.dateTo = {};
+    this.controls.dateTo.input = new mw.widgets.DateInputWidget({
+      $overlay: this.$overlay,
+      value: dateValue,
+    });
+    this.controls.dateTo.field = new OO.ui.FieldLayout(this.controls.dateTo.input, {
+      label: cd.s('asd-dateto'),
+      align: 'top',
+    });
+
+    Object.values(this.controls).forEach(({ input }) => {
+      input.on('change', () => {
+        this.updateSearchAbility();
+      });
+      input.on('enter', () => {
+        if (!this.actions.get({ actions: 'search' })[0].isDisabled()) {
+          this.executeAction('search');
+        }
+      });
+    });
+  }
+
+  /**
+   * Enable or disable the "Search" button depending on whether any search criteria are entered.
+   *
+   * @private
+   */
+  updateSearchAbility() {
+    const { text, author, dateFrom, dateTo } = this.getCriteria();
+    this.actions.setAbilities({ search: Boolean(text || author || dateFrom || dateTo) });
+  }
+
+  /**
+   * Get the search criteria entered in the form.
+   *
+   * @returns {object}
+   * @private
+   */
+  getCriteria() {
+    const getDate = (input, time) => (
+      input.getValue() ? new Date(`${input.getValue()}T${time}Z`) : undefined
+    );
+    const author = this.controls.author.input.getValue().trim();
+    return {
+      text: this.controls.text.input.getValue().trim(),
+      author: author ? ucFirst(underlinesToSpaces(author)) : '',
+      dateFrom: getDate(this.controls.dateFrom.input, '00:00:00'),
+      dateTo: getDate(this.controls.dateTo.input, '23:59:59.999'),
+    };
+  }
+
+  /**
+   * Check whether a comment matches the search criteria.
+   *
+   * @param {object} criteria
+   * @param {ArchiveSearchResult} item
+   * @returns {boolean}
+   * @private
+   */
+  matches(criteria, item) {
+    if (criteria.author && item.authorName !== criteria.author) {
+      return false;
+    }
+    if (
+      (criteria.dateFrom || criteria.dateTo) &&
+      (
+        !item.date ||
+        (criteria.dateFrom && item.date < criteria.dateFrom) ||
+        (criteria.dateTo && item.date > criteria.dateTo)
+      )
+    ) {
+      return false;
+    }
+    const text = item.text.toLowerCase();
+    return criteria.text
+      .toLowerCase()
+      .split(/\s+/)
+      .every((word) => text.includes(word));
+  }
+
+  /**
+   * Generate a search query for the archives of the current page.
+   *
+   * @param {object} criteria
+   * @returns {?string}
+   * @private
+   */
+  generateSearchQuery(criteria) {
+    const archivePrefix = pageRegistry.getCurrent().getArchivePrefix();
+    if (!archivePrefix) {
+      return null;
+    }
+
+    return [
+      criteria.text,
+      criteria.author && `"${criteria.author.replace(/"/g, '')}"`,
+      `prefix:${archivePrefix}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Search for comments on the current page and its archives.
+   *
+   * @param {object} criteria
+   * @returns {Promise.<object>}
+   * @throws {CdError}
+   * @private
+   */
+  async search(criteria) {
+    const items = CommentStatic.getAll()
+      .map((comment) => ({
+        pageName: cd.g.pageName,
+        id: comment.id,
+        authorName: comment.author.getName(),
+        date: comment.date,
+        headline: comment.section?.headline,
+        text: comment.getText(true),
+        comment,
+      }))
+      .filter((item) => this.matches(criteria, item));
+
+    const searchQuery = this.generateSearchQuery(criteria);
+    let skippedPagesCount = 0;
+    if (searchQuery) {
+      const titles = [];
+      let resp;
+      do {
+        resp = await controller.getApi().get({
+          action: 'query',
+          list: 'search',
+          srsearch: searchQuery,
+          srprop: '',
+          srlimit: 'max',
+          ...resp?.continue,
+        }).catch(handleApiReject);
+        titles.push(...(resp.query?.search || []).map((result) => result.title));
+      } while (resp.continue);
+
+      // List more recent archives (with greater numbers) first. We don't use the `srsort` parameter
+      // as it is available only with CirrusSearch.
+      titles.sort((title1, title2) => title2.localeCompare(title1, undefined, { numeric: true }));
+
+      // Parse the pages one by one not to overload the server and the worker. Stop when there are
+      // more results than we can show anyway.
+      for (const [i, title] of titles.entries()) {
+        if (items.length > resultsLimit) {
+          skippedPagesCount = titles.length - i;
+          break;
+        }
+
+        const { text, revid } = await pageRegistry.get(title).parse({ prop: ['text', 'revid'] });
+        const { comments } = await updateChecker.parseHtml(text, revid);
+        items.push(
+          ...comments
+            .map((comment) => ({
+              pageName: title,
+              id: comment.id,
+              authorName: comment.authorName,
+              date: comment.date,
+              headline: comment.section?.headline,
+              text: comment.text,
+            }))
+            .filter((item) => this.matches(criteria, item))
+        );
+      }
+    }
+
+    return {
+      items,
+      skippedPagesCount,
+      searchUrl: searchQuery ?
+        mw.util.getUrl('Special:Search', {
+          search: searchQuery,
+          sort: 'create_timestamp_desc',
+        }) :
+        undefined,
+    };
+  }
+
+  /**
+   * Render the search results.
+   *
+   * @param {object} results
+   * @param {ArchiveSearchResult[]} results.items
+   * @param {number} results.skippedPagesCount Number of archive pages that were not searched
+   *   because there were too many results.
+   * @param {string} [results.searchUrl]
+   * @private
+   */
+  renderResults({ items, skippedPagesCount, searchUrl }) {
+    let summary;
+    if (skippedPagesCount) {
+      summary = cd.s('asd-found-incomplete', resultsLimit, skippedPagesCount);
+    } else if (items.length) {
+      summary = cd.s('asd-found', items.length) + (
+        items.length > resultsLimit ?
+          ' ' + cd.s('asd-found-limit', resultsLimit) :
+          ''
+      );
+    } else {
+      summary = cd.s('asd-nothingfound');
+    }
+    this.$results.append(
+      $('<p>')
+        .addClass('cd-archiveSearch-summary')
+        .text(summary),
+      items.slice(0, resultsLimit).map((item) => this.createResultElement(item)),
+      searchUrl ?
+        $('<p>').append(
+          $('<a>')
+            .attr('href', searchUrl)
+            .attr('target', '_blank')
+            .text(cd.s('asd-searchpage'))
+        ) :
+        undefined,
+    );
+    this.updateSize();
+  }
+
+  /**
+   * Create an element for a search result.
+   *
+   * @param {ArchiveSearchResult} item
+   * @returns {external:jQuery}
+   * @private
+   */
+  createResultElement(item) {
+    let $link;
+    if (item.comment) {
+      $link = $('<a>')
+        .text(cd.s('asd-gotocomment'))
+        .on('click', (e) => {
+          e.preventDefault();
+          this.close();
+          item.comment.scrollTo({
+            expandThreads: true,
+            flash: true,
+            pushState: true,
+          });
+        });
+    } else {
+      // Built the same way as in addCommentLinksToSpecialSearch().
+      $link = $('<a>')
+        .attr('href', `${mw.util.getUrl(item.pageName)}#${item.id}`)
+        .text(cd.s('asd-gotocomment'));
+    }
+
+    const text = item.text.length > textMaxLength ?
+      item.text.slice(0, textMaxLength) + '…' :
+      item.text;
+    return $('<div>')
+      .addClass('cd-archiveSearch-result')
+      .append(
+        $('<div>')
+          .addClass('cd-archiveSearch-result-meta')
+          .append(
+            $('<bdi>').text(item.authorName),
+            item.date ? cd.mws('comma-separator') + formatDate(item.date) : undefined,
+            cd.mws('comma-separator'),
+            $('<a>')
+              .attr('href', mw.util.getUrl(item.pageName))
+              .text(underlinesToSpaces(item.pageName)),
+            item.headline ?
+              $('<span>')
+                .addClass('cd-archiveSearch-result-headline')
+                .text(cd.mws('comma-separator') + item.headline) :
+              undefined,
+            ' ',
+            $('<span>').append(
+              cd.mws('parentheses-start'),
+              $link,
+              cd.mws('parentheses-end'),
+            ),
+          ),
+        $('<div>')
+          .addClass('cd-archiveSearch-result-text')
+          .text(text),
+      );
+  }
+}
+
+tweakUserOoUiClass(ArchiveSearchDialog, OO.ui.ProcessDialog);
+
+export default ArchiveSearchDialog;
@@ -1,7 +1,11 @@
+import CommentStatic from './CommentStatic';
 import SectionStatic from './SectionStatic';
 import Tribute from '../tribute/Tribute';
+import cannedReplies from './cannedReplies';
 import cd from './cd';
 import controller from './controller';
+import mentionSuggestions from './mentionSuggestions';
+import pageRegistry from './pageRegistry';
 import settings from './settings';
 import userRegistry from './userRegistry';
 import {
@@ -13,6 +17,8 @@ import {
   unique,
 } from './utils';
 import {
+  getArchivePageNames,
+  getPageAnchors,
   getRelevantPageNames,
   getRelevantTemplateNames,
   getRelevantUserNames,
@@ -35,6 +41,95 @@ function search(string, list) {
     .sort((item1, item2) => startsWithRegexp.test(item2) - startsWithRegexp.test(item1));
 }
 
+/**
+ * Number of the latest archives of a page whose section headlines and comment IDs are suggested in
+ * the section links autocomplete.
+ *
+ * @type {number}
+ * @private
+ */
+const anchorArchivePagesLimit = 5;
+
+/**
+ * Check whether a link target starts with an interwiki prefix (and not a namespace name).
+ *
+ * @param {string} target
+ * @returns {boolean}
+ * @private
+ */
+function isInterwikiTarget(target) {
+  return /^:?[a-z][\w-]*:/.test(target) && !cd.g.allNamespacesRegexp.test(target);
+}
+
+/**
+ * Get the section headlines or the comment IDs of a page. For the current page, they are taken from
+ * the page itself; for other pages, they are requested from the API.
+ *
+ * @param {import('./pageRegistry').Page} page
+ * @param {'headlines'|'commentIds'} type
+ * @returns {Promise.<string[]>}
+ * @private
+ */
+async function getAnchors(page, type) {
+  if (page.isCurrent()) {
+    return type === 'headlines' ?
+      SectionStatic.getAll().map((section) => section.headline) :
+      CommentStatic.getAll()
+        .map((comment) => comment.dtId)
+        .filter(defined);
+  }
+
+  return await getPageAnchors(page.name, type);
+}
+
+/**
+ * Get the links to the sections (or, if the fragment starts with `c-`, the comments) of a page and
+ * its archives matching the fragment. The archives are only searched if the page has an archive
+ * prefix set explicitly; the pages are requested one by one until enough links are found.
+ *
+ * @param {string} pageName
+ * @param {string} fragment
+ * @returns {Promise.<string[]>}
+ * @private
+ */
+async function getAnchorLinks(pageName, fragment) {
+  const page = pageRegistry.get(pageName.replace(/^:/, ''));
+  const type = fragment.startsWith('c-') ? 'commentIds' : 'headlines';
+  const links = [];
+  const addLinks = async (linkedPage, linkedName) => {
+    let anchors;
+    try {
+      anchors = await getAnchors(linkedPage, type);
+    } catch {
+      return;
+    }
+    links.push(...search(fragment, anchors).map((anchor) => `${linkedName}#${anchor}`));
+  };
+
+  // Keep the page name as typed by the user.
+  await addLinks(page, pageName);
+
+  const archivePrefix = page.getArchivePrefix(true);
+  if (links.length >= 10 || !archivePrefix) {
+    return links.slice(0, 10);
+  }
+
+  let archivePageNames;
+  try {
+    archivePageNames = (await getArchivePageNames(archivePrefix))
+      .filter((name) => name !== page.name)
+      .slice(0, anchorArchivePagesLimit);
+  } catch {
+    return links.slice(0, 10);
+  }
+  for (const name of archivePageNames) {
+    await addLinks(pageRegistry.get(name), name);
+    if (links.length >= 10) break;
+  }
+
+  return links.slice(0, 10);
+}
+
 /**
  * Autocomplete dropdown class.
  */
@@ -44,21 +139,23 @@ class Autocomplete {
    * settings apply.
    *
    * @param {object} options
-   * @param {Array.<'mentions'|'commentLinks'|'wikilinks'|'templates'|'tags'>} options.types Which
-   *   values should be autocompleted.
+   * @param {string[]} options.types Which values should be autocompleted: `'mentions'`,
+   *   `'commentLinks'`, `'wikilinks'`, `'templates'`, `'tags'`, `'cannedReplies'`.
    * @param {external:OO.ui.TextInputWidget[]} options.inputs Inputs to attach the autocomplete to.
    * @param {string[]} [options.comments] List of comments in the section for the mentions and
    *   comment links autocomplete.
    * @param {string[]} [options.defaultUserNames] Default list of user names for the mentions
    *   autocomplete.
+   * @param {import('./CommentForm').default} [options.commentForm] Comment form the inputs belong
+   *   to. Required for the canned replies autocomplete to fill in the placeholders.
    */
-  constructor({ types, inputs, comments, defaultUserNames }) {
+  constructor({ types, inputs, comments, defaultUserNames, commentForm }) {
     types = types
       // The "mentions" type is needed in any case as it can be triggered from the toolbar. When it
       // is not, we will suppress it specifically.
       .filter((type) => settings.get('autocompleteTypes').includes(type) || type === 'mentions');
 
-    const collections = this.getCollections(types, comments, defaultUserNames);
+    const collections = this.getCollections(types, comments, defaultUserNames, commentForm);
 
     /**
      * {@link https://github.com/zurb/tribute Tribute} object.
@@ -123,10 +220,11 @@ class Autocomplete {
    * @param {string[]} types
    * @param {string[]} comments
    * @param {string[]} defaultUserNames
+   * @param {import('./CommentForm').default} commentForm
    * @returns {object[]}
    * @private
    */
-  getCollections(types, comments, defaultUserNames) {
+  getCollections(types, comments, defaultUserNames, commentForm) {
     const selectTemplate = (item) => item ? item.original.transform(item.original.item) : '';
     const prepareValues = (arr, config) => (
       arr
@@ -138,7 +236,7 @@ class Autocomplete {
             // Tags
             key = item[0];
           } else if (item.key) {
-            // Comment links
+            // Comment links, canned replies
             key = item.key;
           } else {
             // The rest
@@ -176,7 +274,7 @@ class Autocomplete {
           if (this.mentions.byText[text]) {
             callback(prepareValues(this.mentions.byText[text], this.mentions));
           } else {
-            const matches = search(text, this.mentions.default);
+            const matches = mentionSuggestions.search(text, this.mentions.default);
             let values = matches.slice();
 
             const makeRequest = (
@@ -195,7 +293,7 @@ class Autocomplete {
               if (!matches.length) {
                 values.push(...this.mentions.cache);
               }
-              values = search(text, values);
+              values = mentionSuggestions.search(text, values);
 
               // Make the typed text always appear on the last, 10th place.
               values[9] = text.trim();
@@ -305,6 +403,31 @@ class Autocomplete {
           }
           this.wikilinks.snapshot = text;
 
+          // Section and comment links to other pages
+          const [, pageName, fragment] = text.match(/^([^#<>[\]|{}]+)#([^#<>[\]|{}]*)$/) || [];
+          if (pageName?.trim()) {
+            if (isInterwikiTarget(pageName.trim())) {
+              callback([]);
+              return;
+            }
+
+            let values;
+            try {
+              values = await getAnchorLinks(pageName.trim(), fragment);
+            } catch {
+              return;
+            }
+
+            // Type "[[Text", then delete and type "<s" quickly.
+            if (!this.tribute.current || this.tribute.current.trigger !== '[[') return;
+
+            // The text has been updated since the request was made.
+            if (this.wikilinks.snapshot !== text) return;
+
+            callback(prepareValues(values, this.wikilinks));
+            return;
+          }
+
           if (this.wikilinks.byText[text]) {
             callback(prepareValues(this.wikilinks.byText[text], this.wikilinks));
           } else {
@@ -527,11 +650,33 @@ class Autocomplete {
           callback(prepareValues(matches, this.tags));
         },
       },
+
+      cannedReplies: {
+        label: cd.s('cf-autocomplete-cannedreplies-label'),
+        trigger: ';;',
+        requireLeadingSpace: true,
+        searchOpts: { skip: true },
+        selectTemplate,
+        values: async (text, callback) => {
+          const replies = await cannedReplies.get();
+
+          // The text has been updated while the replies were loading.
+          if (!this.tribute.current || this.tribute.current.trigger !== ';;') return;
+
+          const labels = search(text.trim(), replies.map((reply) => reply.label));
+          const matches = labels.map((label) => ({
+            key: label,
+            text: replies.find((reply) => reply.label === label).text,
+          }));
+          callback(prepareValues(matches, this.cannedReplies));
+        },
+      },
     };
 
     const params = {
       mentions: defaultUserNames,
       commentLinks: comments,
+      cannedReplies: commentForm,
     };
     const collections = types.map((type) => {
       this[type] = Autocomplete.getConfig(type, params[type]);
@@ -630,6 +775,16 @@ class Autocomplete {
         break;
       }
 
+      case 'cannedReplies': {
+        config = {
+          transform: ({ text }) => ({
+            start: cannedReplies.fillPlaceholders(text, args[0]),
+            end: '',
+          }),
+        };
+        break;
+      }
+
       case 'tags': {
         const tagAdditions = [
           // An element can be an array of a string to display and strings to insert before and
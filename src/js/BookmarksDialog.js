@@ -0,0 +1,208 @@
+import bookmarks from './bookmarks';
+import cd from './cd';
+import { formatDate } from './timestamp';
+import { handleDialogError, tweakUserOoUiClass } from './ooui';
+
+/**
+ * Class used to create a "Bookmarks" dialog listing the bookmarked comments grouped by page.
+ *
+ * @augments external:OO.ui.ProcessDialog
+ */
+class BookmarksDialog extends OO.ui.ProcessDialog {
+  static name = 'bookmarksDialog';
+  static title = cd.s('bd-title');
+  static actions = [
+    {
+      action: 'close',
+      modes: ['list'],
+      flags: ['safe', 'close'],
+    },
+  ];
+  static size = 'large';
+
+  /**
+   * OOUI native method to get the height of the window body.
+   *
+   * @returns {number}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getBodyHeight
+   */
+  getBodyHeight() {
+    return this.$body.prop('scrollHeight');
+  }
+
+  /**
+   * OOUI native method that initializes window contents.
+   *
+   * @param {...*} [args]
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.ProcessDialog-method-initialize
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  initialize(...args) {
+    super.initialize(...args);
+
+    this.panel = new OO.ui.PanelLayout({
+      padded: true,
+      expanded: false,
+    });
+    this.$body.append(this.panel.$element);
+  }
+
+  /**
+   * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} [data] Dialog opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getSetupProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  getSetupProcess(data) {
+    return super.getSetupProcess(data).next(() => {
+      this.actions.setMode('list');
+      this.panel.$element.empty();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a "ready" process which is used to ready a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} data Window opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getReadyProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  getReadyProcess(data) {
+    return super.getReadyProcess(data).next(async () => {
+      this.pushPending();
+      try {
+        await bookmarks.load();
+      } catch (e) {
+        handleDialogError(this, e, 'error-settings-load', false);
+        return;
+      }
+      this.popPending();
+      this.renderList();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a process for taking action.
+   *
+   * @param {string} action Symbolic name of the action.
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getActionProcess
+   * @private
+   */
+  getActionProcess(action) {
+    if (action === 'close') {
+      return new OO.ui.Process(() => {
+        this.close();
+      });
+    }
+    return super.getActionProcess(action);
+  }
+
+  /**
+   * Render the list of bookmarks.
+   *
+   * @private
+   */
+  renderList() {
+    const groups = bookmarks.getGroupedByPage();
+    this.panel.$element.empty();
+    if (!groups.length) {
+      this.panel.$element.append($('<p>').text(cd.s('bd-empty')));
+    } else {
+      this.panel.$element.append(
+        groups.map((group) => (
+          $('<div>')
+            .addClass('cd-bookmarks-page')
+            .append(
+              $('<div>')
+                .addClass('cd-bookmarks-page-name')
+                .append(
+                  $('<a>')
+                    .attr('href', mw.util.getUrl(group.pageName))
+                    .text(group.pageName.replace(/_/g, ' ')),
+                ),
+              group.bookmarks.map((bookmark) => this.createBookmarkElement(bookmark)),
+            )
+        )),
+      );
+    }
+    this.updateSize();
+  }
+
+  /**
+   * Create an element for a bookmark.
+   *
+   * @param {import('./bookmarks').Bookmark} bookmark
+   * @returns {external:jQuery}
+   * @private
+   */
+  createBookmarkElement(bookmark) {
+    const openButton = new OO.ui.ButtonWidget({
+      label: cd.s('bd-open'),
+      framed: false,
+      flags: ['progressive'],
+    });
+    openButton.on('click', () => {
+      this.close();
+      bookmarks.open(bookmark);
+    });
+
+    const removeButton = new OO.ui.ButtonWidget({
+      label: cd.s('bd-remove'),
+      framed: false,
+      flags: ['destructive'],
+    });
+    removeButton.on('click', async () => {
+      removeButton.setDisabled(true);
+      try {
+        await bookmarks.remove(bookmark);
+      } catch (e) {
+        removeButton.setDisabled(false);
+        bookmarks.notifyError(e);
+        return;
+      }
+      this.renderList();
+    });
+
+    return $('<div>')
+      .addClass('cd-bookmarks-entry')
+      .append(
+        $('<div>')
+          .addClass('cd-bookmarks-entry-meta')
+          .append(
+            $('<bdi>').text(bookmark.author),
+            bookmark.unixTime ?
+              cd.mws('comma-separator') + formatDate(new Date(bookmark.unixTime)) :
+              undefined,
+            bookmark.headline ?
+              $('<span>')
+                .addClass('cd-bookmarks-entry-headline')
+                .text(cd.mws('comma-separator') + bookmark.headline) :
+              undefined,
+          ),
+        bookmark.note ?
+          $('<div>')
+            .addClass('cd-bookmarks-entry-note')
+            .text(bookmark.note) :
+          undefined,
+        $('<div>')
+          .addClass('cd-bookmarks-entry-text')
+          .text(bookmark.text),
+        $('<div>').append(openButton.$element, removeButton.$element),
+      );
+  }
+}
+
+tweakUserOoUiClass(BookmarksDialog, OO.ui.ProcessDialog);
+
+export default BookmarksDialog;
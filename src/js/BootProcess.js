@@ -6,15 +6,22 @@ import Parser from './Parser';
 import Section from './Section';
 import SectionStatic from './SectionStatic';
 import Thread from './Thread';
+import bookmarks from './bookmarks';
 import cd from './cd';
 import controller from './controller';
 import debug from './debug';
 import init from './init';
+import muting from './muting';
 import navPanel from './navPanel';
+import notificationCenter from './notificationCenter';
 import pageNav from './pageNav';
 import pageRegistry from './pageRegistry';
+import scheduledComments from './scheduledComments';
 import settings from './settings';
+import subscriptionMonitor from './subscriptionMonitor';
 import subscriptions from './subscriptions';
+import tabCoordination from './tabCoordination';
+import threadFocus from './threadFocus';
 import toc from './toc';
 import updateChecker from './updateChecker';
 import userRegistry from './userRegistry';
@@ -35,6 +42,15 @@ import { showConfirmDialog } from './ooui';
 let articlePathRegexp;
 let addTopicSelector;
 
+/**
+ * Delay before saving the seen state of comments to the server after a comment has been seen, in
+ * milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const seenStateSaveDelay = 10 * 1000;
+
 /**
  * Get all text nodes under the root element in the window (not worker) context.
  *
@@ -398,6 +414,7 @@ class BootProcess {
    */
   async searchForNotFoundItem({
     date,
+    author,
     decodedFragment,
     guessedCommentText,
     sectionName,
@@ -460,6 +477,14 @@ class BootProcess {
       })
     );
 
+    // The search dialog finds individual comments, so it is useful when looking for a comment.
+    const searchDialogText = date ? ' ' + cd.sParse('deadanchor-comment-searchdialog') : '';
+    const searchDialogCallbacks = {
+      'cd-notification-archiveSearch': () => {
+        controller.showArchiveSearchDialog({ author, date });
+      },
+    };
+
     if (results.length === 0) {
       let label;
       if (date) {
@@ -488,7 +513,7 @@ class BootProcess {
           guessedSectionText
         );
       }
-      mw.notify(wrap(label), {
+      mw.notify(wrap(label + searchDialogText, { callbacks: searchDialogCallbacks }), {
         type: 'warn',
         autoHideSeconds: 'long',
       });
@@ -535,7 +560,7 @@ class BootProcess {
           cd.sParse('deadanchor-section-inexactmatch', sectionNameFound, searchUrl);
       }
 
-      mw.notify(wrap(label), {
+      mw.notify(wrap(label + searchDialogText, { callbacks: searchDialogCallbacks }), {
         autoHideSeconds: 'long',
       });
     }
@@ -595,6 +620,7 @@ class BootProcess {
     if (pageRegistry.getCurrent().canHaveArchives()) {
       this.searchForNotFoundItem({
         date,
+        author,
         decodedFragment,
         guessedCommentText,
         sectionName,
@@ -699,6 +725,49 @@ class BootProcess {
     );
   }
 
+  /**
+   * Add a link to the dialog for searching comments on the page and its archives to the page
+   * actions menu.
+   *
+   * @private
+   */
+  addArchiveSearchLink() {
+    if (!pageRegistry.getCurrent().canHaveArchives()) return;
+
+    const link = mw.util.addPortletLink(
+      'p-cactions',
+      '#',
+      cd.s('asd-link'),
+      'ca-cd-archiveSearch',
+      cd.s('asd-link-tooltip')
+    );
+    link?.firstElementChild.addEventListener('click', (e) => {
+      e.preventDefault();
+      controller.showArchiveSearchDialog();
+    });
+  }
+
+  /**
+   * Add a link to the statistics dialog of the page to the page actions menu.
+   *
+   * @private
+   */
+  addStatisticsLink() {
+    if (!controller.doesPageExist()) return;
+
+    const link = mw.util.addPortletLink(
+      'p-cactions',
+      '#',
+      cd.s('stat-link'),
+      'ca-cd-statistics',
+      cd.s('stat-link-tooltip')
+    );
+    link?.firstElementChild.addEventListener('click', (e) => {
+      e.preventDefault();
+      controller.showStatisticsDialog();
+    });
+  }
+
   /**
    * Setup various components required for the boot process. Some DOM preparations are also made
    * here.
@@ -1189,14 +1258,19 @@ class BootProcess {
   }
 
   /**
-   * Perform URL fragment-related tasks.
+   * Perform URL fragment-related tasks: go to the target comment or, if it is not found, notify the
+   * user and look for it in the archives.
    *
-   * @private
+   * @param {string} [fragment] Fragment to process instead of the URL fragment (used to open a
+   *   {@link module:bookmarks bookmark} on the current page).
    */
-  async processFragment() {
-    if (!this.firstRun) return;
+  async processFragment(fragment) {
+    const isUrlFragment = fragment === undefined;
+    if (isUrlFragment) {
+      if (!this.firstRun) return;
 
-    const fragment = location.hash.slice(1);
+      fragment = location.hash.slice(1);
+    }
     const escapedFragment = $.escapeSelector(fragment);
     let decodedFragment;
     let escapedDecodedFragment;
@@ -1226,9 +1300,11 @@ class BootProcess {
       // incorrectly. (TODO: does it still? Need to check.)
       sleep().then(() => {
         comment.scrollTo({
-          smooth: false,
+          smooth: !isUrlFragment,
           expandThreads: true,
+          pushState: !isUrlFragment,
         });
+        if (!isUrlFragment) return;
 
         // Replace CD's comment ID in the fragment with DiscussionTools' if available.
         const newFragment = comment.dtId ? `#${comment.dtId}` : undefined;
@@ -1330,8 +1406,15 @@ class BootProcess {
   async processVisits() {
     let visits;
     let currentPageVisits;
+    let unseenComments;
+    let currentPageUnseenCommentIds;
     try {
-      ({ visits, currentPageVisits } = await this.visitsRequest);
+      ({
+        visits,
+        currentPageVisits,
+        unseenComments,
+        currentPageUnseenCommentIds,
+      } = await this.visitsRequest);
     } catch (e) {
       console.warn('Couldn\'t load the settings from the server.', e);
       return;
@@ -1351,7 +1434,11 @@ class BootProcess {
         timeConflict ||= comment.initNewAndSeen(
           currentPageVisits,
           currentUnixTime,
-          this.data('unseenCommentIds')?.some((id) => id === comment.id) || false
+
+          // Comments that remained unseen during the last visit, possibly on another device, are
+          // still unseen.
+          [...(this.data('unseenCommentIds') || []), ...currentPageUnseenCommentIds]
+            .some((id) => id === comment.id)
         );
       });
 
@@ -1370,7 +1457,9 @@ class BootProcess {
     // comment was sent the same minute when the page was loaded but after that moment.)
     currentPageVisits.push(String(currentUnixTime + timeConflict * 60));
 
-    saveVisits(visits);
+    unseenComments[mw.config.get('wgArticleId')] = CommentStatic.getUnseenIds();
+    saveVisits(visits, unseenComments);
+    this.isSeenStateSynced = true;
 
     // Should be before `CommentStatic.registerSeen()` to include all new comments in the metadata,
     // even those currently inside the viewport.
@@ -1393,6 +1482,42 @@ class BootProcess {
     mw.hook('convenientDiscussions.newCommentsHighlighted').fire(cd);
   }
 
+  /**
+   * _For internal use._ Save the seen state of the comments on the current page to the server
+   * after a delay (to send one request for many comments seen in a row), so that the comments seen
+   * on one device are not shown as new on another.
+   */
+  deferSeenStateSave() {
+    if (!this.isSeenStateSynced) return;
+
+    clearTimeout(this.seenStateSaveTimeout);
+    this.seenStateSaveTimeout = setTimeout(() => {
+      this.saveSeenState();
+    }, seenStateSaveDelay);
+  }
+
+  /**
+   * Save the seen state of the comments on the current page to the server. The visits data is
+   * requested anew so that the changes made on other pages in the meantime are not lost.
+   *
+   * @private
+   */
+  async saveSeenState() {
+    if (controller.getBootProcess() !== this) return;
+
+    let visits;
+    let unseenComments;
+    try {
+      ({ visits, unseenComments } = await getVisits());
+    } catch (e) {
+      console.warn('Couldn\'t load the settings from the server.', e);
+      return;
+    }
+
+    unseenComments[mw.config.get('wgArticleId')] = CommentStatic.getUnseenIds();
+    saveVisits(visits, unseenComments);
+  }
+
   /**
    * Bind a click handler to comment links to make them work as in-script comment links.
    *
@@ -1565,6 +1690,12 @@ class BootProcess {
 
     debug.startTimer('main code');
 
+    // The mutes could be changed in another tab.
+    muting.reset();
+
+    // The comments shown in the overlay are going to be replaced.
+    threadFocus.close();
+
     if (this.firstRun) {
       controller.saveRelativeScrollPosition();
 
@@ -1595,6 +1726,17 @@ class BootProcess {
       output reflects if the page is parsed for the first time.
     */
 
+    if (this.firstRun) {
+      // Should be above the comment form restoration so that the drafts of the other open tabs are
+      // not restored.
+      tabCoordination.init();
+      tabCoordination.on('commentsSeen', (message) => {
+        if (tabCoordination.isFromCurrentPage(message)) {
+          CommentStatic.markAsSeen(message.ids);
+        }
+      });
+    }
+
     if (controller.doesPageExist()) {
       if (!settings.get('useTopicSubscription')) {
         subscriptions.load();
@@ -1672,6 +1814,19 @@ class BootProcess {
       }
     }
 
+    // Should be below the comment form restoration so that the restored scheduled comments are
+    // taken into account.
+    scheduledComments.init();
+
+    if (this.firstRun) {
+      bookmarks.addDialogLink();
+      SectionStatic.addMoveLink();
+      this.addArchiveSearchLink();
+      this.addStatisticsLink();
+      notificationCenter.init();
+      subscriptionMonitor.init();
+    }
+
     if (controller.doesPageExist()) {
       // Should be below the comment form restoration for threads to be expanded correctly and also
       // to avoid repositioning threads after the addition of comment forms. Should be above the
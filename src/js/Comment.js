@@ -7,11 +7,15 @@ import CommentSource from './CommentSource';
 import CommentStatic from './CommentStatic';
 import CommentSubitemList from './CommentSubitemList';
 import LiveTimestamp from './LiveTimestamp';
+import bookmarks from './bookmarks';
 import cd from './cd';
 import controller from './controller';
+import muting from './muting';
 import navPanel from './navPanel';
 import pageRegistry from './pageRegistry';
+import reactions from './reactions';
 import settings from './settings';
+import tabCoordination from './tabCoordination';
 import updateChecker from './updateChecker';
 import userRegistry from './userRegistry';
 import { ElementsTreeWalker, TreeWalker } from './treeWalker';
@@ -117,6 +121,10 @@ class Comment extends CommentSkeleton {
     this.replyButtonClick = this.replyButtonClick.bind(this);
     this.editButtonClick = this.editButtonClick.bind(this);
     this.thankButtonClick = this.thankButtonClick.bind(this);
+    this.reactButtonClick = this.reactButtonClick.bind(this);
+    this.muteThreadButtonClick = this.muteThreadButtonClick.bind(this);
+    this.focusThreadButtonClick = this.focusThreadButtonClick.bind(this);
+    this.bookmarkButtonClick = this.bookmarkButtonClick.bind(this);
     this.copyLink = this.copyLink.bind(this);
     this.goToParentButtonClick = this.goToParentButtonClick.bind(this);
     this.highlightHovered = this.highlightHovered.bind(this);
@@ -536,6 +544,10 @@ class Comment extends CommentSkeleton {
       (new LiveTimestamp(this.timestampElement, this.date, !settings.get('hideTimezone'))).init();
     }
 
+    if (reactions.isEnabled()) {
+      this.addReactionChips();
+    }
+
     /**
      * Comment header. Used when comment reformatting is enabled.
      *
@@ -576,6 +588,10 @@ class Comment extends CommentSkeleton {
     this.addReplyButton();
     this.addEditButton();
     this.addThankButton();
+    this.addReactButton();
+    this.addBookmarkButton();
+    this.addFocusThreadButton();
+    this.addMuteThreadButton();
     this.addGoToParentButton();
 
     this.highlightables[this.highlightables.length - 1].appendChild(this.menuElement);
@@ -693,6 +709,161 @@ class Comment extends CommentSkeleton {
     }
   }
 
+  /**
+   * Collect the reactions to the comment and add chips for them to the comment header. Clicking a
+   * chip adds or removes the current user's reaction of that type.
+   *
+   * @private
+   */
+  addReactionChips() {
+    /**
+     * Reactions to the comment. Collected only when comment reformatting is enabled.
+     *
+     * @type {import('./reactions').Reaction[]|undefined}
+     */
+    this.reactions = reactions.extract(this);
+
+    const groups = reactions.group(this.reactions);
+    if (!groups.length) return;
+
+    const container = document.createElement('span');
+    container.className = 'cd-comment-reactions';
+    groups.forEach((group) => {
+      const classes = ['cd-comment-button-label', 'cd-comment-reaction'];
+      if (group.isOwn) {
+        classes.push('cd-comment-reaction-own');
+      }
+      const button = new CommentButton({
+        label: `${group.label} ${group.userNames.length}`,
+        tooltip: group.userNames.join(cd.mws('comma-separator')),
+        classes,
+        action: () => {
+          this.toggleReaction(group.type);
+        },
+      });
+      if (!this.isActionable) {
+        button.setDisabled(true);
+      }
+      container.appendChild(button.element);
+    });
+    this.headerElement.appendChild(container);
+  }
+
+  /**
+   * Create a {@link Comment#reactButton react button} and add it to the comment menu
+   * ({@link Comment#$menu} or {@link Comment#$overlayMenu}).
+   *
+   * @private
+   */
+  addReactButton() {
+    if (this.isActionable && reactions.isEnabled()) {
+      const action = this.reactButtonClick;
+      if (settings.get('reformatComments')) {
+        /**
+         * React button.
+         *
+         * @type {CommentButton|undefined}
+         */
+        this.reactButton = new CommentButton({
+          label: cd.s('cm-react'),
+          tooltip: cd.s('cm-react-tooltip'),
+          classes: ['cd-comment-button-label'],
+          action,
+        });
+
+        this.menuElement.appendChild(this.reactButton.element);
+      } else {
+        const element = elementPrototypes.reactButton.cloneNode(true);
+        const widgetConstructor = elementPrototypes.getReactButton;
+        this.reactButton = new CommentButton({ element, action, widgetConstructor });
+        this.overlayMenu.appendChild(this.reactButton.element);
+      }
+    }
+  }
+
+  /**
+   * Create a {@link Comment#focusThreadButton focus thread button} and add it to the comment menu
+   * ({@link Comment#$menu} or {@link Comment#$overlayMenu}). The button is added only to comments
+   * that start a thread with replies.
+   *
+   * @private
+   */
+  addFocusThreadButton() {
+    if (settings.get('enableThreads') && this.getChildren().length) {
+      const action = this.focusThreadButtonClick;
+      if (settings.get('reformatComments')) {
+        /**
+         * Focus thread button.
+         *
+         * @type {CommentButton|undefined}
+         */
+        this.focusThreadButton = new CommentButton({
+          label: cd.s('cm-focusthread'),
+          tooltip: cd.s('cm-focusthread-tooltip'),
+          classes: ['cd-comment-button-label'],
+          action,
+        });
+
+        this.menuElement.appendChild(this.focusThreadButton.element);
+      } else {
+        const element = elementPrototypes.focusThreadButton.cloneNode(true);
+        const widgetConstructor = elementPrototypes.getFocusThreadButton;
+        this.focusThreadButton = new CommentButton({ element, action, widgetConstructor });
+        this.overlayMenu.appendChild(this.focusThreadButton.element);
+      }
+    }
+  }
+
+  /**
+   * Create a {@link Comment#muteThreadButton mute thread button} and add it to the comment menu
+   * ({@link Comment#$menu} or {@link Comment#$overlayMenu}). The button is added only to comments
+   * that start a thread with replies.
+   *
+   * @private
+   */
+  addMuteThreadButton() {
+    if (this.id && settings.get('enableThreads') && this.getChildren().length) {
+      const action = this.muteThreadButtonClick;
+      if (settings.get('reformatComments')) {
+        /**
+         * Mute thread button.
+         *
+         * @type {CommentButton|undefined}
+         */
+        this.muteThreadButton = new CommentButton({
+          label: cd.s('cm-mutethread'),
+          tooltip: cd.s('cm-mutethread-tooltip'),
+          classes: ['cd-comment-button-label'],
+          action,
+        });
+
+        this.menuElement.appendChild(this.muteThreadButton.element);
+      } else {
+        const element = elementPrototypes.muteThreadButton.cloneNode(true);
+        const widgetConstructor = elementPrototypes.getMuteThreadButton;
+        this.muteThreadButton = new CommentButton({ element, action, widgetConstructor });
+        this.overlayMenu.appendChild(this.muteThreadButton.element);
+      }
+
+      if (muting.isThreadMuted(this)) {
+        this.updateMuteThreadButton();
+      }
+    }
+  }
+
+  /**
+   * Update the label and tooltip of the {@link Comment#muteThreadButton mute thread button}
+   * according to whether the thread is muted.
+   *
+   * @private
+   */
+  updateMuteThreadButton() {
+    const isMuted = muting.isThreadMuted(this);
+    this.muteThreadButton
+      .setLabel(cd.s(isMuted ? 'cm-unmutethread' : 'cm-mutethread'))
+      .setTooltip(cd.s(isMuted ? 'cm-unmutethread-tooltip' : 'cm-mutethread-tooltip'));
+  }
+
   /**
    * Create a {@link Comment#copyLinkButton copy link button} and add it to the comment menu
    * ({@link Comment#$overlayMenu}).
@@ -714,6 +885,55 @@ class Comment extends CommentSkeleton {
     }
   }
 
+  /**
+   * Create a {@link Comment#bookmarkButton bookmark button} and add it to the comment menu
+   * ({@link Comment#$menu} or {@link Comment#$overlayMenu}).
+   *
+   * @private
+   */
+  addBookmarkButton() {
+    if (this.id && bookmarks.isAvailable()) {
+      const action = this.bookmarkButtonClick;
+      if (settings.get('reformatComments')) {
+        /**
+         * Bookmark button.
+         *
+         * @type {CommentButton|undefined}
+         */
+        this.bookmarkButton = new CommentButton({
+          label: cd.s('cm-bookmark'),
+          tooltip: cd.s('cm-bookmark-tooltip'),
+          classes: ['cd-comment-button-label'],
+          action,
+        });
+
+        this.menuElement.appendChild(this.bookmarkButton.element);
+      } else {
+        const element = elementPrototypes.bookmarkButton.cloneNode(true);
+        const widgetConstructor = elementPrototypes.getBookmarkButton;
+        this.bookmarkButton = new CommentButton({ element, action, widgetConstructor });
+        this.overlayMenu.appendChild(this.bookmarkButton.element);
+      }
+
+      if (bookmarks.find(this)) {
+        this.updateBookmarkButton();
+      }
+    }
+  }
+
+  /**
+   * Update the label and tooltip of the {@link Comment#bookmarkButton bookmark button} according
+   * to whether the comment is bookmarked.
+   *
+   * @private
+   */
+  updateBookmarkButton() {
+    const isBookmarked = Boolean(bookmarks.find(this));
+    this.bookmarkButton
+      .setLabel(cd.s(isBookmarked ? 'cm-bookmarked' : 'cm-bookmark'))
+      .setTooltip(cd.s(isBookmarked ? 'cm-bookmarked-tooltip' : 'cm-bookmark-tooltip'));
+  }
+
   /**
    * Create a {@link Comment#goToParentButton go to parent button} and add it to the comment header
    * ({@link Comment#$header} or {@link Comment#$overlayMenu}).
@@ -915,6 +1135,47 @@ class Comment extends CommentSkeleton {
     this.thank();
   }
 
+  /**
+   * Handle the bookmark button click.
+   *
+   * @private
+   */
+  bookmarkButtonClick() {
+    this.bookmark();
+  }
+
+  /**
+   * Handle the react button click.
+   *
+   * @private
+   */
+  reactButtonClick() {
+    this.react();
+  }
+
+  /**
+   * Handle the focus thread button click.
+   *
+   * @private
+   */
+  focusThreadButtonClick() {
+    this.thread?.focus();
+  }
+
+  /**
+   * Handle the mute thread button click.
+   *
+   * @private
+   */
+  muteThreadButtonClick() {
+    if (muting.isThreadMuted(this)) {
+      muting.unmute('threads', this.id);
+    } else {
+      muting.muteThread(this);
+    }
+    this.updateMuteThreadButton();
+  }
+
   /**
    * Handle the "Go to parent" button click.
    *
@@ -1412,6 +1673,10 @@ class Comment extends CommentSkeleton {
 
       this.addGoToParentButton();
       this.addCopyLinkButton();
+      this.addBookmarkButton();
+      this.addFocusThreadButton();
+      this.addMuteThreadButton();
+      this.addReactButton();
       this.addThankButton();
       this.addEditButton();
       this.addReplyButton();
@@ -1492,7 +1757,6 @@ class Comment extends CommentSkeleton {
    * Update the styles of the layers according to the comment's properties.
    *
    * @param {boolean} [wereJustCreated=false] Were the layers just created.
-   * @private
    */
   updateLayersStyles(wereJustCreated = false) {
     if (!this.underlay) return;
@@ -2662,6 +2926,108 @@ class Comment extends CommentSkeleton {
     this.thankButton.setPending(false);
   }
 
+  /**
+   * Bookmark the comment, asking for an optional note, or change the note or remove the bookmark if
+   * the comment is already bookmarked.
+   */
+  async bookmark() {
+    const existingBookmark = bookmarks.find(this);
+    const input = new OO.ui.TextInputWidget({
+      value: existingBookmark?.note || '',
+      placeholder: cd.s('bookmark-note-placeholder'),
+      maxLength: 200,
+    });
+    const $message = $('<div>').append(
+      $('<p>').text(cd.s(existingBookmark ? 'bookmark-prompt-existing' : 'bookmark-prompt')),
+      input.$element,
+    );
+    const actions = [
+      {
+        action: 'accept',
+        label: cd.s(existingBookmark ? 'bookmark-save' : 'bookmark-add'),
+        flags: ['primary', 'progressive'],
+      },
+      existingBookmark ?
+        {
+          action: 'remove',
+          label: cd.s('bookmark-remove'),
+          flags: ['destructive'],
+        } :
+        undefined,
+      {
+        action: 'reject',
+        label: OO.ui.deferMsg('ooui-dialog-message-reject'),
+        flags: 'safe',
+      },
+    ].filter(defined);
+    const action = await showConfirmDialog($message, { actions, size: 'medium' });
+    if (action !== 'accept' && action !== 'remove') return;
+
+    this.bookmarkButton?.setPending(true);
+    try {
+      if (action === 'accept') {
+        await bookmarks.add(this, input.getValue().trim());
+      } else {
+        await bookmarks.remove(existingBookmark);
+      }
+    } catch (e) {
+      bookmarks.notifyError(e);
+      return;
+    } finally {
+      this.bookmarkButton?.setPending(false);
+    }
+
+    if (this.bookmarkButton) {
+      this.updateBookmarkButton();
+    }
+    if (action === 'accept' && !existingBookmark) {
+      bookmarks.notifyAdded();
+    }
+  }
+
+  /**
+   * Ask the user to choose a reaction type and add or remove the user's reaction of that type.
+   */
+  async react() {
+    const actions = [
+      ...reactions.getTypes().map((type) => ({
+        action: `reaction-${type.name}`,
+        label: `${type.label} ${type.name}`,
+      })),
+      {
+        action: 'reject',
+        label: OO.ui.deferMsg('ooui-dialog-message-reject'),
+        flags: 'safe',
+      },
+    ];
+    const action = await showConfirmDialog(cd.s('reactions-prompt'), { actions, size: 'medium' });
+    const type = reactions.getTypes().find((t) => action === `reaction-${t.name}`);
+    if (!type) return;
+
+    this.toggleReaction(type.name);
+  }
+
+  /**
+   * Add the current user's reaction of a type to the comment or remove it if it is already there,
+   * then reload the page.
+   *
+   * @param {string} type
+   */
+  async toggleReaction(type) {
+    if (this.isReactionBeingSaved) return;
+
+    this.isReactionBeingSaved = true;
+    this.reactButton?.setPending(true);
+    try {
+      await reactions.toggle(this, type);
+    } catch (e) {
+      reactions.notifyError(e);
+    } finally {
+      this.isReactionBeingSaved = false;
+      this.reactButton?.setPending(false);
+    }
+  }
+
   /**
    * Find the edit that added the comment, ask for a confirmation, and send a "thank you"
    * notification.
@@ -2876,6 +3242,10 @@ class Comment extends CommentSkeleton {
       if (flash) {
         this.flashTarget();
       }
+      controller.getBootProcess().deferSeenStateSave();
+      if (this.id) {
+        tabCoordination.post('commentsSeen', { ids: [this.id] });
+      }
     }
 
     if (this.willFlashChangedOnSight && isInVewport) {
@@ -2959,37 +3329,69 @@ class Comment extends CommentSkeleton {
    */
   getText(cleanUpSignature = true) {
     if (this.cachedText === undefined) {
-      const $clone = this.$elements
-        .not('h1, h2, h3, h4, h5, h6')
-        .clone()
-        .removeClass('cd-hidden');
-      const $dummy = $('<div>').append($clone);
-      const selectorParts = ['.cd-signature', '.cd-changeMark', '.noprint'];
-      if (settings.get('reformatComments')) {
-        selectorParts.push('.cd-comment-header', '.cd-comment-menu');
-      }
-      if (cd.config.unsignedClass) {
-        selectorParts.push(`.${cd.config.unsignedClass}`);
-      }
-      const selector = selectorParts.join(', ');
-      $dummy.find(selector).remove();
-      let text = $dummy.cdGetText();
-      if (cleanUpSignature) {
-        if (cd.config.signatureEndingRegexp) {
-          text = text.replace(cd.config.signatureEndingRegexp, '');
-        }
+      this.cachedText = this.extractText(cleanUpSignature);
+    }
+
+    return this.cachedText;
+  }
+
+  /**
+   * Get the comment's text with the links kept in the form returned by a callback (for example, as
+   * Markdown links). The signature is cleaned up.
+   *
+   * @param {Function} formatLink Function that receives the link text and the absolute URL and
+   *   returns a string to put in place of the link.
+   * @returns {string}
+   */
+  getTextWithLinks(formatLink) {
+    return this.extractText(true, formatLink);
+  }
 
-        // FIXME: We use the same regexp to clean both the wikitext and the render. With the current
-        // default config value the side effects seem to be negligable, but who knows...
-        if (cd.config.signaturePrefixRegexp) {
-          text = text.replace(cd.config.signaturePrefixRegexp, '');
+  /**
+   * Extract the comment's text from its elements.
+   *
+   * @param {boolean} cleanUpSignature Whether to clean up the signature.
+   * @param {Function} [formatLink] Function to format the links with (see
+   *   {@link Comment#getTextWithLinks}).
+   * @returns {string}
+   * @private
+   */
+  extractText(cleanUpSignature, formatLink) {
+    const $clone = this.$elements
+      .not('h1, h2, h3, h4, h5, h6')
+      .clone()
+      .removeClass('cd-hidden');
+    const $dummy = $('<div>').append($clone);
+    const selectorParts = ['.cd-signature', '.cd-changeMark', '.noprint'];
+    if (settings.get('reformatComments')) {
+      selectorParts.push('.cd-comment-header', '.cd-comment-menu');
+    }
+    if (cd.config.unsignedClass) {
+      selectorParts.push(`.${cd.config.unsignedClass}`);
+    }
+    const selector = selectorParts.join(', ');
+    $dummy.find(selector).remove();
+    if (formatLink) {
+      $dummy.find('a[href]').each((i, link) => {
+        if (link.textContent.trim()) {
+          link.replaceWith(formatLink(link.textContent, link.href));
         }
+      });
+    }
+    let text = $dummy.cdGetText();
+    if (cleanUpSignature) {
+      if (cd.config.signatureEndingRegexp) {
+        text = text.replace(cd.config.signatureEndingRegexp, '');
       }
 
-      this.cachedText = text;
+      // FIXME: We use the same regexp to clean both the wikitext and the render. With the current
+      // default config value the side effects seem to be negligable, but who knows...
+      if (cd.config.signaturePrefixRegexp) {
+        text = text.replace(cd.config.signaturePrefixRegexp, '');
+      }
     }
 
-    return this.cachedText;
+    return text;
   }
 
   /**
@@ -3392,7 +3794,7 @@ class Comment extends CommentSkeleton {
     // Let's take 3 minutes as tolerable time discrepancy.
     const isDateInFuture = this.date && this.date.getTime() > Date.now() + cd.g.msInMin * 3;
 
-    if (!this.date || isDateInFuture) {
+    if (!this.date || isDateInFuture || muting.isCommentMuted(this)) {
       this.isNew = false;
       this.isSeen = true;
       return false;
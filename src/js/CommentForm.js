@@ -8,14 +8,20 @@ import CommentFormStatic from './CommentFormStatic';
 import CommentStatic from './CommentStatic';
 import Section from './Section';
 import SectionStatic from './SectionStatic';
+import cannedReplies from './cannedReplies';
 import cd from './cd';
 import controller from './controller';
+import mentionSuggestions from './mentionSuggestions';
 import navPanel from './navPanel';
 import notifications from './notifications';
 import pageRegistry, { Page } from './pageRegistry';
+import scheduledComments from './scheduledComments';
 import settings from './settings';
+import submissionQueue from './submissionQueue';
+import submitChecks from './submitChecks';
 import subscriptions from './subscriptions';
 import userRegistry from './userRegistry';
+import wikitextLinter from './wikitextLinter';
 import {
   buildEditSummary,
   defined,
@@ -33,12 +39,107 @@ import {
   wrap,
   wrapDiffBody,
 } from './utils';
-import { createCheckboxField } from './ooui';
-import { generateTagsRegexp, removeWikiMarkup } from './wikitext';
+import { createCheckboxField, showConfirmDialog, tweakUserOoUiClass } from './ooui';
+import { formatDate } from './timestamp';
+import {
+  getBlockStartIndexes,
+  getIncludedCode,
+  prepareLineStart,
+  removeWikiMarkup,
+} from './wikitext';
 import { handleApiReject, parseCode } from './apiWrappers';
 
 let commentFormsCounter = 0;
 
+/**
+ * Types of the messages shown for the {@link module:submitChecks submit check} severities.
+ *
+ * @type {object}
+ * @private
+ */
+const checkSeverityToMessageType = {
+  block: 'error',
+  warn: 'warning',
+  info: 'notice',
+};
+
+/**
+ * Maximal number of rows of the comment input in the standard layout (practically, no limit).
+ *
+ * @type {number}
+ * @private
+ */
+const commentInputMaxRows = 9999;
+
+/**
+ * Maximal number of rows of the comment input in the split layout (when the preview is shown next
+ * to the input), after which the input and the preview scroll in sync.
+ *
+ * @type {number}
+ * @private
+ */
+const splitPreviewMaxRows = 20;
+
+/**
+ * Selector of the elements in the preview that correspond to the blocks of the code (see
+ * {@link module:wikitext.getBlockStartIndexes}).
+ *
+ * @type {string}
+ * @private
+ */
+const previewBlockSelector = 'p, li, dd, dt, pre, h1, h2, h3, h4, h5, h6, table, blockquote';
+
+/**
+ * Get the elements in the preview that correspond to the blocks of the code. Elements that only
+ * wrap other blocks (like items of the list that indents a reply) are skipped.
+ *
+ * @param {Element} previewArea
+ * @returns {Element[]}
+ * @private
+ */
+function getPreviewBlocks(previewArea) {
+  return [...previewArea.querySelectorAll(previewBlockSelector)].filter((el) => (
+    !el.parentElement.closest('table') &&
+    [...el.childNodes].some((node) => (
+      node.nodeType === Node.TEXT_NODE ?
+        node.textContent.trim() :
+        !node.matches(`${previewBlockSelector}, ul, ol, dl`)
+    ))
+  ));
+}
+
+/**
+ * Map a position between two lists of corresponding anchor positions (e.g. the positions of
+ * paragraphs in the code and in the preview), interpolating between the anchors. If the lists have
+ * different lengths, the anchors are matched proportionally.
+ *
+ * @param {number} position
+ * @param {number[]} fromAnchors Anchor positions in the source, in ascending order.
+ * @param {number} fromEnd End position in the source.
+ * @param {number[]} toAnchors Anchor positions in the target, in ascending order.
+ * @param {number} toEnd End position in the target.
+ * @returns {number}
+ * @private
+ */
+function mapPosition(position, fromAnchors, fromEnd, toAnchors, toEnd) {
+  let i = 0;
+  while (i + 1 < fromAnchors.length && fromAnchors[i + 1] <= position) {
+    i++;
+  }
+  const fromStart = fromAnchors[i];
+  const fromNext = fromAnchors[i + 1] ?? fromEnd;
+  const ratio = fromNext > fromStart ?
+    Math.min(Math.max((position - fromStart) / (fromNext - fromStart), 0), 1) :
+    0;
+
+  const j = fromAnchors.length === toAnchors.length ?
+    i :
+    Math.round(i * (toAnchors.length - 1) / Math.max(fromAnchors.length - 1, 1));
+  const toStart = toAnchors[j];
+  const toNext = toAnchors[j + 1] ?? toEnd;
+  return toStart + ratio * (toNext - toStart);
+}
+
 /**
  * Extract IDs from comment links in the code.
  *
@@ -265,6 +366,15 @@ class CommentForm {
 
     controller.updatePageTitle();
 
+    if (initialState?.queued) {
+      submissionQueue.add(this, initialState.queued);
+      this.showQueuedMessage(submissionQueue.getState(this));
+    }
+    if (initialState?.scheduled) {
+      scheduledComments.add(this, initialState.scheduled.unixTime, initialState.scheduled.id);
+      this.showScheduledMessage();
+    }
+
     this.onboardOntoMultipleForms();
 
     /**
@@ -398,17 +508,31 @@ class CommentForm {
       }, true);
     }
 
+    // eslint-disable-next-line jsdoc/require-jsdoc
+    const CommentInputWidget = class extends OO.ui.MultilineTextInputWidget {
+      /**
+       * Set the maximum number of rows the input grows to when autosizing, and resize it.
+       *
+       * @param {number} maxRows
+       */
+      setMaxRows(maxRows) {
+        this.maxRows = maxRows;
+        this.adjustSize(true);
+      }
+    };
+    tweakUserOoUiClass(CommentInputWidget, OO.ui.MultilineTextInputWidget);
+
     /**
      * Comment input.
      *
      * @type {external:OO.ui.MultilineTextInputWidget}
      */
-    this.commentInput = new OO.ui.MultilineTextInputWidget({
+    this.commentInput = new CommentInputWidget({
       value: initialState?.comment ?? '',
       placeholder: commentInputPlaceholder,
       autosize: true,
       rows: this.headlineInput ? 5 : 3,
-      maxRows: 9999,
+      maxRows: commentInputMaxRows,
       classes: ['cd-commentForm-commentInput'],
       tabIndex: this.getTabIndex(12),
     });
@@ -704,6 +828,35 @@ class CommentForm {
       });
     }
 
+    /**
+     * Button that toggles the split layout where the preview is shown next to the comment input.
+     *
+     * @type {external:OO.ui.ToggleButtonWidget}
+     */
+    this.splitPreviewButton = new OO.ui.ToggleButtonWidget({
+      label: cd.s('cf-splitpreview'),
+      title: cd.s('cf-splitpreview-tooltip'),
+      value: settings.get('splitPreview'),
+      framed: false,
+      classes: ['cd-button-ooui', 'cd-commentForm-splitPreviewButton'],
+      tabIndex: this.getTabIndex(29),
+    });
+
+    if (this.mode !== 'edit') {
+      /**
+       * "Post at…" button.
+       *
+       * @type {external:OO.ui.ButtonWidget|undefined}
+       */
+      this.scheduleButton = new OO.ui.ButtonWidget({
+        label: cd.s('cf-postat'),
+        title: cd.s('cf-postat-tooltip'),
+        framed: false,
+        classes: ['cd-button-ooui', 'cd-commentForm-scheduleButton'],
+        tabIndex: this.getTabIndex(27),
+      });
+    }
+
     /**
      * Cancel button.
      *
@@ -820,6 +973,7 @@ class CommentForm {
         this.summaryInput.$element,
         this.$summaryPreview,
         this.checkboxesLayout.$element,
+        this.scheduleButton?.$element,
       );
 
     /**
@@ -830,6 +984,7 @@ class CommentForm {
     this.$buttonsStart = $('<div>')
       .addClass('cd-commentForm-buttons-start')
       .append(
+        this.splitPreviewButton.$element,
         this.advancedButton.$element,
         this.helpPopupButton.$element,
         this.settingsButton?.$element,
@@ -876,16 +1031,7 @@ class CommentForm {
      * @type {external:jQuery}
      */
     this.$previewArea = $('<div>').addClass('cd-commentForm-previewArea');
-
-    if (settings.get('autopreview')) {
-      this.$previewArea
-        .addClass('cd-commentForm-previewArea-below')
-        .appendTo(this.$element);
-    } else {
-      this.$previewArea
-        .addClass('cd-commentForm-previewArea-above')
-        .prependTo(this.$element);
-    }
+    this.placePreviewArea();
 
     if (this.containerListType === 'ol' && cd.g.clientProfile.layout !== 'webkit') {
       // Dummy element for forms inside a numbered list so that the number is placed in front of
@@ -898,6 +1044,168 @@ class CommentForm {
     }
   }
 
+  /**
+   * Put the preview area below the form if autopreview is enabled and above the form otherwise.
+   *
+   * @private
+   */
+  placePreviewArea() {
+    if (settings.get('autopreview')) {
+      this.$previewArea
+        .addClass('cd-commentForm-previewArea-below')
+        .appendTo(this.$element);
+    } else {
+      this.$previewArea.addClass('cd-commentForm-previewArea-above');
+      const $dummyElement = this.$element.children('.cd-commentForm-dummyElement');
+      if ($dummyElement.length) {
+        this.$previewArea.insertAfter($dummyElement);
+      } else {
+        this.$previewArea.prependTo(this.$element);
+      }
+    }
+  }
+
+  /**
+   * Show the preview next to the comment input (the split layout) or return it below or above the
+   * form (the stacked layout). On narrow screens, the split layout falls back to the stacked one
+   * (see `CommentForm.less`).
+   *
+   * @param {boolean} isSplit
+   */
+  setSplitPreview(isSplit) {
+    if (isSplit === Boolean(this.isSplitPreview)) return;
+
+    /**
+     * Whether the split layout is used.
+     *
+     * @type {boolean|undefined}
+     * @private
+     */
+    this.isSplitPreview = isSplit;
+
+    const isInputFocused = this.commentInput.$input.is(':focus');
+    if (isSplit) {
+      const $inputElements = this.commentInput.$element
+        .prev('.cd-toolbarPlaceholder')
+        .addBack()
+        .add(this.$insertButtons);
+      this.$splitInputColumn = $('<div>').addClass('cd-commentForm-split-input');
+      this.$splitContainer = $('<div>')
+        .addClass('cd-commentForm-split')
+        .insertBefore($inputElements.first());
+      this.$splitInputColumn.append($inputElements);
+      this.$splitContainer.append(this.$splitInputColumn, this.$previewArea);
+    } else {
+      this.$splitInputColumn.children().insertBefore(this.$splitContainer);
+      this.placePreviewArea();
+      this.$splitContainer.remove();
+      this.$splitContainer = this.$splitInputColumn = null;
+    }
+    this.$previewArea.toggleClass('cd-commentForm-previewArea-side', isSplit);
+
+    this.commentInput.setMaxRows(isSplit ? splitPreviewMaxRows : commentInputMaxRows);
+    this.splitPreviewButton.setValue(isSplit);
+    if (isInputFocused) {
+      this.commentInput.focus();
+    }
+    this.previewInSplitLayout();
+  }
+
+  /**
+   * If the split layout is used and autopreview is disabled, preview the comment once so that the
+   * preview column is not empty.
+   *
+   * @private
+   */
+  previewInSplitLayout() {
+    if (this.isSplitPreview && !settings.get('autopreview')) {
+      this.preview(false, false);
+    }
+  }
+
+  /**
+   * Check whether the preview is actually shown next to the comment input (the split layout is
+   * used and the screen is not too narrow for it).
+   *
+   * @returns {boolean}
+   * @private
+   */
+  isSplitPreviewShown() {
+    return Boolean(this.isSplitPreview && this.$splitContainer.css('display') === 'flex');
+  }
+
+  /**
+   * In the split layout, scroll the preview to the part corresponding to the part of the comment
+   * input in view or vice versa, mapping the blocks of the code to the blocks of the preview.
+   *
+   * @param {'preview'|'input'} target What to scroll.
+   * @private
+   */
+  syncScroll(target) {
+    if (!this.isSplitPreviewShown()) return;
+
+    const input = this.commentInput.$input.get(0);
+    const previewArea = this.$previewArea.get(0);
+    const [source, targetElement] = target === 'preview' ?
+      [input, previewArea] :
+      [previewArea, input];
+
+    // Ignore the scroll events caused by this method itself.
+    if (this.programmaticallyScrolledElement === source) {
+      this.programmaticallyScrolledElement = null;
+      return;
+    }
+
+    const sourceMaxScrollTop = source.scrollHeight - source.clientHeight;
+    const targetMaxScrollTop = targetElement.scrollHeight - targetElement.clientHeight;
+    if (sourceMaxScrollTop <= 0 || targetMaxScrollTop <= 0) return;
+
+    const code = input.value;
+    const codeAnchors = getBlockStartIndexes(code);
+    const previewAreaTop = previewArea.getBoundingClientRect().top;
+    const previewAnchors = getPreviewBlocks(previewArea).map((el) => (
+      el.getBoundingClientRect().top - previewAreaTop + previewArea.scrollTop
+    ));
+    if (!codeAnchors.length || !previewAnchors.length) return;
+
+    let scrollTop;
+    if (source.scrollTop >= sourceMaxScrollTop - 1) {
+      scrollTop = targetMaxScrollTop;
+    } else if (target === 'preview') {
+      // The position in the code at the top of the input is estimated by the share of characters.
+      scrollTop = mapPosition(
+        input.scrollTop / input.scrollHeight * code.length,
+        codeAnchors,
+        code.length,
+        previewAnchors,
+        previewArea.scrollHeight
+      );
+    } else {
+      const position = mapPosition(
+        previewArea.scrollTop,
+        previewAnchors,
+        previewArea.scrollHeight,
+        codeAnchors,
+        code.length
+      );
+      scrollTop = position / code.length * input.scrollHeight;
+    }
+    scrollTop = Math.round(Math.min(Math.max(scrollTop, 0), targetMaxScrollTop));
+
+    if (Math.abs(targetElement.scrollTop - scrollTop) >= 1) {
+      /**
+       * Element that was scrolled by {@link CommentForm#syncScroll} and is going to fire a scroll
+       * event that should be ignored.
+       *
+       * @type {?(Element|undefined)}
+       * @private
+       */
+      this.programmaticallyScrolledElement = targetElement;
+
+      targetElement.scrollTop = scrollTop;
+    }
+  }
+
   /**
    * Add a WikiEditor toolbar to the comment input if the relevant setting is enabled.
    *
@@ -1104,6 +1412,55 @@ class CommentForm {
      * @param {object} cd {@link convenientDiscussions} object.
      */
     mw.hook('convenientDiscussions.commentFormToolbarReady').fire(this, cd);
+
+    // The canned replies may need to be loaded from the server, so we don't make the toolbar wait
+    // for them.
+    cannedReplies.get().then((replies) => {
+      this.addCannedRepliesTool(replies);
+    });
+  }
+
+  /**
+   * Add the canned replies menu to the toolbar.
+   *
+   * @param {import('./cannedReplies').CannedReply[]} replies
+   * @private
+   */
+  addCannedRepliesTool(replies) {
+    if (this.destroyed || !replies.length) return;
+
+    this.commentInput.$input.wikiEditor('addToToolbar', {
+      section: 'main',
+      group: 'convenient-discussions',
+      tools: {
+        cannedReplies: {
+          label: cd.s('cf-cannedreplies'),
+          type: 'select',
+          list: replies.reduce((list, reply, i) => {
+            list[`cannedReply-${i}`] = {
+              label: reply.label,
+              action: {
+                type: 'callback',
+                execute: () => {
+                  this.insertCannedReply(reply);
+                },
+              },
+            };
+            return list;
+          }, {}),
+        },
+      },
+    });
+  }
+
+  /**
+   * Insert a canned reply into the comment input at the caret position, filling in the
+   * placeholders.
+   *
+   * @param {import('./cannedReplies').CannedReply} reply
+   */
+  insertCannedReply(reply) {
+    insertText(this.commentInput, cannedReplies.fillPlaceholders(reply.text, this));
   }
 
   /**
@@ -1181,6 +1538,10 @@ class CommentForm {
     this.addToolbar(requestedModulesNames);
     this.addInsertButtons();
 
+    if (settings.get('splitPreview')) {
+      this.setSplitPreview(true);
+    }
+
     if (this.deleteCheckbox?.isSelected()) {
       this.updateFormOnDeleteCheckboxChange(true);
     }
@@ -1212,6 +1573,7 @@ class CommentForm {
 
       focusInput(this.commentInput);
       this.preview();
+      this.previewInSplitLayout();
     } catch (e) {
       if (e instanceof CdError) {
         this.handleError(
@@ -1323,23 +1685,7 @@ class CommentForm {
     const preloadPage = pageRegistry.get(this.preloadConfig.commentTemplate);
     try {
       await preloadPage.loadCode();
-      let code = preloadPage.code;
-
-      const regexp = generateTagsRegexp(['onlyinclude']);
-      let match;
-      let onlyInclude;
-      while ((match = regexp.exec(code))) {
-        onlyInclude ??= '';
-        onlyInclude += match[2];
-      }
-      if (onlyInclude !== undefined) {
-        code = onlyInclude;
-      }
-
-      code = code
-        .replace(generateTagsRegexp(['includeonly']), '$3')
-        .replace(generateTagsRegexp(['noinclude']), '');
-      code = code.trim();
+      const code = getIncludedCode(preloadPage.code);
 
       if (code.includes(cd.g.signCode) || this.preloadConfig.omitSignature) {
         this.omitSignatureCheckbox.setSelected(true);
@@ -1352,6 +1698,7 @@ class CommentForm {
 
       focusInput(this.headlineInput || this.commentInput);
       this.preview();
+      this.previewInSplitLayout();
     } catch (e) {
       if (e instanceof CdError) {
         this.handleError(
@@ -1699,6 +2046,10 @@ class CommentForm {
             this.hideMessage(name);
           }
         });
+
+        if (this.lintProblems?.length && !this.lint()) {
+          this.hideMessage('check-wikitext');
+        }
       })
       .on('change', preview)
       .on('change', saveSessionEventHandler);
@@ -1826,6 +2177,9 @@ class CommentForm {
     this.settingsButton?.on('click', () => {
       controller.showSettingsDialog();
     });
+    this.scheduleButton?.on('click', () => {
+      this.schedule();
+    });
     this.cancelButton.on('click', () => {
       this.cancel();
     });
@@ -1835,6 +2189,15 @@ class CommentForm {
     this.previewButton.on('click', () => {
       this.preview(true, false);
     });
+    this.splitPreviewButton.on('change', (value) => {
+      // The value could be changed by CommentForm#setSplitPreview.
+      if (value === Boolean(this.isSplitPreview)) return;
+
+      CommentFormStatic.getAll().forEach((commentForm) => {
+        commentForm.setSplitPreview(value);
+      });
+      settings.saveSettingOnTheFly('splitPreview', value);
+    });
     this.submitButton.on('click', () => {
       this.submit();
     });
@@ -1876,6 +2239,13 @@ class CommentForm {
     this.addEventListenersToTextInputs(saveSessionEventHandler, preview);
     this.addEventListenersToCheckboxes(saveSessionEventHandler, preview);
     this.addEventListenersToButtons();
+
+    this.commentInput.$input.on('scroll', () => {
+      this.syncScroll('preview');
+    });
+    this.$previewArea.on('scroll', () => {
+      this.syncScroll('input');
+    });
   }
 
   /**
@@ -1902,13 +2272,11 @@ class CommentForm {
         pageOwner = userRegistry.get(userName);
       }
     }
-    let defaultUserNames = commentsInSection
-      .map((comment) => comment.author)
-      .concat(pageOwner)
-      .filter(defined)
-      .sort((u1, u2) => u2.isRegistered() - u1.isRegistered() || (u2.name > u1.name ? -1 : 1))
-      .filter((u) => u !== userRegistry.getCurrent())
-      .map((u) => u.name);
+    let defaultUserNames = mentionSuggestions.rankUserNames({
+      targetComment: this.targetComment,
+      comments: commentsInSection,
+      pageOwner,
+    });
 
     // Move the addressee to the beginning of the user list
     if (this.targetComment) {
@@ -1929,10 +2297,11 @@ class CommentForm {
      * @type {Autocomplete}
      */
     this.autocomplete = new Autocomplete({
-      types: ['mentions', 'wikilinks', 'templates', 'tags', 'commentLinks'],
+      types: ['mentions', 'wikilinks', 'templates', 'tags', 'commentLinks', 'cannedReplies'],
       inputs: [this.commentInput],
       comments: commentsInSection,
       defaultUserNames,
+      commentForm: this,
     });
     this.autocomplete.init();
 
@@ -2378,7 +2747,7 @@ class CommentForm {
         const anchorCode = cd.config.getAnchorCode(id);
         if (commentSource.code.includes(anchorCode)) return;
 
-        const commentCodePart = CommentFormInputProcessor.prototype.prepareLineStart(
+        const commentCodePart = prepareLineStart(
           commentSource.indentation,
           commentSource.code
         );
@@ -2434,6 +2803,10 @@ class CommentForm {
       }
     } catch (e) {
       if (e instanceof CdError) {
+        if (action === 'submit' && e.data.type === 'network') {
+          this.enqueue();
+          return;
+        }
         this.handleError(
           Object.assign({}, { message: cd.sParse('cf-error-getpagecode') }, e.data)
         );
@@ -2626,6 +2999,8 @@ class CommentForm {
         mw.hook('convenientDiscussions.previewReady').fire(this.$previewArea, cd);
 
         mw.hook('wikipage.content').fire(this.$previewArea);
+
+        this.syncScroll('preview');
       }
 
       this.$summaryPreview.empty();
@@ -2781,65 +3156,216 @@ class CommentForm {
   }
 
   /**
-   * Check the form content for several conditions before submitting the form. Ask the user to
-   * confirm submitting if one of the conditions is met.
+   * Run the {@link module:wikitextLinter wikitext linter} on the comment input, underline the
+   * problems found in the input and get a list of them with quick fix actions. While there are
+   * problems, the comment input is linted again on every change, so that the underlines and the
+   * list stay up to date.
+   *
+   * @returns {?external:jQuery} `null` if there are no problems.
+   */
+  lint() {
+    /**
+     * Problems found in the comment input by the last run of the linter.
+     *
+     * @type {import('./wikitextLinter').LintProblem[]|undefined}
+     * @private
+     */
+    this.lintProblems = wikitextLinter.lint(this.commentInput.getValue());
+
+    this.underlineLintProblems();
+    if (!this.lintProblems.length) {
+      return null;
+    }
+
+    /**
+     * List of the problems found in the comment input by the linter.
+     *
+     * @type {external:jQuery|undefined}
+     * @private
+     */
+    this.$lintProblemList ||= $('<ul>').addClass('cd-commentForm-lintProblemList');
+
+    return this.$lintProblemList
+      .empty()
+      .append(
+        this.lintProblems.map((problem) => (
+          $('<li>').append(
+            $('<span>').text(problem.message),
+            problem.fixes.flatMap((fix) => [
+              ' ',
+              new Button({
+                label: fix.label,
+                classes: ['cd-commentForm-lintFix'],
+                action: () => {
+                  this.commentInput.selectRange(fix.start, fix.end);
+                  insertText(this.commentInput, fix.text);
+                },
+              }).element,
+            ]),
+          )
+        ))
+      );
+  }
+
+  /**
+   * Underline the problems found by the linter in the comment input using an element placed over
+   * it that repeats its text with transparent letters.
+   *
+   * @private
+   */
+  underlineLintProblems() {
+    if (!this.lintProblems.length) {
+      this.$lintBackdrop?.remove();
+      delete this.$lintBackdrop;
+      return;
+    }
+
+    const textarea = this.commentInput.$input.get(0);
+    const computedStyle = window.getComputedStyle(textarea);
+    if (!this.$lintBackdrop) {
+      /**
+       * Element placed over the comment input with the problems found by the linter underlined.
+       *
+       * @type {external:jQuery|undefined}
+       * @private
+       */
+      this.$lintBackdrop = $('<div>')
+        .addClass('cd-commentForm-lintBackdrop')
+        .insertAfter(textarea);
+
+      this.commentInput.$input.on('scroll', () => {
+        this.$lintBackdrop?.scrollTop(textarea.scrollTop);
+      });
+    }
+
+    const code = textarea.value;
+    const nodes = [];
+    let position = 0;
+    this.lintProblems.forEach((problem) => {
+      // Overlapping problems
+      if (problem.start < position) return;
+
+      nodes.push(
+        document.createTextNode(code.slice(position, problem.start)),
+        $('<span>')
+          .addClass('cd-commentForm-lintProblem')
+          .text(code.slice(problem.start, problem.end))
+          .get(0)
+      );
+      position = problem.end;
+    });
+
+    // The newline is added so that the last line has the same height as in the textarea.
+    nodes.push(document.createTextNode(code.slice(position) + '\n'));
+
+    const scrollbarWidth = (
+      textarea.offsetWidth -
+      textarea.clientWidth -
+      parseFloat(computedStyle.borderLeftWidth) -
+      parseFloat(computedStyle.borderRightWidth)
+    );
+    this.$lintBackdrop
+      .css({
+        // Transfer the element's properties to the backdrop.
+        ...cd.g.inputPropsAffectingCoords.reduce((props, propName) => {
+          props[propName] = computedStyle[propName];
+          return props;
+        }, {}),
+
+        top: textarea.offsetTop,
+        left: textarea.offsetLeft,
+        width: textarea.offsetWidth,
+        height: textarea.offsetHeight,
+        paddingRight: `${parseFloat(computedStyle.paddingRight) + scrollbarWidth}px`,
+        borderColor: 'transparent',
+        overflowX: 'hidden',
+        overflowY: 'hidden',
+      })
+      .empty()
+      .append(nodes)
+      .scrollTop(textarea.scrollTop);
+  }
+
+  /**
+   * Run the {@link module:submitChecks checks} before submitting the form and show their results in
+   * the message area. Warnings stop the submission only once for the same form content, so that
+   * the user could submit the form once more to confirm.
    *
    * @param {object} options
    * @param {boolean} options.doDelete
    * @returns {Promise.<boolean>}
    * @private
    */
-  runChecks({ doDelete }) {
-    const checks = [
-      {
-        condition: !doDelete && this.headlineInput?.getValue() === '',
-        confirmation: () => {
-          const ending = this.headlineInputPlaceholder === cd.s('cf-headline-topic') ?
-            'topic' :
-            'subsection';
-          return confirm(
-            cd.s(`cf-confirm-noheadline-${ending}`) +
-            ' ' +
-            cd.s('cf-confirm-noheadline-question')
-          );
-        },
-      },
-      {
-        condition: (
-          !doDelete &&
-          !this.commentInput.getValue().trim() &&
-          !cd.config.dontConfirmEmptyCommentPages
-            .some((regexp) => pageRegistry.getCurrent().name.match(regexp))
-        ),
-        confirmation: () => confirm(cd.s('cf-confirm-empty')),
-      },
-      {
-        condition: (
-          !doDelete &&
-          this.commentInput.getValue().trim().length > cd.config.longCommentThreshold
-        ),
-        confirmation: () => confirm(cd.s('cf-confirm-long', cd.config.longCommentThreshold)),
-      },
-      {
-        condition: (
-          !doDelete &&
-          /^==[^=]/m.test(this.commentInput.getValue()) &&
-          this.mode !== 'edit' &&
-          !this.preloadConfig?.commentTemplate
-        ),
-        confirmation: () => confirm(cd.s('cf-confirm-secondlevelheading')),
-      },
-      {
-        condition: doDelete,
-        confirmation: () => confirm(cd.s('cf-confirm-delete')),
-      }
-    ];
+  async runChecks({ doDelete }) {
+    this.checkMessageNames?.forEach((name) => {
+      this.hideMessage(name);
+    });
 
-    for (const check of checks) {
-      if (check.condition && !check.confirmation()) {
-        focusInput(this.commentInput);
-        return false;
-      }
+    /**
+     * Whether the checks are being run. The form can't be submitted or scheduled until they finish,
+     * so that pressing Enter twice doesn't post the comment twice.
+     *
+     * @type {boolean|undefined}
+     * @private
+     */
+    this.areChecksRunning = true;
+
+    let results;
+    try {
+      results = await submitChecks.run(this, { doDelete });
+    } finally {
+      this.areChecksRunning = false;
+    }
+
+    /**
+     * Names of the messages shown by the last run of the checks.
+     *
+     * @type {string[]|undefined}
+     * @private
+     */
+    this.checkMessageNames = results.map(({ check }) => `check-${check.name}`);
+
+    results.forEach(({ check, message }) => {
+      this.showMessage(message, {
+        type: checkSeverityToMessageType[check.severity],
+        name: `check-${check.name}`,
+      });
+    });
+
+    const warnedState = JSON.stringify([
+      results
+        .filter(({ check }) => check.severity === 'warn')
+        .map(({ check }) => check.name),
+      doDelete,
+      this.headlineInput?.getValue(),
+      this.commentInput.getValue(),
+    ]);
+    const isBlocked = results.some(({ check }) => check.severity === 'block');
+    const needsConfirmation = (
+      results.some(({ check }) => check.severity === 'warn') &&
+      warnedState !== this.warnedState
+    );
+
+    if (needsConfirmation) {
+      /**
+       * Form state for which the check warnings were shown last time. If the form is submitted
+       * again with the same state, the warnings are considered confirmed.
+       *
+       * @type {string|undefined}
+       * @private
+       */
+      this.warnedState = warnedState;
+
+      this.showMessage(cd.sParse('cf-check-confirm'), {
+        type: 'warning',
+        name: 'check-confirm',
+      });
+      this.checkMessageNames.push('check-confirm');
+    }
+
+    if (isBlocked || needsConfirmation) {
+      focusInput(this.commentInput);
+      return false;
     }
 
     return true;
@@ -2855,9 +3381,9 @@ class CommentForm {
    */
   async editPage(code, operation) {
     let result;
+    let sectionOrPage;
     try {
       let sectionParam;
-      let sectionOrPage;
       let sectionTitleParam;
       if (this.sectionSubmitted) {
         if (this.mode === 'addSection') {
@@ -2884,11 +3410,14 @@ class CommentForm {
       if (e instanceof CdError) {
         const { type, details } = e.data;
         if (type === 'network') {
-          this.handleError({
-            type,
-            message: cd.sParse('cf-error-couldntedit'),
-            operation,
+          operation.close();
+
+          // The request could reach the server and the edit could be saved despite the error, so
+          // the page history is checked before the next attempt.
+          this.queueState = Object.assign({}, this.queueState, {
+            unconfirmedEdit: { baseRevisionId: sectionOrPage?.revisionId },
           });
+          this.enqueue(cd.sParse('cf-error-couldntedit'));
         } else {
           let messageType;
           let { code, message, isRawMessage, logMessage } = details;
@@ -3047,12 +3576,32 @@ class CommentForm {
    * Submit the form.
    *
    * @param {boolean} [afterEditConflict=false]
+   * @param {boolean} [fromQueue=false] Whether the submission is retried from the
+   *   {@link module:submissionQueue submission queue} (the checks were already run at the first
+   *   attempt).
    */
-  async submit(afterEditConflict = false) {
-    if (this.isBeingSubmitted() || this.isContentBeingLoaded()) return;
+  async submit(afterEditConflict = false, fromQueue = false) {
+    if (this.isBeingSubmitted() || this.isContentBeingLoaded() || this.areChecksRunning) return;
 
     const doDelete = this.deleteCheckbox?.isSelected();
-    if (!this.runChecks({ doDelete })) return;
+    if (!fromQueue && !(await this.runChecks({ doDelete }))) return;
+
+    /**
+     * State of the form in the {@link module:submissionQueue submission queue} before the current
+     * submission. If the submission fails because of a network error, the form is queued again with
+     * this state. If the form is not in the queue, the state left by the previous submission is
+     * kept, so that an edit request that failed is checked for even if the user submits the form
+     * manually.
+     *
+     * @type {import('./submissionQueue').QueueState|undefined}
+     * @private
+     */
+    this.queueState = submissionQueue.getState(this) || this.queueState;
+    submissionQueue.remove(this);
+    this.hideMessage('queued');
+    if (!fromQueue) {
+      this.unschedule();
+    }
 
     const operation = this.operations.register('submit', undefined, !afterEditConflict);
 
@@ -3067,6 +3616,51 @@ class CommentForm {
       return;
     }
 
+    if (this.queueState?.unconfirmedEdit) {
+      let savedRevision;
+      try {
+        savedRevision = await this.findUnconfirmedEdit(this.queueState.unconfirmedEdit);
+      } catch (e) {
+        operation.close();
+        if (e instanceof CdError) {
+          if (e.data.type === 'network') {
+            this.enqueue();
+          } else {
+            this.handleError(
+              Object.assign({}, { message: cd.sParse('cf-error-getpagecode') }, e.data)
+            );
+          }
+        } else {
+          this.handleError({
+            type: 'javascript',
+            logMessage: e,
+          });
+        }
+        return;
+      }
+
+      if (savedRevision) {
+        submissionQueue.remove(this);
+        mw.notify(cd.s('cf-notice-alreadysaved'));
+        this.reloadPage(
+          {
+            wasCommentFormSubmitted: true,
+            commentIds: doDelete ?
+              undefined :
+              [
+                this.mode === 'edit' ?
+                  this.target.id :
+                  this.generateFutureCommentId(savedRevision.timestamp),
+              ],
+          },
+          operation
+        );
+        return;
+      }
+
+      this.queueState = Object.assign({}, this.queueState, { unconfirmedEdit: undefined });
+    }
+
     const { contextCode, commentCode } = await this.prepareSource('submit') || {};
     if (contextCode === undefined) {
       operation.close();
@@ -3093,6 +3687,10 @@ class CommentForm {
       this.updateSubscriptionStatus(editTimestamp, commentCode, passedData);
     }
 
+    if (!doDelete) {
+      mentionSuggestions.rememberMentions(commentCode);
+    }
+
     if (this.watchCheckbox?.isSelected() && $('#ca-watch').length) {
       $('#ca-watch')
         .attr('id', 'ca-unwatch')
@@ -3123,6 +3721,163 @@ class CommentForm {
     this.reloadPage(passedData, operation);
   }
 
+  /**
+   * Find the revision saved by an edit request of the form that failed because of a network error.
+   * The revision is looked for among the revisions of the target page by the current user made
+   * after the revision the edit was based on.
+   *
+   * @param {object} unconfirmedEdit See {@link module:submissionQueue~QueueState}.
+   * @param {number} [unconfirmedEdit.baseRevisionId]
+   * @returns {Promise.<?object>} Revision data if the edit was saved.
+   * @throws {CdError}
+   * @private
+   */
+  async findUnconfirmedEdit({ baseRevisionId }) {
+    let revisions;
+    try {
+      revisions = await this.targetPage.getRevisions({
+        rvprop: ['ids', 'timestamp'],
+        rvuser: userRegistry.getCurrent().getName(),
+        rvendid: baseRevisionId,
+        rvlimit: 1,
+      });
+    } catch (e) {
+      // No revisions by the user (or no page if the edit was supposed to create it)
+      if (e instanceof CdError && e.data.code === 'noData') {
+        return null;
+      }
+      throw e;
+    }
+
+    return revisions.find((revision) => !baseRevisionId || revision.revid > baseRevisionId) || null;
+  }
+
+  /**
+   * Put the form into the {@link module:submissionQueue submission queue} after a network error so
+   * that the submission is retried automatically, and let the user know.
+   *
+   * @param {string} [details] Text to prepend to the message.
+   * @private
+   */
+  enqueue(details) {
+    submissionQueue.add(this, this.queueState);
+    this.showQueuedMessage(submissionQueue.getState(this), details);
+  }
+
+  /**
+   * Show a message saying that the comment is waiting to be sent.
+   *
+   * @param {import('./submissionQueue').QueueState} queueState
+   * @param {string} [details] Text to prepend to the message.
+   * @private
+   */
+  showQueuedMessage(queueState, details) {
+    this.hideMessage('queued');
+    const message = cd.sParse(
+      'cf-notice-queued',
+      formatDate(new Date(queueState.nextAttemptUnixTime))
+    );
+    this.showMessage(
+      wrap((details ? details + ' ' : '') + message, {
+        callbacks: {
+          'cd-message-retry': () => {
+            submissionQueue.retry(this);
+          },
+        },
+      }),
+      {
+        type: 'warning',
+        name: 'queued',
+      }
+    );
+  }
+
+  /**
+   * Ask the user for the time to post the comment at and schedule the submission, or change the time
+   * if the comment is already scheduled. The checks that are run before submitting are run now, as
+   * nobody will be there to answer them at the time of posting.
+   */
+  async schedule() {
+    if (
+      this.isBeingSubmitted() ||
+      this.isContentBeingLoaded() ||
+      this.areChecksRunning ||
+      !(await this.runChecks({ doDelete: false }))
+    ) {
+      return;
+    }
+
+    const input = new OO.ui.TextInputWidget();
+
+    // OOUI doesn't accept the "datetime-local" type in the config.
+    input.$input.attr('type', 'datetime-local');
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const date = new Date(scheduledComments.getData(this)?.unixTime || Date.now() + 60 * cd.g.msInMin);
+    input.setValue(
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    );
+
+    const $message = $('<div>').append(
+      $('<p>').text(cd.s('cf-postat-prompt')),
+      input.$element,
+    );
+    let unixTime;
+    while (!unixTime) {
+      if (await showConfirmDialog($message, { size: 'medium' }) !== 'accept') return;
+
+      unixTime = new Date(input.getValue()).getTime();
+      if (!(unixTime > Date.now())) {
+        unixTime = null;
+        $message.children('p').text(cd.s('cf-postat-invalid'));
+      }
+    }
+
+    scheduledComments.add(this, unixTime);
+    this.showScheduledMessage();
+  }
+
+  /**
+   * Remove the form from the schedule so that the comment is not posted automatically.
+   *
+   * @param {boolean} [isCancelled=true] Whether the user cancelled the posting (as opposed to the
+   *   comment being posted in another tab).
+   */
+  unschedule(isCancelled = true) {
+    scheduledComments.remove(this, isCancelled);
+    this.hideMessage('scheduled');
+  }
+
+  /**
+   * Show a message saying when the comment will be posted.
+   *
+   * @private
+   */
+  showScheduledMessage() {
+    this.hideMessage('scheduled');
+    const date = new Date(scheduledComments.getData(this).unixTime);
+    this.showMessage(
+      wrap(cd.sParse('cf-notice-scheduled', formatDate(date)), {
+        callbacks: {
+          'cd-message-changeTime': () => {
+            this.schedule();
+          },
+          'cd-message-unschedule': () => {
+            this.unschedule();
+          },
+          'cd-message-manageScheduled': () => {
+            controller.showScheduledCommentsDialog();
+          },
+        },
+      }),
+      {
+        type: 'notice',
+        name: 'scheduled',
+      }
+    );
+  }
+
   /**
    * Ask for a confirmation to close the form if necessary.
    *
@@ -3138,7 +3893,8 @@ class CommentForm {
    * @param {boolean} [confirmClose=true] Whether to confirm form close.
    */
   async cancel(confirmClose = true) {
-    if (controller.isPageOverlayOn() || this.isBeingSubmitted()) return;
+    // Forms can be opened in the thread focus overlay.
+    if (controller.isPageOverlayOn(true) || this.isBeingSubmitted()) return;
 
     if (confirmClose && !this.confirmClose()) {
       focusInput(this.commentInput);
@@ -3170,6 +3926,9 @@ class CommentForm {
   destroy() {
     if (this.mode === 'reply') {
       this.target.subitemList.remove('replyForm');
+
+      // The form could have been moved out of the subitem list (see `module:threadFocus`).
+      this.$element.remove();
     } else {
       this.$outermostElement.remove();
       if (this.mode === 'addSection') {
@@ -3209,6 +3968,8 @@ class CommentForm {
       delete this.target[CommentFormStatic.modeToProperty(this.mode) + 'Form'];
     }
     CommentFormStatic.remove(this);
+    submissionQueue.remove(this);
+    scheduledComments.remove(this, true);
     CommentFormStatic.saveSession(true);
     navPanel.updateCommentFormButton();
     controller.updatePageTitle();
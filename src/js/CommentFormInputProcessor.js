@@ -1,6 +1,6 @@
 import CdError from './CdError';
 import cd from './cd';
-import { generateTagsRegexp, hideSensitiveCode } from './wikitext';
+import { generateTagsRegexp, hideSensitiveCode, prepareLineStart } from './wikitext';
 import { hideText, unhideText } from './utils';
 
 const galleryRegexp = /^\x01\d+_gallery\x02$/m;
@@ -269,20 +269,6 @@ class CommentFormInputProcessor {
     return listToTags(lines);
   }
 
-  /**
-   * Add indentation chars to the start of the line.
-   *
-   * @param {string} indentation
-   * @param {string} line
-   * @param {boolean} [addLine=true] Add the line itself.
-   * @returns {string}
-   * @private
-   */
-  prepareLineStart(indentation, line, addLine = true) {
-    const addSpace = indentation && cd.config.spaceAfterIndentationChars && !/^[:*#;]/.test(line);
-    return indentation + (addSpace ? ' ' : '') + (addLine ? line : '');
-  }
-
   /**
    * Perform operations with code in an indented comment.
    *
@@ -319,7 +305,7 @@ class CommentFormInputProcessor {
       // formatting. If there is no paragraph template, there won't be multiple newlines, as they
       // will have been removed above.
       const newlinesToAdd = newlines.length > 1 ? '\n\n\n' : '\n';
-      const line = this.prepareLineStart(this.restLinesIndentation, nextLine);
+      const line = prepareLineStart(this.restLinesIndentation, nextLine);
 
       return newlinesToAdd + line;
     });
@@ -355,7 +341,7 @@ class CommentFormInputProcessor {
       // above.
       const newlinesToAdd = newlines.length > 1 ? '\n\n' : '';
 
-      return previousLine + '\n' + this.prepareLineStart(this.restLinesIndentation, newlinesToAdd);
+      return previousLine + '\n' + prepareLineStart(this.restLinesIndentation, newlinesToAdd);
     });
 
     const paragraphCode = cd.config.paragraphTemplates.length ?
@@ -508,8 +494,9 @@ class CommentFormInputProcessor {
    */
   addSignature() {
     if (!this.commentForm.omitSignatureCheckbox?.isSelected()) {
-      // Remove signature tildes from the end of the comment.
-      this.code = this.code.replace(/\s*~{3,}$/, '');
+      // Remove signature tildes from the end of the comment. Five tildes are the date only (it can
+      // come from a canned reply, for example), so we keep them.
+      this.code = this.code.replace(/\s*~{3,}$/, (s) => /^\s*~{5}$/.test(s) ? s : '');
     }
 
     if (this.action === 'preview' && this.signature) {
@@ -585,13 +572,13 @@ class CommentFormInputProcessor {
     }
 
     if (this.action !== 'preview') {
-      this.code = this.prepareLineStart(this.indentation, this.code);
+      this.code = prepareLineStart(this.indentation, this.code);
 
       if (this.mode === 'addSubsection') {
         this.code += '\n';
       }
     } else if (this.action === 'preview' && this.indentation && this.initialCode) {
-      this.code = this.prepareLineStart(':', this.code);
+      this.code = prepareLineStart(':', this.code);
     }
   }
 
@@ -11,6 +11,9 @@ import cd from './cd';
 import controller from './controller';
 import pageRegistry from './pageRegistry';
 import postponements from './postponements';
+import scheduledComments from './scheduledComments';
+import submissionQueue from './submissionQueue';
+import tabCoordination from './tabCoordination';
 import {
   areObjectsEqual,
   focusInput,
@@ -51,6 +54,28 @@ function cleanUpSessionRegistry(data) {
   return newData;
 }
 
+/**
+ * Check whether saved comment form data belongs to another tab, open or closed.
+ *
+ * @param {object} data
+ * @returns {boolean}
+ * @private
+ */
+function isFromOtherTab(data) {
+  return Boolean(data.tabId && data.tabId !== tabCoordination.getTabId());
+}
+
+/**
+ * Check whether saved comment form data belongs to another tab that is still open.
+ *
+ * @param {object} data
+ * @returns {boolean}
+ * @private
+ */
+function isFromOtherOpenTab(data) {
+  return isFromOtherTab(data) && tabCoordination.isTabAlive(data.tabId);
+}
+
 /**
  * @exports CommentFormStatic
  */
@@ -117,6 +142,8 @@ const CommentFormStatic = {
    */
   reset() {
     this.items.length = 0;
+    submissionQueue.reset();
+    scheduledComments.reset();
   },
 
   /**
@@ -295,11 +322,22 @@ const CommentFormStatic = {
           originalComment: commentForm.getOriginalComment(),
           summaryAltered: commentForm.isSummaryAltered(),
           lastFocused: commentForm.getLastFocused(),
+          queued: submissionQueue.getState(commentForm),
+          scheduled: scheduledComments.getData(commentForm),
+          tabId: tabCoordination.getTabId(),
         }));
+
+      // Keep the drafts of the other tabs with the same page. The drafts of the closed tabs are
+      // kept until they are restored (see CommentFormStatic.restoreSession) or expire.
+      const dataAllPages = getFromLocalStorage('commentForms');
+      commentForms.push(
+        ...(dataAllPages[mw.config.get('wgPageName')]?.commentForms || [])
+          .filter((data) => isFromOtherTab(data))
+      );
+
       const saveUnixTime = Date.now();
       const data = commentForms.length ? { commentForms, saveUnixTime } : {};
 
-      const dataAllPages = getFromLocalStorage('commentForms');
       dataAllPages[mw.config.get('wgPageName')] = data;
       saveToLocalStorage('commentForms', dataAllPages);
     };
@@ -422,10 +460,21 @@ const CommentFormStatic = {
       this.reset();
 
       const dataAllPages = cleanUpSessionRegistry(getFromLocalStorage('commentForms'));
-      saveToLocalStorage('commentForms', dataAllPages);
       const data = dataAllPages[mw.config.get('wgPageName')] || {};
+      let commentForms = [];
       if (data.commentForms) {
-        this.restoreFromStorage(data);
+        // The drafts of the other open tabs with the same page are restored there. The rest,
+        // including the drafts of the closed tabs, are taken over by this tab, so we remove them
+        // from the storage to prevent restoring them twice.
+        commentForms = data.commentForms.filter((data) => !isFromOtherOpenTab(data));
+        const otherCommentForms = data.commentForms.filter((data) => isFromOtherOpenTab(data));
+        dataAllPages[mw.config.get('wgPageName')] = otherCommentForms.length ?
+          Object.assign({}, data, { commentForms: otherCommentForms }) :
+          {};
+      }
+      saveToLocalStorage('commentForms', dataAllPages);
+      if (commentForms.length) {
+        this.restoreFromStorage(Object.assign({}, data, { commentForms }));
       }
     } else {
       this.restoreDirectly();
@@ -8,6 +8,7 @@ import {
   hideSensitiveCode,
   hideTemplatesRecursively,
   normalizeCode,
+  prepareLineStart,
   removeWikiMarkup,
 } from './wikitext';
 import {
@@ -814,4 +815,26 @@ export default class CommentSource {
 
     return { contextCode, commentCode };
   }
+
+  /**
+   * Replace the code of the comment (without the heading, the indentation of the first line, and
+   * the signature) in the code of the section or page, keeping the heading, the indentation, and
+   * the signature.
+   *
+   * @param {string} code New code of the comment, in the same format as `CommentSource#code`.
+   * @param {string} [contextCode] Code that has the comment. See
+   *   {@link CommentSource#modifyContext}.
+   * @returns {object}
+   */
+  replaceCode(code, contextCode) {
+    return this.modifyContext({
+      action: 'edit',
+      commentCode: (
+        (this.headingCode || '') +
+        prepareLineStart(this.indentation, code) +
+        this.signatureDirtyCode
+      ),
+      contextCode,
+    });
+  }
 }
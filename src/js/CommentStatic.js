@@ -321,6 +321,32 @@ const CommentStatic = {
     });
   },
 
+  /**
+   * _For internal use._ Get the IDs of the comments that are not seen yet.
+   *
+   * @returns {string[]}
+   */
+  getUnseenIds() {
+    return this.items
+      .filter((comment) => comment.isSeen === false && comment.id)
+      .map((comment) => comment.id);
+  },
+
+  /**
+   * _For internal use._ Mark comments as seen without flashing them, for example when they were
+   * seen in another tab.
+   *
+   * @param {string[]} ids
+   */
+  markAsSeen(ids) {
+    this.items
+      .filter((comment) => comment.isSeen === false && ids.includes(comment.id))
+      .forEach((comment) => {
+        comment.isSeen = true;
+      });
+    navPanel.updateFirstUnseenButton();
+  },
+
   /**
    * _For internal use._ Mark comments that are currently in the viewport as read, and also
    * {@link Comment#flash flash} comments that are prescribed to flash.
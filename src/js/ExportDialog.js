@@ -0,0 +1,173 @@
+import cd from './cd';
+import discussionExport from './discussionExport';
+import { copyText } from './utils';
+import { tweakUserOoUiClass } from './ooui';
+
+/**
+ * Class used to create an "Export" dialog where a section or thread can be copied or downloaded as
+ * Markdown, plain text or JSON.
+ *
+ * @augments external:OO.ui.ProcessDialog
+ */
+class ExportDialog extends OO.ui.ProcessDialog {
+  static name = 'exportDialog';
+  static title = cd.s('ed-title');
+  static actions = [
+    {
+      action: 'close',
+      modes: ['export'],
+      flags: ['safe', 'close'],
+    },
+    {
+      action: 'copy',
+      modes: ['export'],
+      label: cd.s('ed-copy'),
+      flags: ['primary', 'progressive'],
+    },
+    {
+      action: 'download',
+      modes: ['export'],
+      label: cd.s('ed-download'),
+    },
+  ];
+  static size = 'large';
+
+  /**
+   * Create an "Export" dialog.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target Section or thread to
+   *   export.
+   */
+  constructor(target) {
+    super({
+      classes: ['cd-dialog-export'],
+    });
+
+    this.target = target;
+  }
+
+  /**
+   * OOUI native method to get the height of the window body.
+   *
+   * @returns {number}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getBodyHeight
+   */
+  getBodyHeight() {
+    return this.$body.prop('scrollHeight');
+  }
+
+  /**
+   * OOUI native method that initializes window contents.
+   *
+   * @param {...*} [args]
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.ProcessDialog-method-initialize
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  initialize(...args) {
+    super.initialize(...args);
+
+    this.formatSelect = new OO.ui.ButtonSelectWidget({
+      items: ['markdown', 'text', 'json'].map((format) => (
+        new OO.ui.ButtonOptionWidget({
+          data: format,
+
+          // Messages that can be used here:
+          // * ed-format-markdown
+          // * ed-format-text
+          // * ed-format-json
+          label: cd.s(`ed-format-${format}`),
+        })
+      )),
+    });
+    this.formatSelect.selectItemByData('markdown');
+    this.formatSelect.on('choose', () => {
+      this.update();
+    });
+
+    this.outputInput = new OO.ui.MultilineTextInputWidget({
+      readOnly: true,
+      rows: 15,
+      classes: ['cd-dialog-export-output'],
+    });
+
+    this.panel = new OO.ui.PanelLayout({
+      padded: true,
+      expanded: false,
+    });
+    this.panel.$element.append(this.formatSelect.$element, this.outputInput.$element);
+    this.$body.append(this.panel.$element);
+  }
+
+  /**
+   * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} [data] Dialog opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getSetupProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  getSetupProcess(data) {
+    return super.getSetupProcess(data).next(() => {
+      this.actions.setMode('export');
+      this.update();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a process for taking action.
+   *
+   * @param {string} action Symbolic name of the action.
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getActionProcess
+   * @private
+   */
+  getActionProcess(action) {
+    if (action === 'copy') {
+      return new OO.ui.Process(() => {
+        copyText(this.outputInput.getValue(), {
+          success: cd.s('ed-copy-success'),
+          fail: cd.s('ed-copy-fail'),
+        });
+        this.close();
+      });
+    } else if (action === 'download') {
+      return new OO.ui.Process(() => {
+        discussionExport.download(this.target, this.getFormat(), this.outputInput.getValue());
+      });
+    } else if (action === 'close') {
+      return new OO.ui.Process(() => {
+        this.close();
+      });
+    }
+    return super.getActionProcess(action);
+  }
+
+  /**
+   * Get the selected export format.
+   *
+   * @returns {'markdown'|'text'|'json'}
+   * @private
+   */
+  getFormat() {
+    return this.formatSelect.findSelectedItem().getData();
+  }
+
+  /**
+   * Serialize the discussion in the selected format and show the result.
+   *
+   * @private
+   */
+  update() {
+    this.outputInput.setValue(discussionExport.serialize(this.target, this.getFormat()));
+    this.updateSize();
+  }
+}
+
+tweakUserOoUiClass(ExportDialog, OO.ui.ProcessDialog);
+
+export default ExportDialog;
@@ -8,7 +8,9 @@ import { createCheckboxField, tweakUserOoUiClass } from './ooui';
 import { encodeWikilink, endWithTwoNewlines, findFirstTimestamp } from './wikitext';
 
 /**
- * Class used to create a move section dialog.
+ * Class used to create a move section dialog. The dialog can move one section or, in the multiple
+ * mode, several sections picked by the user, in which case they are moved in one edit to the target
+ * page and one edit to the source page.
  *
  * @augments external:OO.ui.ProcessDialog
  */
@@ -34,11 +36,15 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
   /**
    * Create a move section dialog.
    *
-   * @param {import('./Section').default} section
+   * @param {import('./Section').default|import('./Section').default[]} sections Section to move
+   *   or, to let the user pick several sections, a list of sections to choose from. All sections
+   *   should have the same source page.
    */
-  constructor(section) {
+  constructor(sections) {
     super();
-    this.section = section;
+    this.isMultiple = Array.isArray(sections);
+    this.sections = this.isMultiple ? sections : [sections];
+    this.sourcePage = this.sections[0].getSourcePage();
   }
 
   /**
@@ -68,7 +74,7 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
     this.pushPending();
 
     this.preparatoryRequests = [
-      this.section.getSourcePage().loadCode(),
+      this.sourcePage.loadCode(),
       mw.loader.using('mediawiki.widgets'),
     ];
 
@@ -109,6 +115,9 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
     return super.getSetupProcess(data).next(() => {
       this.stackLayout.setItem(this.loadingPanel);
       this.actions.setMode('move');
+      if (this.isMultiple) {
+        this.title.setLabel(cd.s('msd-title-multiple'));
+      }
     });
   }
 
@@ -132,22 +141,63 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
         return;
       }
 
-      try {
-        this.section.locateInCode();
-      } catch (e) {
-        if (e instanceof CdError) {
-          const { data } = e.data;
-          const messageName = data === 'locateSection' ? 'error-locatesection' : 'error-unknown';
-          const message = cd.sParse(messageName);
-          this.abort(message, false);
-        } else {
-          this.abort(cd.sParse('error-javascript'), false);
+      let locatedSections;
+      if (this.isMultiple) {
+        // Sections that are not found are listed, but can't be picked.
+        locatedSections = this.sections.filter((section) => {
+          try {
+            section.locateInCode();
+            return true;
+          } catch (e) {
+            if (!(e instanceof CdError)) {
+              console.warn(e);
+            }
+            return false;
+          }
+        });
+        if (!locatedSections.length) {
+          this.abort(cd.sParse('error-locatesection'), false);
+          return;
+        }
+      } else {
+        try {
+          this.sections[0].locateInCode();
+        } catch (e) {
+          if (e instanceof CdError) {
+            const { data } = e.data;
+            const messageName = data === 'locateSection' ? 'error-locatesection' : 'error-unknown';
+            const message = cd.sParse(messageName);
+            this.abort(message, false);
+          } else {
+            this.abort(cd.sParse('error-javascript'), false);
+          }
+          return;
         }
-        return;
       }
-      const sectionCode = this.section.source.code;
 
       this.controls = {};
+
+      if (this.isMultiple) {
+        this.controls.sections = {};
+        this.controls.sections.input = new OO.ui.CheckboxMultiselectWidget({
+          items: this.sections.map((section) => (
+            new OO.ui.CheckboxMultioptionWidget({
+              data: section,
+              label: section.headline,
+              disabled: !locatedSections.includes(section),
+            })
+          )),
+          classes: ['cd-dialog-moveSection-sections'],
+        });
+        this.controls.sections.input.on('select', () => {
+          this.updateMoveAbility();
+        });
+        this.controls.sections.field = new OO.ui.FieldLayout(this.controls.sections.input, {
+          label: cd.s('msd-sections'),
+          align: 'top',
+        });
+      }
+
       this.controls.title = {},
       this.controls.title.input = new mw.widgets.TitleInputWidget({
         $overlay: this.$overlay,
@@ -156,7 +206,7 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
         validate: () => {
           const title = this.controls.title.input.getMWTitle();
           const page = title && pageRegistry.get(title);
-          return page && page !== this.section.getSourcePage();
+          return page && page !== this.sourcePage;
         },
       });
       this.controls.title.field = new OO.ui.FieldLayout(this.controls.title.input, {
@@ -196,15 +246,24 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
         align: 'top',
       });
 
+      let $code;
+      if (!this.isMultiple) {
+        const sectionCode = this.sections[0].source.code;
+        $code = [
+          $('<pre>')
+            .addClass('cd-dialog-moveSection-code')
+            .text(sectionCode.slice(0, 300) + (sectionCode.length >= 300 ? '...' : '')),
+          $('<p>')
+            .addClass('cd-dialog-moveSection-code-note')
+            .text(cd.s('msd-bottom')),
+        ];
+      }
+
       this.movePanel.$element.append(
+        this.controls.sections?.field.$element,
         this.controls.title.field.$element,
-        this.controls.keepLink.field?.$element,
-        $('<pre>')
-          .addClass('cd-dialog-moveSection-code')
-          .text(sectionCode.slice(0, 300) + (sectionCode.length >= 300 ? '...' : '')),
-        $('<p>')
-          .addClass('cd-dialog-moveSection-code-note')
-          .text(cd.s('msd-bottom')),
+        this.controls.keepLink?.field.$element,
+        $code,
         this.controls.summaryEnding.field.$element,
       );
 
@@ -242,17 +301,18 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
         let targetPage = pageRegistry.get(this.controls.title.input.getMWTitle());
 
         // Should be ruled out by making the button disabled.
-        if (targetPage === this.section.getSourcePage()) {
+        if (targetPage === this.sourcePage) {
           this.abort(cd.sParse('msd-error-wrongpage'), false);
           return;
         }
 
+        const sections = this.getSelectedSections();
         let source;
         let target;
         try {
           [source, target] = await Promise.all([
-            this.loadSourcePage(),
-            this.loadTargetPage(targetPage),
+            this.loadSourcePage(sections),
+            this.loadTargetPage(targetPage, sections),
           ]);
           await this.editTargetPage(source, target);
           await this.editSourcePage(source, target);
@@ -261,13 +321,20 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
           return;
         }
 
-        this.successPanel.$element.append(
-          wrap(cd.sParse('msd-moved', target.sectionWikilink), { tagName: 'div' })
-        );
-
-        controller.reload({
-          sectionId: this.controls.keepLink.input.isSelected() ? this.section.id : undefined,
-        });
+        this.successPanel.$element.empty();
+        if (this.isMultiple) {
+          this.showResults(sections, source, target);
+          controller.reload();
+        } else {
+          this.successPanel.$element.append(
+            wrap(cd.sParse('msd-moved', target.sectionWikilinks.get(sections[0])), {
+              tagName: 'div',
+            })
+          );
+          controller.reload({
+            sectionId: this.isKeepLinkSelected() ? sections[0].id : undefined,
+          });
+        }
 
         this.stackLayout.setItem(this.successPanel);
         this.actions.setMode('success');
@@ -287,23 +354,58 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
    * @private
    */
   async onTitleInputChange() {
-    let move = true;
+    this.isTitleValid = true;
     await this.controls.title.input.getValidity().catch(() => {
-      move = false;
+      this.isTitleValid = false;
+    });
+    this.updateMoveAbility();
+  }
+
+  /**
+   * Enable or disable the "Move" button depending on the state of the controls.
+   *
+   * @private
+   */
+  updateMoveAbility() {
+    this.actions.setAbilities({
+      move: Boolean(this.isTitleValid && this.getSelectedSections().length),
     });
-    this.actions.setAbilities({ move });
   }
 
   /**
-   * Load the source page code.
+   * Get the sections to move.
+   *
+   * @returns {import('./Section').default[]}
+   * @private
+   */
+  getSelectedSections() {
+    return this.isMultiple ?
+      this.controls.sections.input.findSelectedItemsData() :
+      this.sections;
+  }
+
+  /**
+   * Check whether the "Keep a link" checkbox is present and checked.
+   *
+   * @returns {boolean}
+   * @private
+   */
+  isKeepLinkSelected() {
+    return Boolean(this.controls.keepLink?.input.isSelected());
+  }
+
+  /**
+   * Load the source page code and locate the sections in it. In the multiple mode, sections that
+   * couldn't be located are skipped (an error is thrown only if none were located).
    *
+   * @param {import('./Section').default[]} sections
    * @returns {object}
    * @throws {Array.<string|boolean>}
    * @private
    */
-  async loadSourcePage() {
+  async loadSourcePage(sections) {
     try {
-      await this.section.getSourcePage().loadCode(false);
+      await this.sourcePage.loadCode(false);
     } catch (e) {
       if (e instanceof CdError) {
         const { type, code } = e.data;
@@ -321,27 +423,43 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
       }
     }
 
-    try {
-      this.section.locateInCode();
-    } catch (e) {
-      if (e instanceof CdError) {
-        const { code } = e.data;
-        const messageName = code === 'locateSection' ? 'error-locatesection' : 'error-unknown';
-        const message = cd.sParse(messageName);
-        throw [message, true];
-      } else {
-        throw [cd.sParse('error-javascript'), false];
+    const pageName = this.sourcePage.name;
+    const items = [];
+    const notFoundSections = [];
+    sections.forEach((section) => {
+      try {
+        section.locateInCode();
+      } catch (e) {
+        if (e instanceof CdError) {
+          if (this.isMultiple) {
+            notFoundSections.push(section);
+            return;
+          }
+          const { code } = e.data;
+          const messageName = code === 'locateSection' ? 'error-locatesection' : 'error-unknown';
+          const message = cd.sParse(messageName);
+          throw [message, true];
+        } else {
+          throw [cd.sParse('error-javascript'), false];
+        }
       }
+
+      items.push({
+        section,
+        sectionSource: section.source,
+        sectionWikilink: this.isKeepLinkSelected() ?
+          `${pageName}#${encodeWikilink(section.headline)}` :
+          pageName,
+      });
+    });
+    if (!items.length) {
+      throw [cd.sParse('error-locatesection'), true];
     }
 
-    const pageName = this.section.getSourcePage().name;
-    const headlineEncoded = encodeWikilink(this.section.headline);
     return {
-      page: this.section.getSourcePage(),
-      sectionSource: this.section.source,
-      sectionWikilink: this.controls.keepLink.input.isSelected() ?
-        `${pageName}#${headlineEncoded}` :
-        pageName,
+      page: this.sourcePage,
+      items,
+      notFoundSections,
     };
   }
 
@@ -349,11 +467,12 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
    * Load the target page code.
    *
    * @param {import('./pageRegistry').Page} targetPage
+   * @param {import('./Section').default[]} sections
    * @returns {object}
    * @throws {Array.<string|boolean>}
    * @private
    */
-  async loadTargetPage(targetPage) {
+  async loadTargetPage(targetPage, sections) {
     try {
       await targetPage.loadCode();
     } catch (e) {
@@ -378,25 +497,28 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
 
     return {
       page: targetPage,
-      sectionWikilink: `${targetPage.realName}#${encodeWikilink(this.section.headline)}`,
+      sectionWikilinks: new Map(
+        sections.map((section) => [
+          section,
+          `${targetPage.realName}#${encodeWikilink(section.headline)}`,
+        ])
+      ),
     };
   }
 
   /**
-   * Edit the target page.
+   * Get the code of a moved section as it should appear on the target page.
    *
-   * @param {object} source
-   * @param {object} target
-   * @returns {object}
-   * @throws {Array.<string|boolean>}
+   * @param {object} item Item of the `items` list of the source page data.
+   * @returns {string}
    * @private
    */
-  async editTargetPage(source, target) {
+  getTargetSectionCode(item) {
     let codeBeginning;
     let codeEnding;
-    if (cd.config.getMoveTargetPageCode && this.controls.keepLink.input.isSelected()) {
+    if (cd.config.getMoveTargetPageCode && this.isKeepLinkSelected()) {
       const code = cd.config.getMoveTargetPageCode(
-        source.sectionWikilink.replace(/=/g, '{{=}}'),
+        item.sectionWikilink.replace(/=/g, '{{=}}'),
         cd.g.userSignature.replace(/=/g, '{{=}}')
       );
       if (Array.isArray(code)) {
@@ -411,16 +533,76 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
       codeEnding = '';
     }
 
-    const sectionCode = source.sectionSource.code;
-    const relativeContentStartIndex = source.sectionSource.relativeContentStartIndex;
+    const sectionCode = item.sectionSource.code;
+    const relativeContentStartIndex = item.sectionSource.relativeContentStartIndex;
     const codeBefore = sectionCode.slice(0, relativeContentStartIndex);
     const sectionContentCode = sectionCode.slice(relativeContentStartIndex);
-    const newSectionCode = endWithTwoNewlines(
+    return endWithTwoNewlines(
       codeBefore +
       codeBeginning +
       sectionContentCode +
       codeEnding
     );
+  }
+
+  /**
+   * Get the code that should replace a moved section on the source page.
+   *
+   * @param {object} item Item of the `items` list of the source page data.
+   * @param {string} targetWikilink Wikilink to the section on the target page.
+   * @returns {string}
+   * @private
+   */
+  getSourceSectionCode(item, targetWikilink) {
+    if (!cd.config.getMoveSourcePageCode || !this.isKeepLinkSelected()) {
+      return '';
+    }
+
+    const sectionCode = item.sectionSource.code;
+    const timestamp = findFirstTimestamp(sectionCode) || cd.g.signCode + '~';
+    const code = cd.config.getMoveSourcePageCode(
+      targetWikilink,
+      cd.g.userSignature,
+      timestamp
+    );
+    const codeBefore = sectionCode.slice(0, item.sectionSource.relativeContentStartIndex);
+    return codeBefore + code + '\n';
+  }
+
+  /**
+   * Get the edit summary for the target or source page.
+   *
+   * @param {'es-move-from'|'es-move-to'} messageName
+   * @param {string} wikilink Wikilink to the other page (or the section on it).
+   * @returns {string}
+   * @private
+   */
+  buildSummary(messageName, wikilink) {
+    let summaryEnding = this.controls.summaryEnding.input.getValue();
+    const colon = cd.mws('colon-separator', { language: 'content' });
+    summaryEnding &&= colon + summaryEnding;
+    return buildEditSummary({
+      // Messages that can be used here:
+      // * es-move-from
+      // * es-move-to
+      text: cd.s(messageName, wikilink) + summaryEnding,
+
+      // In the multiple mode, the summary is not related to a single section.
+      section: this.isMultiple ? undefined : this.sections[0].headline,
+    });
+  }
+
+  /**
+   * Edit the target page.
+   *
+   * @param {object} source
+   * @param {object} target
+   * @returns {object}
+   * @throws {Array.<string|boolean>}
+   * @private
+   */
+  async editTargetPage(source, target) {
+    const newSectionsCode = source.items.map((item) => this.getTargetSectionCode(item)).join('');
 
     let newCode;
     const pageCode = target.page.code;
@@ -430,22 +612,18 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
 
       const codeBefore = endWithTwoNewlines(pageCode.slice(0, firstSectionStartIndex));
       const codeAfter = pageCode.slice(firstSectionStartIndex);
-      newCode = codeBefore + newSectionCode + codeAfter;
+      newCode = codeBefore + newSectionsCode + codeAfter;
     } else {
-      newCode = pageCode + (pageCode ? '\n' : '') + newSectionCode;
+      newCode = pageCode + (pageCode ? '\n' : '') + newSectionsCode;
     }
 
-    let summaryEnding = this.controls.summaryEnding.input.getValue();
-    const colon = cd.mws('colon-separator', { language: 'content' });
-    summaryEnding &&= colon + summaryEnding;
-    const summary = cd.s('es-move-from', source.sectionWikilink) + summaryEnding;
     try {
       await target.page.edit({
         text: newCode,
-        summary: buildEditSummary({
-          text: summary,
-          section: this.section.headline,
-        }),
+        summary: this.buildSummary(
+          'es-move-from',
+          this.isMultiple ? source.page.name : source.items[0].sectionWikilink
+        ),
         baserevid: target.page.revisionId,
         starttimestamp: target.page.queryTimestamp,
       });
@@ -479,38 +657,28 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
    * @throws {Array.<string|boolean>}
    */
   async editSourcePage(source, target) {
-    const sectionCode = source.sectionSource.code;
-    const timestamp = findFirstTimestamp(sectionCode) || cd.g.signCode + '~';
-
-    let newSectionCode;
-    if (cd.config.getMoveSourcePageCode && this.controls.keepLink.input.isSelected()) {
-      const code = cd.config.getMoveSourcePageCode(
-        target.sectionWikilink,
-        cd.g.userSignature,
-        timestamp
-      );
-      const codeBefore = sectionCode.slice(0, source.sectionSource.relativeContentStartIndex);
-      newSectionCode = codeBefore + code + '\n';
-    } else {
-      newSectionCode = '';
-    }
-
-    const codeBefore = source.page.code.slice(0, source.sectionSource.startIndex);
-    const codeAfter = source.page.code.slice(source.sectionSource.endIndex);
-    const newCode = codeBefore + newSectionCode + codeAfter;
-
-    let summaryEnding = this.controls.summaryEnding.input.getValue();
-    const colon = cd.mws('colon-separator', { language: 'content' });
-    summaryEnding &&= colon + summaryEnding;
-    const summary = cd.s('es-move-to', target.sectionWikilink) + summaryEnding;
+    // Replace the sections starting from the end so that the indexes of the rest stay valid.
+    let newCode = source.page.code;
+    source.items
+      .slice()
+      .sort((item1, item2) => item2.sectionSource.startIndex - item1.sectionSource.startIndex)
+      .forEach((item) => {
+        newCode = (
+          newCode.slice(0, item.sectionSource.startIndex) +
+          this.getSourceSectionCode(item, target.sectionWikilinks.get(item.section)) +
+          newCode.slice(item.sectionSource.endIndex)
+        );
+      });
 
     try {
       await source.page.edit({
         text: newCode,
-        summary: buildEditSummary({
-          text: summary,
-          section: this.section.headline,
-        }),
+        summary: this.buildSummary(
+          'es-move-to',
+          this.isMultiple ?
+            target.page.realName :
+            target.sectionWikilinks.get(source.items[0].section)
+        ),
         baserevid: source.page.revisionId,
         starttimestamp: source.page.queryTimestamp,
       });
@@ -535,6 +703,38 @@ class MoveSectionDialog extends OO.ui.ProcessDialog {
     }
   }
 
+  /**
+   * Show the result of moving each of the sections in the multiple mode.
+   *
+   * @param {import('./Section').default[]} sections
+   * @param {object} source
+   * @param {object} target
+   * @private
+   */
+  showResults(sections, source, target) {
+    this.successPanel.$element.append(
+      wrap(cd.sParse('msd-moved-multiple', source.items.length, target.page.realName), {
+        tagName: 'div',
+      }),
+      $('<ul>')
+        .addClass('cd-dialog-moveSection-results')
+        .append(
+          sections.map((section) => {
+            const isMoved = !source.notFoundSections.includes(section);
+            return $('<li>')
+              .toggleClass('cd-dialog-moveSection-results-notMoved', !isMoved)
+              .append(
+                $('<bdi>').text(section.headline),
+                cd.mws('colon-separator'),
+                isMoved ?
+                  wrap(cd.sParse('msd-result-moved', target.sectionWikilinks.get(section))) :
+                  wrap(cd.sParse('msd-result-notfound')),
+              );
+          })
+        ),
+    );
+  }
+
   /**
    * Abort an operation and show an error.
    *
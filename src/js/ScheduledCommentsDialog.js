@@ -0,0 +1,184 @@
+import cd from './cd';
+import scheduledComments from './scheduledComments';
+import { formatDate } from './timestamp';
+import { removeWikiMarkup } from './wikitext';
+import { tweakUserOoUiClass } from './ooui';
+
+/**
+ * Class used to create a "Scheduled comments" dialog where comments scheduled to be posted can be
+ * edited or cancelled.
+ *
+ * @augments external:OO.ui.ProcessDialog
+ */
+class ScheduledCommentsDialog extends OO.ui.ProcessDialog {
+  static name = 'scheduledCommentsDialog';
+  static title = cd.s('scd-title');
+  static actions = [
+    {
+      action: 'close',
+      modes: ['list'],
+      flags: ['safe', 'close'],
+    },
+  ];
+  static size = 'large';
+
+  /**
+   * OOUI native method to get the height of the window body.
+   *
+   * @returns {number}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getBodyHeight
+   */
+  getBodyHeight() {
+    return this.$body.prop('scrollHeight');
+  }
+
+  /**
+   * OOUI native method that initializes window contents.
+   *
+   * @param {...*} [args]
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.ProcessDialog-method-initialize
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  initialize(...args) {
+    super.initialize(...args);
+
+    this.panel = new OO.ui.PanelLayout({
+      padded: true,
+      expanded: false,
+    });
+    this.$body.append(this.panel.$element);
+  }
+
+  /**
+   * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} [data] Dialog opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getSetupProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  getSetupProcess(data) {
+    return super.getSetupProcess(data).next(() => {
+      this.actions.setMode('list');
+      this.renderList();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a process for taking action.
+   *
+   * @param {string} action Symbolic name of the action.
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getActionProcess
+   * @private
+   */
+  getActionProcess(action) {
+    if (action === 'close') {
+      return new OO.ui.Process(() => {
+        this.close();
+      });
+    }
+    return super.getActionProcess(action);
+  }
+
+  /**
+   * Render the list of scheduled comments.
+   *
+   * @private
+   */
+  renderList() {
+    const entries = scheduledComments.getAll();
+    this.panel.$element.empty();
+    if (!entries.length) {
+      this.panel.$element.append($('<p>').text(cd.s('scd-empty')));
+    } else {
+      this.panel.$element.append(
+        $('<p>').text(cd.s('scd-help')),
+        entries.map((entry) => this.createEntryElement(entry)),
+      );
+    }
+    this.updateSize();
+  }
+
+  /**
+   * Create an element for a scheduled comment.
+   *
+   * @param {import('./scheduledComments').ScheduledCommentEntry} entry
+   * @returns {external:jQuery}
+   * @private
+   */
+  createEntryElement(entry) {
+    const buttons = [];
+    if (entry.commentForm) {
+      const goToButton = new OO.ui.ButtonWidget({
+        label: cd.s('scd-goto'),
+        framed: false,
+        flags: ['progressive'],
+      });
+      goToButton.on('click', () => {
+        this.close();
+        entry.commentForm.goTo();
+      });
+
+      const changeTimeButton = new OO.ui.ButtonWidget({
+        label: cd.s('scd-changetime'),
+        framed: false,
+        flags: ['progressive'],
+      });
+      changeTimeButton.on('click', () => {
+        this.close();
+        entry.commentForm.schedule();
+      });
+
+      buttons.push(goToButton, changeTimeButton);
+    } else {
+      buttons.push(new OO.ui.ButtonWidget({
+        label: cd.s('scd-openpage'),
+        framed: false,
+        flags: ['progressive'],
+        href: mw.util.getUrl(entry.pageName),
+      }));
+    }
+
+    const cancelButton = new OO.ui.ButtonWidget({
+      label: cd.s('scd-cancel'),
+      framed: false,
+      flags: ['destructive'],
+    });
+    cancelButton.on('click', () => {
+      scheduledComments.cancel(entry);
+      this.renderList();
+    });
+    buttons.push(cancelButton);
+
+    const text = removeWikiMarkup(entry.comment);
+    return $('<div>')
+      .addClass('cd-scheduledComments-entry')
+      .append(
+        $('<div>')
+          .addClass('cd-scheduledComments-entry-meta')
+          .append(
+            $('<bdi>').text(entry.pageName.replace(/_/g, ' ')),
+            cd.mws('comma-separator') + formatDate(new Date(entry.unixTime)),
+          ),
+        entry.headline ?
+          $('<div>')
+            .addClass('cd-scheduledComments-entry-headline')
+            .text(entry.headline) :
+          undefined,
+        $('<div>')
+          .addClass('cd-scheduledComments-entry-text')
+          .text(text.length > 200 ? text.slice(0, 200) + '…' : text),
+        $('<div>').append(buttons.map((button) => button.$element)),
+      );
+  }
+}
+
+tweakUserOoUiClass(ScheduledCommentsDialog, OO.ui.ProcessDialog);
+
+export default ScheduledCommentsDialog;
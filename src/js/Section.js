@@ -6,8 +6,10 @@ import LiveTimestamp from './LiveTimestamp';
 import SectionSkeleton from './SectionSkeleton';
 import SectionSource from './SectionSource';
 import SectionStatic from './SectionStatic';
+import archiving from './archiving';
 import cd from './cd';
 import controller from './controller';
+import muting from './muting';
 import pageRegistry from './pageRegistry';
 import settings from './settings';
 import subscriptions from './subscriptions';
@@ -20,10 +22,12 @@ import {
   focusInput,
   underlinesToSpaces,
   unique,
+  wrap,
 } from './utils';
 import { encodeWikilink, hideDistractingCode, normalizeCode } from './wikitext';
 import { formatDate } from './timestamp';
 import { handleApiReject } from './apiWrappers';
+import { showConfirmDialog } from './ooui';
 
 let elementPrototypes;
 
@@ -454,6 +458,18 @@ class Section extends SectionSkeleton {
     );
   }
 
+  /**
+   * Mute the section if it is not muted and unmute it otherwise. Comments in a muted section are not
+   * highlighted as new, don't trigger notifications and are collapsed.
+   */
+  toggleMute() {
+    if (muting.isSectionMuted(this, false)) {
+      muting.unmute('sections', this.id);
+    } else {
+      muting.muteSection(this);
+    }
+  }
+
   /**
    * Check whether the user should get the affordance to add a subsection to the section.
    *
@@ -695,6 +711,14 @@ class Section extends SectionSkeleton {
         icon: 'arrowNext',
       }) :
       undefined;
+    const archiveOption = archiving.canArchive(this) ?
+      new OO.ui.MenuOptionWidget({
+        data: 'archive',
+        label: cd.s('sm-archive'),
+        title: cd.s('sm-archive-tooltip'),
+        icon: 'folderPlaceholder',
+      }) :
+      undefined;
     const addSubsectionOption = this.canAddSubsection() ?
       new OO.ui.MenuOptionWidget({
         data: 'addSubsection',
@@ -703,11 +727,44 @@ class Section extends SectionSkeleton {
         icon: 'speechBubbleAdd',
       }) :
       undefined;
+    const exportOption = this.comments.length ?
+      new OO.ui.MenuOptionWidget({
+        data: 'export',
+        label: cd.s('sm-export'),
+        title: cd.s('sm-export-tooltip'),
+        icon: 'download',
+      }) :
+      undefined;
+    const statisticsOption = this.comments.length ?
+      new OO.ui.MenuOptionWidget({
+        data: 'statistics',
+        label: cd.s('sm-statistics'),
+        title: cd.s('sm-statistics-tooltip'),
+        icon: 'chart',
+      }) :
+      undefined;
+    const isMuted = muting.isSectionMuted(this, false);
+    const muteOption = this.id ?
+      new OO.ui.MenuOptionWidget({
+        data: 'mute',
+        label: cd.s(isMuted ? 'sm-unmute' : 'sm-mute'),
+        title: cd.s(isMuted ? 'sm-unmute-tooltip' : 'sm-mute-tooltip'),
+        icon: 'bellOutline',
+      }) :
+      undefined;
 
     this.actions.moreMenuSelectDummy.element.remove();
     this.actionsElement.append(moreMenuSelect.$element.get(0));
 
-    const items = [editOpeningCommentOption, moveOption, addSubsectionOption].filter(defined);
+    const items = [
+      editOpeningCommentOption,
+      moveOption,
+      archiveOption,
+      addSubsectionOption,
+      exportOption,
+      statisticsOption,
+      muteOption,
+    ].filter(defined);
     moreMenuSelect.getMenu()
       .addItems(items)
       .on('choose', (option) => {
@@ -718,9 +775,26 @@ class Section extends SectionSkeleton {
           case 'move':
             this.move();
             break;
+          case 'archive':
+            this.archive();
+            break;
           case 'addSubsection':
             this.addSubsection();
             break;
+          case 'export':
+            this.export();
+            break;
+          case 'statistics':
+            this.showStatistics();
+            break;
+          case 'mute': {
+            this.toggleMute();
+            const isMutedNow = muting.isSectionMuted(this, false);
+            option
+              .setLabel(cd.s(isMutedNow ? 'sm-unmute' : 'sm-mute'))
+              .setTitle(cd.s(isMutedNow ? 'sm-unmute-tooltip' : 'sm-mute-tooltip'));
+            break;
+          }
         }
       });
 
@@ -761,7 +835,7 @@ class Section extends SectionSkeleton {
    */
   createActionsElement() {
     let moreMenuSelectDummy;
-    if (this.canEditFirstComment() || this.canBeMoved() || this.canAddSubsection()) {
+    if (this.canEditFirstComment() || this.canBeMoved() || this.canAddSubsection() || this.id) {
       const element = elementPrototypes.moreMenuSelect.cloneNode(true);
       moreMenuSelectDummy = new Button({
         element,
@@ -1043,6 +1117,44 @@ class Section extends SectionSkeleton {
     controller.getWindowManager().openWindow(dialog);
   }
 
+  /**
+   * Show a dialog for exporting the section's comments as Markdown, plain text or JSON.
+   */
+  export() {
+    controller.showExportDialog(this);
+  }
+
+  /**
+   * Show a dialog with the statistics of the section: comments per participant, who replies to
+   * whom, activity over time, etc.
+   */
+  showStatistics() {
+    controller.showStatisticsDialog(this);
+  }
+
+  /**
+   * Work out the archive page for the section, ask for a confirmation and move the section there.
+   */
+  async archive() {
+    if (controller.isPageOverlayOn() || this.isBeingArchived) return;
+
+    this.isBeingArchived = true;
+    try {
+      const archivePage = await archiving.prepare(this);
+      const $message = wrap(cd.sParse(
+        archivePage.code ? 'archive-confirm' : 'archive-confirm-newpage',
+        archivePage.name
+      ));
+      if (await showConfirmDialog($message, { size: 'medium' }) !== 'accept') return;
+
+      await archiving.archive(this, archivePage);
+    } catch (e) {
+      archiving.notifyError(e);
+    } finally {
+      this.isBeingArchived = false;
+    }
+  }
+
   /**
    * Update the subscribe/unsubscribe section button state.
    *
@@ -6,10 +6,12 @@
 
 import cd from './cd';
 import controller from './controller';
+import pageRegistry from './pageRegistry';
 import settings from './settings';
 import {
   areObjectsEqual,
   calculateWordOverlap,
+  dealWithLoadingBug,
   flat,
   generateFixedPosTimestamp,
   getExtendedRect,
@@ -397,4 +399,48 @@ export default {
       section.updateVisibility(true);
     });
   },
+
+  /**
+   * Show a move section dialog in the multiple mode, letting the user pick several sections of the
+   * current page to move at once.
+   */
+  moveMultiple() {
+    if (controller.isPageOverlayOn() || dealWithLoadingBug('mediawiki.widgets')) return;
+
+    // Sections from transcluded pages can't be moved together with the sections of the current
+    // page in one edit.
+    const sections = this.items.filter((section) => (
+      section.canBeMoved() &&
+      section.getSourcePage() === pageRegistry.getCurrent()
+    ));
+    if (!sections.length) {
+      mw.notify(cd.s('msd-nosections'));
+      return;
+    }
+
+    const MoveSectionDialog = require('./MoveSectionDialog').default;
+
+    const dialog = new MoveSectionDialog(sections);
+    controller.getWindowManager().addWindows([dialog]);
+    controller.getWindowManager().openWindow(dialog);
+  },
+
+  /**
+   * _For internal use._ Add a link to move several sections at once to the page actions menu.
+   */
+  addMoveLink() {
+    if (!controller.isPageActive()) return;
+
+    const link = mw.util.addPortletLink(
+      'p-cactions',
+      '#',
+      cd.s('msd-link'),
+      'ca-cd-moveSections',
+      cd.s('msd-link-tooltip')
+    );
+    link?.firstElementChild.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.moveMultiple();
+    });
+  },
 };
@@ -1,5 +1,6 @@
 import cd from './cd';
 import controller from './controller';
+import muting from './muting';
 import settings from './settings';
 import { areObjectsEqual } from './utils';
 import {
@@ -14,6 +15,17 @@ import {
 } from './ooui';
 import { saveGlobalOption, saveLocalOption } from './apiWrappers';
 
+/**
+ * Get the key identifying a mute in the settings dialog.
+ *
+ * @param {import('./muting').MuteListItem} mute
+ * @returns {string}
+ * @private
+ */
+function getMuteKey(mute) {
+  return [mute.pageId, mute.type, mute.id].join('/');
+}
+
 /**
  * Class used to create a settings dialog.
  *
@@ -168,6 +180,16 @@ class SettingsDialog extends OO.ui.ProcessDialog {
         this.settings = settings.get();
       }
 
+      /**
+       * Keys of the mutes that the user unmuted in the dialog (see {@link getMuteKey}). Mutes are
+       * kept in the local storage, not in the settings, so they are not affected by resetting the
+       * settings and are removed separately when the settings are saved.
+       *
+       * @type {string[]}
+       * @private
+       */
+      this.unmutedKeys = [];
+
       this.renderControls(this.settings);
 
       this.stackLayout.setItem(this.settingsPanel);
@@ -194,13 +216,20 @@ class SettingsDialog extends OO.ui.ProcessDialog {
       return new OO.ui.Process(async () => {
         this.pushPending();
 
+        const collectedSettings = this.collectSettings();
         try {
-          await settings.save(this.collectSettings());
+          await settings.save(collectedSettings);
         } catch (e) {
           handleDialogError(this, e, 'error-settings-save', true);
           return;
         }
 
+        muting.getAll()
+          .filter((mute) => this.unmutedKeys.includes(getMuteKey(mute)))
+          .forEach((mute) => {
+            muting.remove(mute);
+          });
+
         controller.removePreventUnloadCondition('dialog');
 
         this.stackLayout.setItem(this.reloadPanel);
@@ -274,6 +303,16 @@ class SettingsDialog extends OO.ui.ProcessDialog {
             controls[name].input.connect(this, { change: 'updateStates' });
             break;
 
+          case 'multilinetext':
+            controls[name] = createTextField({
+              value: settingValues[name],
+              multiline: true,
+              label: data.label,
+              help: data.help,
+            });
+            controls[name].input.connect(this, { change: 'updateStates' });
+            break;
+
           case 'number':
             controls[name] = createNumberField({
               value: settingValues[name],
@@ -324,6 +363,32 @@ class SettingsDialog extends OO.ui.ProcessDialog {
             });
             break;
 
+          case 'keymap':
+            controls[name] = {};
+            controls[name].inputs = {};
+            controls[name].field = new OO.ui.FieldsetLayout({
+              label: data.label,
+              help: data.help,
+              helpInline: true,
+              items: data.options.map((option) => {
+                const input = new OO.ui.TextInputWidget({
+                  value: (
+                    settingValues[name]?.[option.data] ??
+                    settings.scheme.default[name][option.data]
+                  ),
+                  maxLength: 1,
+                  classes: ['cd-keyInput'],
+                });
+                input.connect(this, { change: 'updateStates' });
+                controls[name].inputs[option.data] = input;
+                return new OO.ui.FieldLayout(input, {
+                  label: option.label,
+                  align: 'left',
+                });
+              }),
+            });
+            break;
+
           case 'button':
             controls[name] = {};
             controls[name].button = new OO.ui.ButtonWidget({
@@ -341,6 +406,9 @@ class SettingsDialog extends OO.ui.ProcessDialog {
 
         return controls[name].field.$element;
       });
+      if (pageData.name === 'notifications') {
+        $fields.push(this.createMuteListField().$element);
+      }
 
       // eslint-disable-next-line jsdoc/require-jsdoc
       const PageLayout = class extends OO.ui.PageLayout {
@@ -425,6 +493,7 @@ class SettingsDialog extends OO.ui.ProcessDialog {
             );
             break;
           case 'text':
+          case 'multilinetext':
             collectedSettings[name] = controls[name].input.getValue();
             break;
           case 'number':
@@ -439,6 +508,12 @@ class SettingsDialog extends OO.ui.ProcessDialog {
               controls[name].multiselect.getValue()
             );
             break;
+          case 'keymap':
+            collectedSettings[name] = {};
+            Object.keys(controls[name].inputs).forEach((key) => {
+              collectedSettings[name][key] = controls[name].inputs[key].getValue().toLowerCase();
+            });
+            break;
         }
       });
     });
@@ -473,10 +548,16 @@ class SettingsDialog extends OO.ui.ProcessDialog {
       controls.desktopNotifications.select.findSelectedItem()?.getData() === 'none' &&
       controls.notifications.select.findSelectedItem()?.getData() === 'none'
     );
+    controls.monitorSubscriptions.input.setDisabled(
+      controls.useTopicSubscription.input.isSelected()
+    );
     controls.showContribsLink.input.setDisabled(!controls.reformatComments.input.isSelected());
     controls.useTemplateData.input.setDisabled(
       !controls.autocompleteTypes.multiselect.findItemFromData('templates').isSelected()
     );
+    Object.values(controls.keyboardShortcuts.inputs).forEach((input) => {
+      input.setDisabled(!controls.keyboardNavigation.input.isSelected());
+    });
 
     let areInputsValid = true;
     const numberSettingNames = [].concat(...settings.scheme.ui.map((pageData) => (
@@ -489,9 +570,34 @@ class SettingsDialog extends OO.ui.ProcessDialog {
         areInputsValid = false;
       });
 
+    // A key in a key map should be set, not reserved and not used for another action.
+    [].concat(...settings.scheme.ui.map((pageData) => (
+      pageData.controls.filter((data) => data.type === 'keymap')
+    ))).forEach((data) => {
+      const inputs = Object.values(controls[data.name].inputs);
+      const keys = inputs.map((input) => input.getValue().toLowerCase());
+      inputs.forEach((input, i) => {
+        const isValid = (
+          input.isDisabled() ||
+          Boolean(
+            keys[i].trim() &&
+            !data.reservedKeys.includes(keys[i]) &&
+            keys.indexOf(keys[i]) === keys.lastIndexOf(keys[i])
+          )
+        );
+        input.setValidityFlag(isValid);
+        if (!isValid) {
+          areInputsValid = false;
+        }
+      });
+    });
+
     const collectedSettings = this.collectSettings();
     this.actions.setAbilities({
-      save: !areObjectsEqual(collectedSettings, this.settings) && areInputsValid,
+      save: (
+        (!areObjectsEqual(collectedSettings, this.settings) || this.unmutedKeys.length > 0) &&
+        areInputsValid
+      ),
       reset: !areObjectsEqual(
         Object.assign({}, collectedSettings),
         Object.assign(
@@ -523,6 +629,72 @@ class SettingsDialog extends OO.ui.ProcessDialog {
     }
   }
 
+  /**
+   * Create the field with the list of muted threads and sections with buttons to unmute them. The
+   * mutes are removed when the settings are saved.
+   *
+   * @returns {external:OO.ui.FieldLayout}
+   * @private
+   */
+  createMuteListField() {
+    const list = new OO.ui.Widget({
+      content: [this.createMuteList()],
+      classes: ['cd-settingsDialog-muteList'],
+    });
+    return new OO.ui.FieldLayout(list, {
+      label: cd.s('sd-mutedthreads'),
+      align: 'top',
+      help: cd.s('sd-mutedthreads-help'),
+      helpInline: true,
+    });
+  }
+
+  /**
+   * Create the list of muted threads and sections, except for those unmuted in the dialog.
+   *
+   * @returns {external:jQuery}
+   * @private
+   */
+  createMuteList() {
+    const mutes = muting.getAll().filter((mute) => !this.unmutedKeys.includes(getMuteKey(mute)));
+    if (!mutes.length) {
+      return $('<div>')
+        .addClass('cd-settingsDialog-muteList-empty')
+        .text(cd.s('sd-mutedthreads-empty'));
+    }
+
+    return $('<ul>').append(
+      mutes.map((mute) => {
+        const button = new OO.ui.ButtonWidget({
+          label: cd.s('sd-mutedthreads-unmute'),
+          framed: false,
+          flags: ['progressive'],
+        });
+        const $item = $('<li>').append(
+          $('<bdi>')
+            .addClass('cd-settingsDialog-muteList-page')
+            .text(mute.pageName?.replace(/_/g, ' ') || mute.pageId),
+          cd.mws('colon-separator'),
+
+          // Messages that can be used here:
+          // * sd-mutedthreads-section
+          // * sd-mutedthreads-thread
+          cd.s(mute.type === 'sections' ? 'sd-mutedthreads-section' : 'sd-mutedthreads-thread'),
+          ' ',
+          $('<bdi>').text(mute.label),
+          ' ',
+          button.$element,
+        );
+        button.on('click', () => {
+          this.unmutedKeys.push(getMuteKey(mute));
+          $item.remove();
+          this.updateStates();
+        });
+        return $item;
+      })
+    );
+  }
+
   /**
    * Remove script data as requested by the user after confirmation.
    *
@@ -536,6 +708,8 @@ class SettingsDialog extends OO.ui.ProcessDialog {
         await Promise.all([
           saveLocalOption(cd.g.localSettingsOptionName, null),
           saveLocalOption(cd.g.visitsOptionName, null),
+          saveLocalOption(cd.g.bookmarksOptionName, null),
+          saveLocalOption(cd.g.unseenCommentsOptionName, null),
           saveLocalOption(cd.g.subscriptionsOptionName, null),
           saveGlobalOption(cd.g.settingsOptionName, null),
         ]);
@@ -549,6 +723,12 @@ class SettingsDialog extends OO.ui.ProcessDialog {
       mw.storage.remove('convenientDiscussions-seenRenderedChanges');
       mw.storage.remove('convenientDiscussions-collapsedThreads');
       mw.storage.remove('convenientDiscussions-mutedUsers');
+      mw.storage.remove('convenientDiscussions-mutedThreads');
+      mw.storage.remove('convenientDiscussions-scheduledCommentsHandled');
+      mw.storage.remove('convenientDiscussions-subscriptionMonitor');
+      mw.storage.remove('convenientDiscussions-tabs');
+      mw.storage.remove('convenientDiscussions-mentions');
+      mw.storage.remove('convenientDiscussions-notificationCenter');
 
       this.stackLayout.setItem(this.dataRemovedPanel);
       this.actions.setMode('dataRemoved');
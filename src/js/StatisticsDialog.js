@@ -0,0 +1,257 @@
+import cd from './cd';
+import discussionStatistics from './discussionStatistics';
+import { formatDuration } from './timestamp';
+import { tweakUserOoUiClass } from './ooui';
+
+/**
+ * Maximal number of participant pairs shown in the reply network.
+ *
+ * @type {number}
+ * @private
+ */
+const maxReplyPairCount = 20;
+
+/**
+ * Class used to create a dialog with the statistics of a section or the whole page.
+ *
+ * @augments external:OO.ui.ProcessDialog
+ */
+class StatisticsDialog extends OO.ui.ProcessDialog {
+  static name = 'statisticsDialog';
+  static actions = [
+    {
+      action: 'close',
+      modes: ['statistics'],
+      flags: ['safe', 'close'],
+    },
+  ];
+  static size = 'large';
+
+  /**
+   * Create a statistics dialog.
+   *
+   * @param {import('./Section').default} [section] Section. If not set, the statistics of the page
+   *   are shown.
+   */
+  constructor(section) {
+    super({
+      classes: ['cd-dialog-statistics'],
+    });
+
+    this.section = section;
+  }
+
+  /**
+   * OOUI native method to get the height of the window body.
+   *
+   * @returns {number}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Window-method-getBodyHeight
+   */
+  getBodyHeight() {
+    return this.$body.prop('scrollHeight');
+  }
+
+  /**
+   * OOUI native method that initializes window contents.
+   *
+   * @param {...*} [args]
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.ProcessDialog-method-initialize
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  initialize(...args) {
+    super.initialize(...args);
+
+    this.panel = new OO.ui.PanelLayout({
+      padded: true,
+      expanded: false,
+    });
+    this.$body.append(this.panel.$element);
+  }
+
+  /**
+   * OOUI native method that returns a "setup" process which is used to set up a window for use in a
+   * particular context, based on the `data` argument.
+   *
+   * @param {object} [data] Dialog opening data
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getSetupProcess
+   * @see https://www.mediawiki.org/wiki/OOUI/Windows#Window_lifecycle
+   */
+  getSetupProcess(data) {
+    return super.getSetupProcess(data).next(() => {
+      this.title.setLabel(
+        this.section ?
+          cd.s('stat-title-section', this.section.headline) :
+          cd.s('stat-title-page')
+      );
+      this.actions.setMode('statistics');
+      this.render();
+    });
+  }
+
+  /**
+   * OOUI native method that returns a process for taking action.
+   *
+   * @param {string} action Symbolic name of the action.
+   * @returns {external:OO.ui.Process}
+   * @see
+   *   https://doc.wikimedia.org/mediawiki-core/master/js/#!/api/OO.ui.Dialog-method-getActionProcess
+   * @private
+   */
+  getActionProcess(action) {
+    if (action === 'close') {
+      return new OO.ui.Process(() => {
+        this.close();
+      });
+    }
+    return super.getActionProcess(action);
+  }
+
+  /**
+   * Calculate the statistics and render them.
+   *
+   * @private
+   */
+  render() {
+    const statistics = discussionStatistics.calculate(this.section);
+    this.panel.$element.empty();
+    if (!statistics.commentCount) {
+      this.panel.$element.append($('<p>').text(cd.s('stat-empty')));
+      this.updateSize();
+      return;
+    }
+
+    const summary = [
+      cd.s('stat-summary', statistics.commentCount, statistics.participants.length),
+    ];
+    if (statistics.averageResponseTime !== null) {
+      summary.push(cd.s('stat-responsetime', formatDuration(statistics.averageResponseTime)));
+    }
+
+    this.panel.$element.append(
+      $('<p>').text(summary.join(' ')),
+      this.createSection(
+        cd.s('stat-participants'),
+        statistics.participants.map((item) => this.createBarRow(
+          item.author.getName(),
+          `${item.count} (${Math.round(item.share * 100)}%)`,
+          item.share
+        ))
+      ),
+      this.createSection(
+        cd.s('stat-replies'),
+        statistics.replies
+          .slice(0, maxReplyPairCount)
+          .map((item) => this.createBarRow(
+            cd.s('stat-replies-pair', item.from.getName(), item.to.getName()),
+            item.count,
+            item.count / statistics.replies[0].count
+          ))
+      ),
+      this.createSection(
+        cd.s('stat-activity'),
+        statistics.activity.map((item, i, arr) => this.createBarRow(
+          item.day,
+          item.count,
+          item.count / Math.max(...arr.map((day) => day.count))
+        ))
+      ),
+      this.createSection(
+        cd.s('stat-chains'),
+        statistics.longestChains.map((chain) => this.createChainElement(chain))
+      ),
+    );
+    this.updateSize();
+  }
+
+  /**
+   * Create a block of the statistics with a heading. If there are no rows, a note is shown.
+   *
+   * @param {string} heading
+   * @param {external:jQuery[]} $rows
+   * @returns {external:jQuery}
+   * @private
+   */
+  createSection(heading, $rows) {
+    return $('<div>')
+      .addClass('cd-statistics-section')
+      .append(
+        $('<h3>').text(heading),
+        $rows.length ?
+          $rows :
+          $('<div>')
+            .addClass('cd-statistics-none')
+            .text(cd.s('stat-none')),
+      );
+  }
+
+  /**
+   * Create a row with a label, a value and a bar showing the relative value.
+   *
+   * @param {string} label
+   * @param {string|number} value
+   * @param {number} ratio Length of the bar, from 0 to 1.
+   * @returns {external:jQuery}
+   * @private
+   */
+  createBarRow(label, value, ratio) {
+    return $('<div>')
+      .addClass('cd-statistics-row')
+      .append(
+        $('<bdi>')
+          .addClass('cd-statistics-row-label')
+          .text(label),
+        $('<div>')
+          .addClass('cd-statistics-row-bar')
+          .append(
+            $('<div>')
+              .addClass('cd-statistics-row-barFill')
+              .css('width', `${Math.round(ratio * 100)}%`)
+          ),
+        $('<div>')
+          .addClass('cd-statistics-row-value')
+          .text(value),
+      );
+  }
+
+  /**
+   * Create an element for a chain of replies with a button to go to its first comment.
+   *
+   * @param {import('./Comment').default[]} chain
+   * @returns {external:jQuery}
+   * @private
+   */
+  createChainElement(chain) {
+    const goToButton = new OO.ui.ButtonWidget({
+      label: cd.s('stat-chains-goto'),
+      framed: false,
+      flags: ['progressive'],
+    });
+    goToButton.on('click', () => {
+      this.close();
+      chain[0].scrollTo({
+        expandThreads: true,
+        flash: true,
+        pushState: true,
+      });
+    });
+
+    return $('<div>')
+      .addClass('cd-statistics-chain')
+      .append(
+        $('<span>').text(
+          cd.s('stat-chains-length', chain.length) +
+          cd.mws('colon-separator') +
+          chain.map((comment) => comment.author.getName()).join(' → ')
+        ),
+        goToButton.$element,
+      );
+  }
+}
+
+tweakUserOoUiClass(StatisticsDialog, OO.ui.ProcessDialog);
+
+export default StatisticsDialog;
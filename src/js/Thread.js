@@ -3,7 +3,9 @@ import CdError from './CdError';
 import CommentStatic from './CommentStatic';
 import cd from './cd';
 import controller from './controller';
+import muting from './muting';
 import settings from './settings';
+import threadFocus from './threadFocus';
 import { ElementsTreeWalker } from './treeWalker';
 import {
   defined,
@@ -197,6 +199,23 @@ function autocollapseThreads() {
     }
   }
 
+  // Muted threads and top-level threads in muted sections are collapsed unless the user has
+  // expanded them.
+  CommentStatic.getAll()
+    .filter((comment) => (
+      comment.thread &&
+      (
+        muting.isThreadMuted(comment) ||
+        (!comment.getParent() && comment.section && muting.isSectionMuted(comment.section))
+      )
+    ))
+    .forEach((comment) => {
+      comment.thread.isAutocollapseTarget = true;
+      if (!comment.thread.wasManuallyExpanded && !comments.includes(comment)) {
+        comments.push(comment);
+      }
+    });
+
   const loadUserGendersPromise = cd.g.genderAffectsUserString ?
     loadUserGenders(flat(comments.map((comment) => comment.thread.getUsersInThread()))) :
     undefined;
@@ -594,7 +613,6 @@ class Thread {
    * Get a list of users in the thread.
    *
    * @returns {import('./userRegistry').User[]}
-   * @private
    */
   getUsersInThread() {
     return [this.rootComment, ...this.rootComment.getChildren(true)]
@@ -812,13 +830,25 @@ class Thread {
 
   /**
    * Expand the thread if it's collapsed and collapse if it's expanded.
-   *
-   * @private
    */
   toggle() {
     this[this.isCollapsed ? 'expand' : 'collapse']();
   }
 
+  /**
+   * Open an overlay showing only the thread ("Focus this thread").
+   */
+  focus() {
+    threadFocus.open(this);
+  }
+
+  /**
+   * Show a dialog for exporting the thread's comments as Markdown, plain text or JSON.
+   */
+  export() {
+    controller.showExportDialog(this);
+  }
+
   /**
    * Calculate the offset of the thread line.
    *
@@ -4,6 +4,7 @@
  * @module addCommentLinks
  */
 
+import CdError from './CdError';
 import CommentStatic from './CommentStatic';
 import cd from './cd';
 import controller from './controller';
@@ -13,14 +14,59 @@ import settings from './settings';
 import subscriptions from './subscriptions';
 import {
   definedAndNotNull,
+  generateFixedPosTimestamp,
   generatePageNamePattern,
   isCommentEdit,
   isProbablyTalkPage,
   isUndo,
   removeDirMarks,
   spacesToUnderlines,
+  underlinesToSpaces,
 } from './utils';
-import { initDayjs, parseTimestamp } from './timestamp';
+import { formatDate, initDayjs, parseTimestamp } from './timestamp';
+import { handleApiReject, parseCode } from './apiWrappers';
+import { removeWikiMarkup } from './wikitext';
+
+/**
+ * Number of watchlist changes loaded for the digest.
+ *
+ * @type {number}
+ * @private
+ */
+const digestChangesLimit = 500;
+
+/**
+ * Number of digest items for which previews of the added text are loaded.
+ *
+ * @type {number}
+ * @private
+ */
+const digestPreviewsLimit = 50;
+
+/**
+ * Maximal length of the preview of the added text in the digest.
+ *
+ * @type {number}
+ * @private
+ */
+const digestPreviewMaxLength = 150;
+
+/**
+ * Delay in milliseconds before a comment preview is shown or hidden after the mouse enters or
+ * leaves a comment link.
+ *
+ * @type {number}
+ * @private
+ */
+const commentPreviewDelay = 400;
+
+/**
+ * Comment previews by revision ID (promises for them, to prevent duplicate requests).
+ *
+ * @type {Map.<string, Promise.<object>>}
+ * @private
+ */
+const commentPreviewCache = new Map();
 
 let colon;
 let moveFromBeginning;
@@ -31,6 +77,12 @@ let currentUserRegexp;
 let wrapperRegularPrototype;
 let wrapperRelevantPrototype;
 let switchRelevantButton;
+let digestButton;
+let $digest;
+let isDigestRendered = false;
+let commentPreviewPopup;
+let commentPreviewLink;
+let commentPreviewTimeout;
 
 /**
  * Prepare variables.
@@ -156,11 +208,6 @@ function switchRelevant() {
  * @private
  */
 function addWatchlistMenu() {
-  // For auto-updating watchlists
-  mw.hook('wikipage.content').add(() => {
-    switchRelevantButton?.setFlags({ progressive: false });
-  });
-
   const $menu = $('<div>').addClass('cd-watchlistMenu');
   $('<a>')
     .attr('href', mw.util.getUrl(cd.config.scriptPageWikilink))
@@ -185,6 +232,27 @@ function addWatchlistMenu() {
     switchRelevantButton.$element.appendTo($menu);
   }
 
+  digestButton = new OO.ui.ButtonWidget({
+    framed: false,
+    icon: 'speechBubbles',
+    label: cd.s('wl-button-digest-tooltip'),
+    invisibleLabel: true,
+    title: cd.s('wl-button-digest-tooltip'),
+    classes: ['cd-watchlistMenu-button', 'cd-watchlistMenu-button-digest'],
+  });
+  digestButton.on('click', () => {
+    const isOn = !settings.get('watchlistDigest');
+    if (isOn) {
+      showDigest();
+    } else {
+      hideDigest();
+    }
+    settings.saveSettingOnTheFly('watchlistDigest', isOn).catch((e) => {
+      console.warn('Couldn\'t save the settings to the server.', e);
+    });
+  });
+  digestButton.$element.appendTo($menu);
+
   const editSubscriptionsButtonConfig = {
     framed: false,
     icon: 'listBullet',
@@ -222,6 +290,557 @@ function addWatchlistMenu() {
   // New watchlist, old watchlist
   controller.$content.find('.mw-rcfilters-ui-changesLimitAndDateButtonWidget').prepend($menu);
   controller.$content.find('#mw-watchlist-options .mw-changeslist-legend').after($menu);
+
+  // For auto-updating watchlists. The hook has been fired already, so the handler is also run right
+  // away, showing the digest if it is enabled. The digest itself is not reloaded.
+  mw.hook('wikipage.content').add(() => {
+    switchRelevantButton?.setFlags({ progressive: false });
+    if (settings.get('watchlistDigest')) {
+      showDigest();
+    }
+  });
+}
+
+/**
+ * Extract the section headline from an edit summary (the `/* Section *\/` part).
+ *
+ * @param {string} summary Raw edit summary.
+ * @returns {string|undefined}
+ * @private
+ */
+function extractSectionFromSummary(summary) {
+  return summary.match(/\/\*\s*(.+?)\s*\*\//)?.[1];
+}
+
+/**
+ * Load recent changes to talk pages from the watchlist, leaving only those that probably add
+ * comments.
+ *
+ * @returns {Promise.<object[]>}
+ * @private
+ */
+async function loadDigestChanges() {
+  const resp = await controller.getApi().get({
+    action: 'query',
+    list: 'watchlist',
+    wlprop: ['ids', 'title', 'user', 'timestamp', 'comment', 'sizes', 'flags'],
+    wltype: ['edit', 'new'],
+    wlallrev: true,
+    wllimit: digestChangesLimit,
+  }).catch(handleApiReject);
+
+  return (resp.query?.watchlist || []).filter((change) => (
+    isProbablyTalkPage(change.title, change.ns) &&
+    !change.minor &&
+    change.user &&
+    change.user !== 'MediaWiki message delivery' &&
+    !(
+      change.comment &&
+      (isCommentEdit(change.comment) || isUndo(change.comment) || isMoved(change.comment))
+    ) &&
+    change.newlen - change.oldlen >= cd.config.bytesToDeemComment
+  ));
+}
+
+/**
+ * Group watchlist changes by page and section, merging consecutive edits by the same user in the
+ * same section into one item. Pages, sections and items are sorted from the newest to the oldest.
+ *
+ * @param {object[]} changes Changes sorted from the newest to the oldest (as returned by the API).
+ * @returns {object[]}
+ * @private
+ */
+function groupDigestChanges(changes) {
+  const pages = [];
+  changes.forEach((change) => {
+    let page = pages.find((p) => p.title === change.title);
+    if (!page) {
+      page = {
+        title: change.title,
+        sections: [],
+      };
+      pages.push(page);
+    }
+
+    const headline = change.comment ? extractSectionFromSummary(change.comment) : undefined;
+    let section = page.sections.find((s) => s.headline === headline);
+    if (!section) {
+      section = {
+        headline,
+        items: [],
+      };
+      page.sections.push(section);
+    }
+
+    // Changes go from the newest to the oldest, so the last item is the one that follows this
+    // change in time.
+    const lastItem = section.items[section.items.length - 1];
+    if (lastItem?.user === change.user && lastItem.oldRevid === change.revid) {
+      Object.assign(lastItem, {
+        oldRevid: change.old_revid,
+        firstTimestamp: change.timestamp,
+        count: lastItem.count + 1,
+      });
+    } else {
+      section.items.push({
+        user: change.user,
+        revid: change.revid,
+        oldRevid: change.old_revid,
+        firstTimestamp: change.timestamp,
+        count: 1,
+      });
+    }
+  });
+  return pages;
+}
+
+/**
+ * Load the first line of text added by a digest item (one or several merged edits).
+ *
+ * @param {object} item
+ * @returns {Promise.<string|undefined>}
+ * @private
+ */
+async function loadDigestPreview(item) {
+  const resp = await controller.getApi().get({
+    action: 'compare',
+    fromrev: item.oldRevid || item.revid,
+
+    // If the page was created, compare with empty content.
+    ...(item.oldRevid ? {} : { fromslots: 'main', 'fromtext-main': '' }),
+
+    torev: item.revid,
+    prop: ['diff'],
+  }).catch(handleApiReject);
+  const text = $($.parseHTML(resp.compare?.body || ''))
+    .find('.diff-addedline, .diff-side-added')
+    .get()
+    .map((el) => removeWikiMarkup(el.textContent.replace(/^[:*#]+/, '')))
+    .find((line) => line && !/^=+.*=+$/.test(line));
+  return text && text.length > digestPreviewMaxLength ?
+    text.slice(0, digestPreviewMaxLength) + '…' :
+    text;
+}
+
+/**
+ * Create the element of a digest item.
+ *
+ * @param {object} page
+ * @param {object} item
+ * @returns {external:jQuery}
+ * @private
+ */
+function createDigestItemElement(page, item) {
+  const date = new Date(item.firstTimestamp);
+  const id = generateFixedPosTimestamp(date) + '_' + spacesToUnderlines(item.user);
+  return $('<li>')
+    .addClass('cd-watchlistDigest-item')
+    .append(
+      $('<a>')
+        .attr('href', `${mw.util.getUrl(page.title)}#${id}`)
+        .attr('title', cd.s('lp-comment-tooltip'))
+        .append(
+          $('<span>')
+            .addClass('cd-watchlistDigest-item-date')
+            .text(formatDate(date)),
+          ' ',
+          $('<bdi>')
+            .addClass('cd-watchlistDigest-item-author')
+            .text(item.user),
+        ),
+      item.count > 1 ?
+        $('<span>')
+          .addClass('cd-watchlistDigest-item-count')
+          .text(' ' + cd.mws('parentheses', cd.s('wl-digest-edits', item.count))) :
+        undefined,
+      $('<span>').addClass('cd-watchlistDigest-item-preview'),
+    );
+}
+
+/**
+ * Show the digest of the watchlist in place of the usual changes list. The digest is loaded once
+ * per page load; after that, it is only shown again.
+ *
+ * @private
+ */
+function showDigest() {
+  digestButton?.setFlags({ progressive: true });
+  const $changesList = controller.$content.find('.mw-changeslist');
+  $changesList.hide();
+  $digest ||= $('<div>').addClass('cd-watchlistDigest');
+
+  // The changes list could have been rerendered together with its container.
+  if (!document.contains($digest.get(0))) {
+    $digest.insertBefore($changesList.first());
+  }
+  $digest.show();
+
+  if (!isDigestRendered) {
+    isDigestRendered = true;
+    renderDigest();
+  }
+}
+
+/**
+ * Load and render the digest of the watchlist.
+ *
+ * @private
+ */
+async function renderDigest() {
+  $digest
+    .empty()
+    .text(cd.s('loading-ellipsis'));
+
+  let pages;
+  try {
+    pages = groupDigestChanges(await loadDigestChanges());
+  } catch (e) {
+    console.warn(e);
+    $digest.text(cd.s('wl-digest-error'));
+
+    // Try again next time the digest is shown.
+    isDigestRendered = false;
+    return;
+  }
+
+  init.timestampParsingTools('user');
+  initDayjs();
+
+  const previewRequests = [];
+  $digest.empty();
+  if (!pages.length) {
+    $digest.text(cd.s('wl-digest-empty'));
+  }
+  $digest.append(
+    pages.map((page) => (
+      $('<div>')
+        .addClass('cd-watchlistDigest-page')
+        .append(
+          $('<a>')
+            .addClass('cd-watchlistDigest-page-name')
+            .attr('href', mw.util.getUrl(page.title))
+            .text(underlinesToSpaces(page.title)),
+          page.sections.map((section) => (
+            $('<div>')
+              .addClass('cd-watchlistDigest-section')
+              .append(
+                $('<div>')
+                  .addClass('cd-watchlistDigest-section-headline')
+                  .text(section.headline || cd.s('wl-digest-nosection')),
+                $('<ul>').append(
+                  section.items.map((item) => {
+                    const $item = createDigestItemElement(page, item);
+                    if (previewRequests.length < digestPreviewsLimit) {
+                      previewRequests.push({ item, $item });
+                    }
+                    return $item;
+                  })
+                ),
+              )
+          )),
+        )
+    )),
+  );
+
+  // Load the previews one by one not to flood the server with requests.
+  for (const { item, $item } of previewRequests) {
+    let preview;
+    try {
+      preview = await loadDigestPreview(item);
+    } catch (e) {
+      console.warn(e);
+      break;
+    }
+    if (preview) {
+      $item.find('.cd-watchlistDigest-item-preview').text(cd.mws('colon-separator') + preview);
+    }
+  }
+}
+
+/**
+ * Hide the digest of the watchlist and show the usual changes list.
+ *
+ * @private
+ */
+function hideDigest() {
+  digestButton?.setFlags({ progressive: false });
+  $digest?.hide();
+  controller.$content.find('.mw-changeslist').show();
+}
+
+/**
+ * Extract the code of the comment added in a diff. Like {@link Comment#scrubDiff}, we go through
+ * the diff rows, but, as we don't know where the comment is in the code, we take the last block of
+ * consecutive added lines that contains the author's signature (or just the largest block if there
+ * is no such).
+ *
+ * @param {string} body Diff body as returned by the API.
+ * @param {string} author
+ * @returns {object|undefined}
+ * @private
+ */
+function extractCommentFromDiff(body, author) {
+  const blocks = [];
+  let currentBlock;
+  $($.parseHTML(`<table>${body}</table>`)).find('tr').each((i, tr) => {
+    const addedLine = $(tr).children('.diff-addedline').get(0);
+    if (!addedLine) {
+      // A context line or a line number row ends the block.
+      currentBlock = undefined;
+      return;
+    }
+
+    if (!currentBlock) {
+      currentBlock = [];
+      blocks.push(currentBlock);
+    }
+    currentBlock.push(addedLine.textContent);
+  });
+
+  const authorRegexp = new RegExp(generatePageNamePattern(author));
+  const block = (
+    blocks.filter((b) => authorRegexp.test(b.join('\n'))).pop() ||
+    blocks.reduce((largest, b) => (
+      !largest || b.join('\n').length > largest.join('\n').length ? b : largest
+    ), undefined)
+  );
+  if (!block) return;
+
+  const lines = block.slice();
+  let headline;
+  const [, headingText] = lines[0].match(/^(={1,6})(.+?)\1\s*$/) || [];
+  if (headingText) {
+    headline = removeWikiMarkup(headingText.trim());
+    lines.shift();
+  }
+
+  // Remove the indentation of the comment so that it is not rendered as a list.
+  const [indentation] = (lines.find((line) => line.trim()) || '').match(/^[:*#]*/);
+  const code = lines
+    .map((line) => line.startsWith(indentation) ? line.slice(indentation.length) : line)
+    .join('\n')
+    .trim();
+  return code ? { code, headline } : undefined;
+}
+
+/**
+ * Load the data for a comment preview: the rendered comment added in a revision, its author, date
+ * and section.
+ *
+ * @param {string} revisionId
+ * @returns {Promise.<object>}
+ * @private
+ */
+async function loadCommentPreview(revisionId) {
+  const revisionsResp = await controller.getApi().get({
+    action: 'query',
+    revids: revisionId,
+    prop: 'revisions',
+    rvprop: ['ids', 'user', 'timestamp', 'comment'],
+  }).catch(handleApiReject);
+  const page = revisionsResp.query?.pages?.[0];
+  const revision = page?.revisions?.[0];
+  if (!revision) {
+    throw new CdError({
+      type: 'api',
+      code: 'noData',
+    });
+  }
+
+  let body;
+  if (revision.parentid) {
+    const compareResp = await controller.getApi().get({
+      action: 'compare',
+      fromrev: revision.parentid,
+      torev: revision.revid,
+      prop: ['diff'],
+    }).catch(handleApiReject);
+    body = compareResp.compare?.body;
+  } else {
+    // The page was created in this revision: build a diff-like structure from its content.
+    const contentResp = await controller.getApi().get({
+      action: 'query',
+      revids: revisionId,
+      prop: 'revisions',
+      rvprop: ['content'],
+      rvslots: 'main',
+    }).catch(handleApiReject);
+    const content = contentResp.query?.pages?.[0]?.revisions?.[0]?.slots?.main?.content || '';
+    body = content
+      .split('\n')
+      .map((line) => `<tr><td class="diff-addedline">${mw.html.escape(line)}</td></tr>`)
+      .join('');
+  }
+
+  const comment = body && extractCommentFromDiff(body, revision.user);
+  const data = {
+    author: revision.user,
+    date: new Date(revision.timestamp),
+    headline: (
+      (revision.comment && extractSectionFromSummary(revision.comment)) ||
+      comment?.headline
+    ),
+  };
+  if (comment) {
+    const { html } = await parseCode(comment.code, { title: page.title });
+    data.html = html;
+  }
+  return data;
+}
+
+/**
+ * Get the data for a comment preview from the cache or load it.
+ *
+ * @param {string} revisionId
+ * @returns {Promise.<object>}
+ * @private
+ */
+function getCommentPreview(revisionId) {
+  if (!commentPreviewCache.has(revisionId)) {
+    const request = loadCommentPreview(revisionId);
+
+    // Let the request be repeated if it failed.
+    request.catch(() => {
+      commentPreviewCache.delete(revisionId);
+    });
+
+    commentPreviewCache.set(revisionId, request);
+  }
+  return commentPreviewCache.get(revisionId);
+}
+
+/**
+ * Create the popup for comment previews.
+ *
+ * @private
+ */
+function createCommentPreviewPopup() {
+  commentPreviewPopup = new OO.ui.PopupWidget({
+    $content: $('<div>'),
+    head: false,
+    padded: true,
+    width: 500,
+    autoClose: true,
+    classes: ['cd-commentPreview'],
+  });
+  commentPreviewPopup.$element
+    .on('mouseenter', () => {
+      clearTimeout(commentPreviewTimeout);
+    })
+    .on('mouseleave', hideCommentPreview);
+  $(document.body).append(commentPreviewPopup.$element);
+}
+
+/**
+ * Render the data of a comment preview in the popup.
+ *
+ * @param {object} data
+ * @private
+ */
+function renderCommentPreview(data) {
+  const $header = $('<div>')
+    .addClass('cd-commentPreview-header')
+    .append(
+      $('<bdi>')
+        .addClass('cd-commentPreview-author')
+        .text(data.author),
+      ' ',
+      $('<span>')
+        .addClass('cd-commentPreview-date')
+        .text(formatDate(data.date)),
+      data.headline ?
+        $('<span>')
+          .addClass('cd-commentPreview-headline')
+          .text(data.headline) :
+        undefined,
+    );
+  const $content = data.html ?
+    $('<div>')
+      .addClass('cd-commentPreview-content mw-parser-output')
+      .html(data.html) :
+    $('<div>')
+      .addClass('cd-commentPreview-message')
+      .text(cd.s('lp-preview-notfound'));
+  commentPreviewPopup.$body.empty().append($header, $content);
+  commentPreviewPopup.updateDimensions();
+}
+
+/**
+ * Show the preview of the comment a comment link points to.
+ *
+ * @param {Element} linkElement
+ * @private
+ */
+async function showCommentPreview(linkElement) {
+  if (!commentPreviewPopup) {
+    createCommentPreviewPopup();
+  }
+  commentPreviewLink = linkElement;
+  commentPreviewPopup.setFloatableContainer($(linkElement));
+  commentPreviewPopup.$body
+    .empty()
+    .append(
+      $('<div>')
+        .addClass('cd-commentPreview-message')
+        .text(cd.s('loading-ellipsis'))
+    );
+  commentPreviewPopup.toggle(true);
+
+  let data;
+  try {
+    data = await getCommentPreview(linkElement.dataset.cdRevid);
+  } catch (e) {
+    console.warn(e);
+    if (commentPreviewLink === linkElement) {
+      commentPreviewPopup.$body
+        .empty()
+        .append(
+          $('<div>')
+            .addClass('cd-commentPreview-message')
+            .text(cd.s('lp-preview-error'))
+        );
+    }
+    return;
+  }
+
+  // The mouse could have moved to another link while the preview was loading.
+  if (commentPreviewLink !== linkElement || !commentPreviewPopup.isVisible()) return;
+
+  renderCommentPreview(data);
+}
+
+/**
+ * Hide the comment preview after a delay (so that the user could move the mouse to the popup).
+ *
+ * @private
+ */
+function hideCommentPreview() {
+  clearTimeout(commentPreviewTimeout);
+  commentPreviewTimeout = setTimeout(() => {
+    commentPreviewLink = null;
+    commentPreviewPopup?.toggle(false);
+  }, commentPreviewDelay);
+}
+
+/**
+ * Show comment previews when hovering over comment links that have a revision ID attached.
+ *
+ * @private
+ */
+function addCommentPreviewHandlers() {
+  $(document.body)
+    .on('mouseenter', '.cd-commentLink a[data-cd-revid]', (e) => {
+      const linkElement = e.currentTarget;
+      clearTimeout(commentPreviewTimeout);
+      if (commentPreviewLink === linkElement && commentPreviewPopup.isVisible()) return;
+
+      commentPreviewTimeout = setTimeout(() => {
+        init.timestampParsingTools('user');
+        initDayjs();
+        showCommentPreview(linkElement);
+      }, commentPreviewDelay);
+    })
+    .on('mouseleave', '.cd-commentLink a[data-cd-revid]', hideCommentPreview);
 }
 
 /**
@@ -304,6 +923,21 @@ function isInSection(summary, name) {
     summary.includes(`←${name}${colon}`) || summary.endsWith(`←${name}`);
 }
 
+/**
+ * Attach the revision ID of a revision list line to a comment link so that the comment could be
+ * previewed on hover.
+ *
+ * @param {Element} linkElement
+ * @param {Element} line
+ * @private
+ */
+function addRevisionId(linkElement, line) {
+  const revisionId = line.getAttribute('data-mw-revid');
+  if (revisionId && revisionId !== '0') {
+    linkElement.dataset.cdRevid = revisionId;
+  }
+}
+
 /**
  * Add comment links to a watchlist or a recent changes page. Add a watchlist menu to the watchlist.
  *
@@ -411,6 +1045,7 @@ function processWatchlist($content) {
     }
 
     wrapper.lastChild.lastChild.href = `${link}#${id}`;
+    addRevisionId(wrapper.lastChild.lastChild, line);
 
     const destination = line.querySelector('.comment') || line.querySelector('.mw-usertoollinks');
     if (!destination) return;
@@ -474,6 +1109,7 @@ function processContributions($content) {
       wrapper = wrapperRegularPrototype.cloneNode(true);
     }
     wrapper.lastChild.lastChild.href = `${link}#${id}`;
+    addRevisionId(wrapper.lastChild.lastChild, line);
 
     let destination = line.querySelector('.comment');
     if (!destination) {
@@ -546,6 +1182,7 @@ function processHistory($content) {
       }
     }
     wrapper.lastChild.lastChild.href = `${link}#${id}`;
+    addRevisionId(wrapper.lastChild.lastChild, line);
 
     let destination = line.querySelector('.comment');
     if (!destination) {
@@ -715,6 +1352,8 @@ export default async function addCommentLinks() {
   } else {
     // Hook on wikipage.content to make the code work with the watchlist auto-update feature.
     mw.hook('wikipage.content').add(processRevisionListPage);
+
+    addCommentPreviewHandlers();
   }
 
   // Diffs generated by scripts, like Serhio Magpie's Instant Diffs.
@@ -9,6 +9,7 @@
 import lzString from 'lz-string';
 
 import CdError from './CdError';
+import CommentSkeleton from './CommentSkeleton';
 import cd from './cd';
 import controller from './controller';
 import pageRegistry from './pageRegistry';
@@ -23,6 +24,9 @@ let cachedUserInfoRequest;
 let currentAutocompletePromise;
 let currentUserRights;
 
+const pageAnchorsRequests = {};
+const archivePageNamesRequests = {};
+
 /**
  * Callback used in the `.catch()` parts of API requests.
  *
@@ -103,6 +107,37 @@ export function unpackVisits(visitsString) {
   return visits;
 }
 
+/**
+ * Pack the object with IDs of unseen comments by page into a string for further compression. As
+ * comment IDs don't contain spaces, spaces are used as separators.
+ *
+ * @param {object} unseenComments
+ * @returns {string}
+ */
+export function packUnseenComments(unseenComments) {
+  return Object.keys(unseenComments)
+    .filter((key) => unseenComments[key].length)
+    .map((key) => `${key} ${unseenComments[key].join(' ')}\n`)
+    .join('')
+    .trim();
+}
+
+/**
+ * Unpack the unseen comments string into an object with IDs of unseen comments by page.
+ *
+ * @param {string} string
+ * @returns {object}
+ */
+export function unpackUnseenComments(string) {
+  const unseenComments = {};
+  const regexp = /^(\d+) (.+)$/gm;
+  let match;
+  while ((match = regexp.exec(string))) {
+    unseenComments[match[1]] = match[2].split(' ');
+  }
+  return unseenComments;
+}
+
 /**
  * Pack the legacy subscriptions object into a string for further compression.
  *
@@ -146,6 +181,9 @@ export function unpackLegacySubscriptions(string) {
  * @typedef {object} GetVisitsReturn
  * @property {object} visits
  * @property {object} currentPageVisits
+ * @property {object} unseenComments IDs of comments that remained unseen during the last visit to
+ *   a page (on any device), by page ID.
+ * @property {string[]} currentPageUnseenCommentIds
  */
 
 /**
@@ -162,30 +200,35 @@ export function unpackLegacySubscriptions(string) {
 export async function getVisits(reuse = false) {
   let visits;
   let currentPageVisits;
+  let unseenComments;
+  let currentPageUnseenCommentIds;
   if (userRegistry.getCurrent().isRegistered()) {
-    visits = await (
+    ({ visits, unseenComments } = await (
       (
         controller.getBootProcess().isPageFirstParsed() &&
         mw.user.options.get(cd.g.visitsOptionName) === null
       ) ?
-        Promise.resolve({}) :
-        getUserInfo(reuse).then((options) => options.visits)
-    );
+        Promise.resolve({ visits: {}, unseenComments: {} }) :
+        getUserInfo(reuse)
+    ));
     const articleId = mw.config.get('wgArticleId');
     visits[articleId] = visits[articleId] || [];
     currentPageVisits = visits[articleId];
+    currentPageUnseenCommentIds = unseenComments[articleId] || [];
   } else {
     visits = [];
     currentPageVisits = [];
+    unseenComments = {};
+    currentPageUnseenCommentIds = [];
   }
 
-  Object.assign(cd.tests, { visits, currentPageVisits });
+  Object.assign(cd.tests, { visits, currentPageVisits, unseenComments });
 
-  return { visits, currentPageVisits };
+  return { visits, currentPageVisits, unseenComments, currentPageUnseenCommentIds };
 }
 
 /**
- * Remove the oldest 10% of visits when the size limit is hit.
+ * Remove the oldest 10% of visits (at least one visit) when the size limit is hit.
  *
  * @param {object} originalVisits
  * @returns {object}
@@ -195,7 +238,7 @@ function cleanUpVisits(originalVisits) {
   const visits = Object.assign({}, originalVisits);
   const timestamps = Object.keys(visits).reduce((acc, key) => acc.concat(visits[key]), []);
   timestamps.sort();
-  const boundary = timestamps[Math.floor(timestamps.length / 10)];
+  const boundary = timestamps[Math.max(Math.floor(timestamps.length / 10), 1)];
   Object.keys(visits).forEach((key) => {
     visits[key] = visits[key].filter((visit) => visit >= boundary);
     if (!visits[key].length) {
@@ -206,22 +249,48 @@ function cleanUpVisits(originalVisits) {
 }
 
 /**
- * Save the pages visits data to the server.
+ * Save the pages visits data to the server, optionally together with the IDs of unseen comments
+ * (for pages that are not in the visits data, they are removed).
  *
  * @param {object} visits
+ * @param {object} [unseenComments]
  */
-export async function saveVisits(visits) {
+export async function saveVisits(visits, unseenComments) {
   if (!visits || !userRegistry.getCurrent().isRegistered()) return;
 
-  const string = packVisits(visits);
-  const compressed = lzString.compressToEncodedURIComponent(string);
+  const options = {
+    [cd.g.visitsOptionName]: lzString.compressToEncodedURIComponent(packVisits(visits)),
+  };
+  if (unseenComments) {
+    const unseenCommentsToSave = Object.assign({}, unseenComments);
+    Object.keys(unseenCommentsToSave)
+      .filter((key) => !visits[key])
+      .forEach((key) => {
+        delete unseenCommentsToSave[key];
+      });
+    options[cd.g.unseenCommentsOptionName] = lzString.compressToEncodedURIComponent(
+      packUnseenComments(unseenCommentsToSave)
+    );
+  }
   try {
-    await saveLocalOption(cd.g.visitsOptionName, compressed);
+    await saveOptions(options);
   } catch (e) {
     if (e instanceof CdError) {
       const { type, code } = e.data;
       if (type === 'internal' && code === 'sizeLimit') {
-        saveVisits(cleanUpVisits(visits));
+        const cleanedUpVisits = cleanUpVisits(visits);
+        if (
+          Object.keys(cleanedUpVisits).length &&
+          packVisits(cleanedUpVisits).length < packVisits(visits).length
+        ) {
+          saveVisits(cleanedUpVisits, unseenComments);
+        } else if (unseenComments) {
+          // The visits can't be cleaned up further, so the unseen comments take too much space.
+          // Save the visits alone.
+          saveVisits(visits);
+        } else {
+          console.error(e);
+        }
       } else {
         console.error(e);
       }
@@ -340,7 +409,7 @@ export function parseCode(code, customOptions) {
  *
  * @param {boolean} [reuse=false] Whether to reuse a cached request.
  * @returns {Promise.<object>} Promise for an object containing the full options object, visits,
- *   subscription list, and rights.
+ *   subscription list, unseen comments, and rights.
  */
 export function getUserInfo(reuse = false) {
   if (reuse && cachedUserInfoRequest) {
@@ -365,9 +434,13 @@ export function getUserInfo(reuse = false) {
         lzString.decompressFromEncodedURIComponent(options[cd.g.subscriptionsOptionName]) ||
         ''
       );
+      const unseenComments = unpackUnseenComments(
+        lzString.decompressFromEncodedURIComponent(options[cd.g.unseenCommentsOptionName]) ||
+        ''
+      );
       currentUserRights = rights;
 
-      return { options, visits, subscriptions, rights };
+      return { options, visits, subscriptions, unseenComments, rights };
     },
     handleApiReject
   );
@@ -720,6 +793,89 @@ export function getRelevantTemplateNames(text) {
   return promise;
 }
 
+/**
+ * Get the section headlines or the comment IDs (in the DiscussionTools format) of a page using the
+ * parse API. The result is cached for the page load.
+ *
+ * @param {string} pageName
+ * @param {'headlines'|'commentIds'} type
+ * @returns {Promise.<string[]>}
+ * @throws {CdError}
+ */
+export function getPageAnchors(pageName, type) {
+  const key = `${type}|${pageName}`;
+  pageAnchorsRequests[key] ||= controller.getApi().get({
+    action: 'parse',
+    page: pageName,
+    prop: type === 'headlines' ? 'sections' : 'text',
+    redirects: true,
+    disableeditsection: true,
+    disablelimitreport: true,
+    usearticle: true,
+  })
+    .catch(handleApiReject)
+    .then((resp) => {
+      if (type === 'headlines') {
+        return resp.parse.sections.map((section) => (
+          new DOMParser().parseFromString(section.line, 'text/html').body.textContent
+        ));
+      } else {
+        return [
+          ...new DOMParser()
+            .parseFromString(resp.parse.text, 'text/html')
+            .querySelectorAll('[id^="c-"]'),
+        ]
+          .map((element) => element.id)
+          .filter((id) => CommentSkeleton.isDtId(id))
+          .filter(unique);
+      }
+    });
+
+  // Don't cache failed requests.
+  pageAnchorsRequests[key].catch(() => {
+    delete pageAnchorsRequests[key];
+  });
+
+  return pageAnchorsRequests[key];
+}
+
+/**
+ * Get the names of the pages starting with the archive prefix of a page, sorted so that the latest
+ * archives (with the greatest numbers) come first. The result is cached for the page load.
+ *
+ * @param {string} archivePrefix Archive prefix (see
+ *   {@link module:pageRegistry.Page#getArchivePrefix}).
+ * @returns {Promise.<string[]>}
+ * @throws {CdError}
+ */
+export function getArchivePageNames(archivePrefix) {
+  const title = mw.Title.newFromText(archivePrefix);
+  if (!title) {
+    return Promise.resolve([]);
+  }
+
+  archivePageNamesRequests[archivePrefix] ||= controller.getApi().get({
+    action: 'query',
+    list: 'allpages',
+    apprefix: title.getMainText(),
+    apnamespace: title.getNamespaceId(),
+    aplimit: 'max',
+  })
+    .catch(handleApiReject)
+    .then((resp) => (
+      resp.query.allpages
+        .map((page) => page.title)
+        .sort((title1, title2) => title2.localeCompare(title1, undefined, { numeric: true }))
+    ));
+
+  // Don't cache failed requests.
+  archivePageNamesRequests[archivePrefix].catch(() => {
+    delete archivePageNamesRequests[archivePrefix];
+  });
+
+  return archivePageNamesRequests[archivePrefix];
+}
+
 /**
  * Get existence of a list of pages by title.
  *
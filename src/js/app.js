@@ -61,6 +61,7 @@ function setStrings() {
     'es-',
     'cf-autocomplete-commentlinktext',
     'move-',
+    'archive-header',
   ];
 
   if (!IS_SINGLE) {
@@ -177,6 +178,7 @@ async function go() {
   maybeAddFooterSwitcher();
   maybeTweakAddTopicButton();
   controller.loadToCommentLinksPage();
+  controller.loadSubscriptionMonitor();
   addCommentLinksToSpecialSearch();
 
   if (!controller.isBooting()) {
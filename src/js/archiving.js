@@ -0,0 +1,252 @@
+/**
+ * Singleton related to archiving topics manually ("Archive" item in the section menu). The topic is
+ * appended to the archive page worked out from the archive prefix of the page and
+ * {@link module:defaultConfig.archiving} and then removed from the source page, so that the user
+ * doesn't have to wait for an archiving bot.
+ *
+ * @module archiving
+ */
+
+import CdError from './CdError';
+import cd from './cd';
+import controller from './controller';
+import pageRegistry from './pageRegistry';
+import { buildEditSummary, wrap } from './utils';
+import { encodeWikilink, endWithTwoNewlines } from './wikitext';
+import { handleApiReject } from './apiWrappers';
+
+/**
+ * Get the size of a string in bytes (page sizes in MediaWiki are measured in bytes).
+ *
+ * @param {string} s
+ * @returns {number}
+ * @private
+ */
+function getByteLength(s) {
+  return new TextEncoder().encode(s).length;
+}
+
+/**
+ * Generate the name of an archive page.
+ *
+ * @param {string} prefix Archive prefix.
+ * @param {number|string} counter
+ * @returns {string}
+ * @private
+ */
+function generateArchivePageName(prefix, counter) {
+  return (prefix + cd.config.archiving.subpage)
+    .replace(/\$1/g, counter)
+    .replace(/\$2/g, new Date().getUTCFullYear())
+    .replace(/_/g, ' ');
+}
+
+/**
+ * Find the largest number among the existing counter-based archive pages.
+ *
+ * @param {string} prefix Archive prefix.
+ * @returns {Promise.<number|undefined>}
+ * @throws {CdError}
+ * @private
+ */
+async function findLastCounter(prefix) {
+  const title = mw.Title.newFromText(prefix);
+  if (!title) {
+    throw new CdError({
+      type: 'internal',
+      code: 'invalidArchivePrefix',
+    });
+  }
+
+  const pattern = mw.util.escapeRegExp(generateArchivePageName(prefix, '\x01'))
+    .replace('\x01', '(\\d+)');
+  const counterRegexp = new RegExp('^' + pattern + '$');
+  const counters = [];
+  let resp;
+  do {
+    // There can be more archive pages than fit into one response, so we follow the continuation.
+    // Sorting in descending order wouldn't help as titles are sorted as strings, not numbers.
+    resp = await controller.getApi().get({
+      action: 'query',
+      list: 'allpages',
+      apnamespace: title.getNamespaceId(),
+      apprefix: title.getMainText(),
+      aplimit: 'max',
+      ...resp?.continue,
+    }).catch(handleApiReject);
+    counters.push(
+      ...(resp.query?.allpages || [])
+        .map((page) => page.title.match(counterRegexp)?.[1])
+        .filter((counter) => counter !== undefined)
+        .map(Number)
+    );
+  } while (resp.continue);
+
+  return counters.length ? Math.max(...counters) : undefined;
+}
+
+export default {
+  /**
+   * Check whether a section can be archived manually.
+   *
+   * @param {import('./Section').default} section
+   * @returns {boolean}
+   */
+  canArchive(section) {
+    return Boolean(
+      cd.config.archiving?.subpage &&
+      section.canBeMoved() &&
+      // Don't guess the archive page name if the archive prefix is not known.
+      section.getSourcePage().getArchivePrefix(true)
+    );
+  },
+
+  /**
+   * Load the code of the section's source page, locate the section in it and work out the archive
+   * page to move the section to. The code of the archive page is loaded as well.
+   *
+   * @param {import('./Section').default} section
+   * @returns {Promise.<import('./pageRegistry').Page>}
+   * @throws {CdError}
+   */
+  async prepare(section) {
+    const sourcePage = section.getSourcePage();
+    try {
+      await sourcePage.loadCode(false);
+    } catch (e) {
+      if (e instanceof CdError) {
+        throw new CdError(Object.assign({}, {
+          message: cd.sParse('cf-error-getpagecode'),
+        }, e.data));
+      } else {
+        throw e;
+      }
+    }
+    try {
+      section.locateInCode();
+    } catch (e) {
+      if (e instanceof CdError) {
+        throw new CdError(Object.assign({}, e.data, {
+          message: cd.sParse('error-locatesection'),
+        }));
+      } else {
+        throw e;
+      }
+    }
+
+    const prefix = sourcePage.getArchivePrefix(true);
+    if (!prefix) {
+      throw new CdError({
+        type: 'internal',
+        code: 'noArchivePrefix',
+      });
+    }
+    const { subpage, maxSize } = cd.config.archiving;
+    if (!subpage.includes('$1')) {
+      const page = pageRegistry.get(generateArchivePageName(prefix));
+      await page.loadCode();
+      return page;
+    }
+
+    const counter = await findLastCounter(prefix) || 1;
+    let page = pageRegistry.get(generateArchivePageName(prefix, counter));
+    await page.loadCode();
+    if (maxSize && page.code && getByteLength(page.code + section.source.code) > maxSize) {
+      page = pageRegistry.get(generateArchivePageName(prefix, counter + 1));
+      await page.loadCode();
+    }
+    return page;
+  },
+
+  /**
+   * Append a section to the archive page, remove it from the source page and reload the page. Both
+   * pages should be prepared using {@link module:archiving.prepare}.
+   *
+   * @param {import('./Section').default} section
+   * @param {import('./pageRegistry').Page} archivePage
+   * @throws {CdError}
+   */
+  async archive(section, archivePage) {
+    const sourcePage = section.getSourcePage();
+    const sectionSource = section.source;
+
+    let archiveCode = archivePage.code;
+    if (!archiveCode) {
+      archiveCode = cd.config.archiving.header ?? cd.s('archive-header', sourcePage.name) + '\n';
+    }
+    const newArchiveCode = (
+      archiveCode +
+      (archiveCode && !archiveCode.endsWith('\n') ? '\n' : '') +
+      endWithTwoNewlines(sectionSource.code)
+    );
+    const headlineEncoded = encodeWikilink(section.headline);
+    await archivePage.edit({
+      text: newArchiveCode,
+      summary: buildEditSummary({
+        text: cd.s('es-archive-from', `${sourcePage.name}#${headlineEncoded}`),
+        section: section.headline,
+      }),
+      baserevid: archivePage.revisionId,
+      starttimestamp: archivePage.queryTimestamp,
+    });
+
+    const newSourceCode = (
+      sourcePage.code.slice(0, sectionSource.startIndex) +
+      sourcePage.code.slice(sectionSource.endIndex)
+    );
+    try {
+      await sourcePage.edit({
+        text: newSourceCode,
+        summary: buildEditSummary({
+          text: cd.s('es-archive-to', `${archivePage.name}#${headlineEncoded}`),
+          section: section.headline,
+        }),
+        baserevid: sourcePage.revisionId,
+        starttimestamp: sourcePage.queryTimestamp,
+      });
+    } catch (e) {
+      // The section has already been added to the archive, so the user has to remove it from the
+      // source page manually.
+      if (e instanceof CdError) {
+        throw new CdError(Object.assign({}, e.data, {
+          message: cd.sParse('archive-error-sourcepage'),
+        }));
+      } else {
+        throw e;
+      }
+    }
+
+    // When the edit takes place on another page that is transcluded in the current one, we must
+    // purge the current page, otherwise we may get an old version with the section.
+    if (sourcePage !== pageRegistry.getCurrent()) {
+      await pageRegistry.getCurrent().purge();
+    }
+
+    mw.notify(wrap(cd.sParse('archive-archived', `${archivePage.name}#${headlineEncoded}`)), {
+      type: 'success',
+    });
+    controller.reload();
+  },
+
+  /**
+   * Show a notification about an error that happened while archiving a section.
+   *
+   * @param {CdError|Error} e
+   */
+  notifyError(e) {
+    let text = cd.sParse('archive-error');
+    if (e instanceof CdError) {
+      const { type, message, details } = e.data;
+      if (type === 'network') {
+        text += ' ' + cd.sParse('error-network');
+      } else if (message || details?.message) {
+        text += ' ' + (message || details.message);
+      } else {
+        console.warn(e);
+      }
+    } else {
+      console.warn(e);
+    }
+    mw.notify(wrap(text), { type: 'error' });
+  },
+};
@@ -0,0 +1,269 @@
+/**
+ * Singleton related to comment bookmarks. Bookmarks are stored in a user option (see
+ * {@link convenientDiscussions.g.bookmarksOptionName}) so that they are available on all devices
+ * and are opened using the URL fragment handling of the boot process (see
+ * {@link BootProcess#processFragment}), which also looks for the comment in the archives if it is
+ * not found.
+ *
+ * @module bookmarks
+ */
+
+import CdError from './CdError';
+import cd from './cd';
+import controller from './controller';
+import userRegistry from './userRegistry';
+import { getUserInfo, saveLocalOption } from './apiWrappers';
+import { wrap } from './utils';
+
+/**
+ * Maximal length of the comment text saved together with the bookmark.
+ *
+ * @type {number}
+ * @private
+ */
+const textMaxLength = 100;
+
+/**
+ * @typedef {object} Bookmark
+ * @property {string} pageName Name of the page the comment is on.
+ * @property {string} id Comment ID.
+ * @property {string} [note] Note added by the user.
+ * @property {string} author Comment author name.
+ * @property {number} [unixTime] Comment date.
+ * @property {string} [headline] Headline of the section the comment is in.
+ * @property {string} text Beginning of the comment text.
+ * @property {number} addUnixTime When the bookmark was added.
+ */
+
+/**
+ * @typedef {object} BookmarkGroup
+ * @property {string} pageName
+ * @property {Bookmark[]} bookmarks
+ */
+
+/**
+ * Parse the value of the bookmarks option.
+ *
+ * @param {?string} value
+ * @returns {Bookmark[]}
+ * @private
+ */
+function parse(value) {
+  try {
+    const bookmarks = JSON.parse(value);
+    return Array.isArray(bookmarks) ? bookmarks : [];
+  } catch {
+    return [];
+  }
+}
+
+let savePromise = Promise.resolve();
+
+export default {
+  /**
+   * Bookmarks list. `null` until it is loaded.
+   *
+   * @type {?(Bookmark[])}
+   * @private
+   */
+  items: null,
+
+  /**
+   * Check whether the bookmarks are available to the current user (they are stored in user
+   * options, so the user should be logged in).
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return userRegistry.getCurrent().isRegistered();
+  },
+
+  /**
+   * Get the bookmarks list loaded earlier or, if it has not been loaded yet, the one that came with
+   * the page. To get the up-to-date list, use {@link module:bookmarks.load}.
+   *
+   * @returns {Bookmark[]}
+   */
+  get() {
+    this.items ||= parse(mw.user.options.get(cd.g.bookmarksOptionName));
+    return this.items;
+  },
+
+  /**
+   * Load the bookmarks list from the server (it could have been changed on another page or
+   * device).
+   *
+   * @returns {Promise.<Bookmark[]>}
+   */
+  async load() {
+    const { options } = await getUserInfo();
+    this.items = parse(options[cd.g.bookmarksOptionName]);
+    return this.items;
+  },
+
+  /**
+   * Find the bookmark of a comment on the current page.
+   *
+   * @param {import('./Comment').default} comment
+   * @returns {Bookmark|undefined}
+   */
+  find(comment) {
+    return this.get().find((bookmark) => (
+      bookmark.id === comment.id &&
+      bookmark.pageName === cd.g.pageName
+    ));
+  },
+
+  /**
+   * Get the bookmarks grouped by page, with the pages sorted by the time of the latest bookmark.
+   *
+   * @returns {BookmarkGroup[]}
+   */
+  getGroupedByPage() {
+    const groups = [];
+    this.get()
+      .slice()
+      .sort((b1, b2) => b2.addUnixTime - b1.addUnixTime)
+      .forEach((bookmark) => {
+        let group = groups.find((g) => g.pageName === bookmark.pageName);
+        if (!group) {
+          group = {
+            pageName: bookmark.pageName,
+            bookmarks: [],
+          };
+          groups.push(group);
+        }
+        group.bookmarks.push(bookmark);
+      });
+    return groups;
+  },
+
+  /**
+   * Bookmark a comment on the current page or update the note of an existing bookmark.
+   *
+   * @param {import('./Comment').default} comment
+   * @param {string} [note]
+   * @throws {CdError}
+   */
+  async add(comment, note) {
+    await this.change((items) => {
+      const text = comment.getText(true);
+      return [
+        ...items.filter((bookmark) => !(
+          bookmark.id === comment.id &&
+          bookmark.pageName === cd.g.pageName
+        )),
+        {
+          pageName: cd.g.pageName,
+          id: comment.id,
+          note: note || undefined,
+          author: comment.author.getName(),
+          unixTime: comment.date?.getTime(),
+          headline: comment.section?.headline,
+          text: text.length > textMaxLength ? text.slice(0, textMaxLength) + '…' : text,
+          addUnixTime: Date.now(),
+        },
+      ];
+    });
+  },
+
+  /**
+   * Remove a bookmark.
+   *
+   * @param {Bookmark} bookmark
+   * @throws {CdError}
+   */
+  async remove(bookmark) {
+    await this.change((items) => items.filter((b) => !(
+      b.id === bookmark.id &&
+      b.pageName === bookmark.pageName
+    )));
+  },
+
+  /**
+   * Load the bookmarks list, change it and save it to the server. Changes are made one after
+   * another to avoid overwriting each other.
+   *
+   * @param {Function} transform Function that takes the bookmarks list and returns a new one.
+   * @throws {CdError}
+   * @private
+   */
+  async change(transform) {
+    const save = async () => {
+      const items = transform(await this.load());
+      const value = JSON.stringify(items);
+      await saveLocalOption(cd.g.bookmarksOptionName, value);
+      mw.user.options.set(cd.g.bookmarksOptionName, value);
+      this.items = items;
+    };
+
+    // Don't run in parallel
+    savePromise = savePromise.then(save, save);
+    await savePromise;
+  },
+
+  /**
+   * Open a bookmark: go to the comment if it is on the current page and open the page otherwise.
+   * If the comment is not found, the user is notified and the comment is looked for in the
+   * archives.
+   *
+   * @param {Bookmark} bookmark
+   */
+  open(bookmark) {
+    if (bookmark.pageName === cd.g.pageName && controller.isTalkPage()) {
+      controller.getBootProcess().processFragment(bookmark.id);
+    } else {
+      location.assign(mw.util.getUrl(bookmark.pageName) + '#' + bookmark.id);
+    }
+  },
+
+  /**
+   * Show a notification about an error that happened while changing bookmarks.
+   *
+   * @param {Error} e
+   */
+  notifyError(e) {
+    const isSizeLimit = (
+      e instanceof CdError &&
+      e.data.type === 'internal' &&
+      e.data.code === 'sizeLimit'
+    );
+    mw.notify(cd.s(isSizeLimit ? 'bookmarks-error-maxsize' : 'error-settings-save'), {
+      type: 'error',
+    });
+  },
+
+  /**
+   * _For internal use._ Add a link to the bookmarks dialog to the page actions menu.
+   */
+  addDialogLink() {
+    if (!this.isAvailable()) return;
+
+    const link = mw.util.addPortletLink(
+      'p-cactions',
+      '#',
+      cd.s('bookmarks-link'),
+      'ca-cd-bookmarks',
+      cd.s('bookmarks-link-tooltip')
+    );
+    link?.firstElementChild.addEventListener('click', (e) => {
+      e.preventDefault();
+      controller.showBookmarksDialog();
+    });
+  },
+
+  /**
+   * Show a notification that a comment was bookmarked, with a link to the bookmarks dialog.
+   */
+  notifyAdded() {
+    mw.notify(
+      wrap(cd.sParse('bookmarks-added'), {
+        callbacks: {
+          'cd-notification-bookmarks': () => {
+            controller.showBookmarksDialog();
+          },
+        },
+      })
+    );
+  },
+};
@@ -0,0 +1,111 @@
+/**
+ * Singleton related to canned replies – snippets that can be inserted into the comment input from
+ * the toolbar or with the autocomplete. Personal replies are stored in the
+ * {@link module:settings settings}, replies available to everyone are loaded from the page set in
+ * the {@link module:defaultConfig.cannedRepliesPage cannedRepliesPage} config value. Both use the
+ * same format: every reply is a section where the headline is the label of the reply and the
+ * content is its text.
+ *
+ * The text can contain placeholders: `{{author}}` (the author of the comment replied to),
+ * `{{section}}` (the section headline) and `{{date}}` (the current date, filled in on save).
+ *
+ * @module cannedReplies
+ */
+
+import cd from './cd';
+import pageRegistry from './pageRegistry';
+import settings from './settings';
+import { getIncludedCode } from './wikitext';
+
+let wikiRepliesPromise;
+
+/**
+ * @typedef {object} CannedReply
+ * @property {string} label
+ * @property {string} text
+ */
+
+/**
+ * Parse the code with canned replies.
+ *
+ * @param {string} code
+ * @returns {CannedReply[]}
+ * @private
+ */
+function parse(code) {
+  const replies = [];
+  getIncludedCode(code)
+    .split('\n')
+    .forEach((line) => {
+      const [, , label] = line.match(/^(=+)(.+)\1\s*$/) || [];
+      if (label) {
+        replies.push({
+          label: label.trim(),
+          text: '',
+        });
+      } else if (replies.length) {
+        replies[replies.length - 1].text += line + '\n';
+      }
+    });
+  return replies
+    .map((reply) => Object.assign(reply, { text: reply.text.trim() }))
+    .filter((reply) => reply.label && reply.text);
+}
+
+/**
+ * Load the canned replies available to everyone on the wiki.
+ *
+ * @returns {Promise.<CannedReply[]>}
+ * @private
+ */
+async function loadWikiReplies() {
+  if (!cd.config.cannedRepliesPage) {
+    return [];
+  }
+
+  const page = pageRegistry.get(cd.config.cannedRepliesPage);
+  try {
+    await page.loadCode();
+  } catch (e) {
+    console.warn(`Couldn't load the canned replies from ${cd.config.cannedRepliesPage}.`, e);
+    return [];
+  }
+  return parse(page.code);
+}
+
+export default {
+  /**
+   * Get the personal canned replies and the ones available to everyone on the wiki (loaded once
+   * per page load).
+   *
+   * @returns {Promise.<CannedReply[]>}
+   */
+  async get() {
+    wikiRepliesPromise ||= loadWikiReplies();
+    return parse(settings.get('cannedReplies')).concat(await wikiRepliesPromise);
+  },
+
+  /**
+   * Replace the placeholders in the text of a canned reply with the values for a comment form.
+   *
+   * @param {string} text
+   * @param {import('./CommentForm').default} commentForm
+   * @returns {string}
+   */
+  fillPlaceholders(text, commentForm) {
+    const target = commentForm.getTarget();
+    const comment = commentForm.getMode() === 'edit' ? null : target.getRelevantComment();
+    const values = {
+      author: comment?.author.getName() || '',
+      section: (
+        commentForm.headlineInput?.getValue() ||
+        target.getRelevantSection()?.headline ||
+        ''
+      ),
+
+      // Five tildes are replaced with the date on save.
+      date: cd.g.signCode + '~',
+    };
+    return text.replace(/\{\{ *(author|section|date) *\}\}/g, (s, name) => values[name]);
+  },
+};
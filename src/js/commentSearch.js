@@ -0,0 +1,425 @@
+/**
+ * Singleton related to the comment search panel opened from the navigation panel. It lets the user
+ * filter the comments on the current page by text, author, date range, section and state and jump
+ * to the results.
+ *
+ * @module commentSearch
+ */
+
+import CommentStatic from './CommentStatic';
+import SectionStatic from './SectionStatic';
+import cd from './cd';
+import { focusInput, keyCombination } from './utils';
+import { formatDate } from './timestamp';
+
+/**
+ * Number of characters of context to show around the first match in a result snippet.
+ *
+ * @type {number}
+ * @private
+ */
+const snippetContextLength = 60;
+
+/**
+ * Maximal number of results to render at once (the rest are counted but not displayed).
+ *
+ * @type {number}
+ * @private
+ */
+const maxRenderedResults = 100;
+
+/**
+ * Split a search string into lowercased words.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ * @private
+ */
+function getSearchWords(text) {
+  return text
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word);
+}
+
+/**
+ * Parse the value of a date input (`YYYY-MM-DD`) into a date at the start of that day in UTC, or
+ * at the start of the next day if `endOfDay` is true.
+ *
+ * @param {string} value
+ * @param {boolean} [endOfDay=false]
+ * @returns {?Date}
+ * @private
+ */
+function parseDateInputValue(value, endOfDay = false) {
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + endOfDay));
+}
+
+export default {
+  /**
+   * Check whether the search panel is open.
+   *
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.$element?.is(':visible'));
+  },
+
+  /**
+   * Open the search panel, creating it if needed, or close it if it is open.
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  /**
+   * Open the search panel and focus the text input.
+   */
+  open() {
+    if (!this.$element) {
+      this.create();
+    }
+    this.updateSectionOptions();
+    this.$element.show();
+    this.update();
+    focusInput(this.textInput);
+  },
+
+  /**
+   * Close the search panel.
+   */
+  close() {
+    this.$element?.hide();
+  },
+
+  /**
+   * _For internal use._ Remove the search panel from the page.
+   */
+  unmount() {
+    this.$element?.remove();
+    this.$element = null;
+  },
+
+  /**
+   * _For internal use._ Refresh the search panel after the comments on the page have been
+   * reloaded.
+   */
+  reset() {
+    if (!this.isOpen()) return;
+
+    this.updateSectionOptions();
+    this.update();
+  },
+
+  /**
+   * Create the search panel element and its inputs.
+   *
+   * @private
+   */
+  create() {
+    const update = OO.ui.debounce(this.update.bind(this), 300);
+
+    this.textInput = new OO.ui.SearchInputWidget({
+      placeholder: cd.s('commentsearch-text-placeholder'),
+    });
+    this.textInput.on('change', update);
+
+    this.authorInput = new OO.ui.TextInputWidget({
+      placeholder: cd.s('commentsearch-author-placeholder'),
+    });
+    this.authorInput.on('change', update);
+
+    // OOUI doesn't accept the "date" type in the config, so we set it directly to get the browser's
+    // date picker.
+    this.dateFromInput = new OO.ui.TextInputWidget();
+    this.dateFromInput.$input.attr('type', 'date');
+    this.dateFromInput.on('change', update);
+    this.dateToInput = new OO.ui.TextInputWidget();
+    this.dateToInput.$input.attr('type', 'date');
+    this.dateToInput.on('change', update);
+    const dateLayout = new OO.ui.HorizontalLayout({
+      items: [this.dateFromInput, this.dateToInput],
+      classes: ['cd-commentSearch-dates'],
+    });
+
+    this.sectionInput = new OO.ui.DropdownInputWidget();
+    this.sectionInput.on('change', update);
+
+    this.stateInput = new OO.ui.CheckboxMultiselectInputWidget({
+      options: ['new', 'unseen', 'own'].map((state) => ({
+        data: state,
+
+        // Messages that can be used here:
+        // * commentsearch-state-new
+        // * commentsearch-state-unseen
+        // * commentsearch-state-own
+        label: cd.s(`commentsearch-state-${state}`),
+      })),
+      classes: ['cd-commentSearch-states'],
+    });
+    this.stateInput.on('change', update);
+
+    const closeButton = new OO.ui.ButtonWidget({
+      framed: false,
+      icon: 'close',
+      invisibleLabel: true,
+      label: cd.s('commentsearch-close'),
+      title: cd.s('commentsearch-close'),
+      classes: ['cd-commentSearch-close'],
+    });
+    closeButton.on('click', () => {
+      this.close();
+    });
+
+    const createField = (widget, labelMessageName) => (
+      new OO.ui.FieldLayout(widget, {
+        label: cd.s(labelMessageName),
+        align: 'top',
+      }).$element
+    );
+
+    this.$summary = $('<div>').addClass('cd-commentSearch-summary');
+    this.$results = $('<ul>').addClass('cd-commentSearch-results');
+
+    this.$element = $('<div>')
+      .attr('id', 'cd-commentSearch')
+      .append(
+        $('<div>')
+          .addClass('cd-commentSearch-header')
+          .append(
+            $('<div>')
+              .addClass('cd-commentSearch-title')
+              .text(cd.s('commentsearch-title')),
+            closeButton.$element,
+          ),
+        createField(this.textInput, 'commentsearch-text'),
+        createField(this.authorInput, 'commentsearch-author'),
+        createField(dateLayout, 'commentsearch-dates'),
+        createField(this.sectionInput, 'commentsearch-section'),
+        this.stateInput.$element,
+        this.$summary,
+        this.$results,
+      )
+      .on('keydown', (e) => {
+        // Esc
+        if (keyCombination(e, 27)) {
+          e.stopPropagation();
+          this.close();
+        }
+      })
+      .hide()
+      .appendTo(document.body);
+  },
+
+  /**
+   * Fill the section dropdown with the sections currently on the page, keeping the selected
+   * section if it still exists.
+   *
+   * @private
+   */
+  updateSectionOptions() {
+    const value = this.sectionInput.getValue();
+    this.sectionInput.setOptions([
+      {
+        data: '',
+        label: cd.s('commentsearch-section-all'),
+      },
+      ...SectionStatic.getAll()
+        .filter((section) => section.id)
+        .map((section) => ({
+          data: section.id,
+          label: '\u00a0'.repeat((section.level - 2) * 2) + section.headline,
+        })),
+    ]);
+    this.sectionInput.setValue(value);
+  },
+
+  /**
+   * Collect the search criteria from the inputs.
+   *
+   * @returns {object}
+   * @private
+   */
+  getCriteria() {
+    const sectionId = this.sectionInput.getValue();
+    return {
+      text: this.textInput.getValue(),
+      author: this.authorInput.getValue(),
+      dateFrom: parseDateInputValue(this.dateFromInput.getValue()),
+      dateTo: parseDateInputValue(this.dateToInput.getValue(), true),
+      section: (sectionId && SectionStatic.getById(sectionId)) || null,
+      states: this.stateInput.getValue(),
+    };
+  },
+
+  /**
+   * Find the comments on the page matching the criteria.
+   *
+   * @param {object} criteria
+   * @param {string} [criteria.text] Words that should all be present in the comment text.
+   * @param {string} [criteria.author] Part of the author name.
+   * @param {?Date} [criteria.dateFrom] Earliest comment date.
+   * @param {?Date} [criteria.dateTo] Latest comment date (exclusive).
+   * @param {?import('./Section').default} [criteria.section] Section (including subsections) the
+   *   comments should belong to.
+   * @param {Array.<'new'|'unseen'|'own'>} [criteria.states] States that all of the comments should
+   *   have.
+   * @returns {import('./Comment').default[]}
+   */
+  search({ text = '', author = '', dateFrom, dateTo, section, states = [] }) {
+    const words = getSearchWords(text);
+    author = author.trim().toLowerCase();
+    return CommentStatic.getAll().filter((comment) => (
+      (!author || comment.author.getName().toLowerCase().includes(author)) &&
+      (!dateFrom || (comment.date && comment.date >= dateFrom)) &&
+      (!dateTo || (comment.date && comment.date < dateTo)) &&
+      (
+        !section ||
+        comment.section === section ||
+        comment.section?.getAncestors().includes(section)
+      ) &&
+      (!states.includes('new') || comment.isNew) &&
+      (!states.includes('unseen') || comment.isSeen === false) &&
+      (!states.includes('own') || comment.isOwn) &&
+      (
+        !words.length ||
+        words.every((word) => comment.getText().toLowerCase().includes(word))
+      )
+    ));
+  },
+
+  /**
+   * Run the search with the criteria from the inputs and render the results.
+   *
+   * @private
+   */
+  update() {
+    if (!this.isOpen()) return;
+
+    const criteria = this.getCriteria();
+    const comments = this.search(criteria);
+    const isEmptyQuery = !(
+      criteria.text.trim() ||
+      criteria.author.trim() ||
+      criteria.dateFrom ||
+      criteria.dateTo ||
+      criteria.section ||
+      criteria.states.length
+    );
+
+    this.$results.empty();
+    if (isEmptyQuery) {
+      this.$summary.text('');
+      return;
+    }
+
+    this.$summary.text(
+      comments.length ?
+        cd.s('commentsearch-count', comments.length) :
+        cd.s('commentsearch-noresults')
+    );
+    if (comments.length > maxRenderedResults) {
+      this.$summary.append(' ', cd.s('commentsearch-count-limited', maxRenderedResults));
+    }
+    const words = getSearchWords(criteria.text);
+    this.$results.append(
+      comments
+        .slice(0, maxRenderedResults)
+        .map((comment) => this.createResultElement(comment, words))
+    );
+  },
+
+  /**
+   * Create a list item for a comment found.
+   *
+   * @param {import('./Comment').default} comment
+   * @param {string[]} words Search words to highlight in the snippet.
+   * @returns {external:jQuery}
+   * @private
+   */
+  createResultElement(comment, words) {
+    const $meta = $('<div>')
+      .addClass('cd-commentSearch-result-meta')
+      .append(
+        $('<bdi>').text(comment.author.getName()),
+        comment.date ? cd.mws('comma-separator') + formatDate(comment.date) : '',
+      );
+    const headline = comment.section?.headline;
+    if (headline) {
+      $meta.append(
+        $('<div>')
+          .addClass('cd-commentSearch-result-section')
+          .text(headline)
+      );
+    }
+
+    return $('<li>')
+      .addClass('cd-commentSearch-result')
+      .toggleClass('cd-commentSearch-result-new', Boolean(comment.isNew))
+      .attr('tabindex', 0)
+      .append(
+        $meta,
+        $('<div>')
+          .addClass('cd-commentSearch-result-snippet')
+          .append(this.createSnippet(comment.getText(), words))
+      )
+      .on('click keydown', (e) => {
+        if (e.type === 'keydown' && !keyCombination(e, 13)) return;
+
+        comment.scrollTo({
+          expandThreads: true,
+          pushState: true,
+        });
+      });
+  },
+
+  /**
+   * Create a snippet of a comment text around the first match, highlighting the matches.
+   *
+   * @param {string} text
+   * @param {string[]} words
+   * @returns {Array.<string|external:jQuery>}
+   * @private
+   */
+  createSnippet(text, words) {
+    text = text.replace(/\s+/g, ' ').trim();
+    const lowerCaseText = text.toLowerCase();
+    const firstIndex = Math.min(
+      ...words.map((word) => lowerCaseText.indexOf(word)).filter((index) => index !== -1)
+    );
+    let start = 0;
+    let end = text.length;
+    if (Number.isFinite(firstIndex)) {
+      start = Math.max(0, firstIndex - snippetContextLength);
+      end = Math.min(text.length, firstIndex + snippetContextLength * 2);
+    } else {
+      end = Math.min(text.length, snippetContextLength * 3);
+    }
+    const snippet = text.slice(start, end);
+    const prefix = start > 0 ? '…' : '';
+    const postfix = end < text.length ? '…' : '';
+    if (!words.length) {
+      return [prefix + snippet + postfix];
+    }
+
+    const regexp = new RegExp(words.map((word) => mw.util.escapeRegExp(word)).join('|'), 'gi');
+    const parts = [prefix];
+    let lastIndex = 0;
+    let match;
+    while ((match = regexp.exec(snippet))) {
+      parts.push(snippet.slice(lastIndex, match.index), $('<mark>').text(match[0]));
+      lastIndex = regexp.lastIndex;
+    }
+    parts.push(snippet.slice(lastIndex), postfix);
+
+    return parts;
+  },
+};
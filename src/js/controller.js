@@ -18,12 +18,17 @@ import addCommentLinks from './addCommentLinks';
 import cd from './cd';
 import debug from './debug';
 import init from './init';
+import keyboardNavigation from './keyboardNavigation';
 import navPanel from './navPanel';
+import notificationCenter from './notificationCenter';
 import notifications from './notifications';
 import pageNav from './pageNav';
 import pageRegistry from './pageRegistry';
 import postponements from './postponements';
 import settings from './settings';
+import subscriptionMonitor from './subscriptionMonitor';
+import subscriptions from './subscriptions';
+import tabCoordination from './tabCoordination';
 import toc from './toc';
 import { ElementsTreeWalker } from './treeWalker';
 import {
@@ -925,6 +930,8 @@ export default {
         navPanel.goToNextCommentForm(true);
       }
     }
+
+    keyboardNavigation.handleKeyDown(e);
   },
 
   /**
@@ -1090,13 +1097,19 @@ export default {
   },
 
   /**
-   * Is there any kind of a page overlay present, like the OOUI modal overlay or CD loading overlay.
-   * This runs very frequently.
+   * Is there any kind of a page overlay present, like the OOUI modal overlay, CD loading overlay or
+   * the {@link module:threadFocus thread focus overlay}. This runs very frequently.
    *
+   * @param {boolean} [ignoreThreadFocus=false] Don't take the thread focus overlay into account (for
+   *   actions that can be made from it).
    * @returns {boolean}
    */
-  isPageOverlayOn() {
-    return document.body.classList.contains('oo-ui-windowManager-modal-active') || this.booting;
+  isPageOverlayOn(ignoreThreadFocus = false) {
+    return (
+      document.body.classList.contains('oo-ui-windowManager-modal-active') ||
+      this.booting ||
+      (!ignoreThreadFocus && document.documentElement.classList.contains('cd-threadFocus-open'))
+    );
   },
 
   /**
@@ -1547,6 +1560,42 @@ export default {
     );
   },
 
+  /**
+   * _For internal use._ Start monitoring the topics the user is subscribed to on other pages (see
+   * {@link module:subscriptionMonitor}) if the user has enabled that in the settings. This is done
+   * on any page; on talk pages, the monitor is started by the boot process.
+   */
+  loadSubscriptionMonitor() {
+    if (this.talkPage || !mw.config.get('wgUserName')) return;
+
+    mw.loader.using([
+      'mediawiki.Title',
+      'mediawiki.api',
+      'mediawiki.jqueryMsg',
+      'mediawiki.storage',
+      'mediawiki.user',
+      'mediawiki.util',
+      'user.options',
+    ]).then(
+      async () => {
+        init.globals();
+        await settings.init();
+        if (!subscriptionMonitor.isEnabled()) return;
+
+        await init.parsingTools();
+        tabCoordination.init();
+
+        // On comment links pages, this request is reused.
+        subscriptions.load(true);
+
+        subscriptionMonitor.init();
+      },
+      (e) => {
+        console.warn('Couldn\'t start the subscription monitor.', e);
+      }
+    );
+  },
+
   cleanUpPasteDom(div) {
     // Get all styles (such as `user-select: none`) from classes applied when the element is added
     // to the DOM. If HTML is retrieved from a paste, this is not needed (styles are added to
@@ -1850,6 +1899,80 @@ export default {
     this.getWindowManager().openWindow(dialog);
   },
 
+  /**
+   * Show a dialog listing the comments scheduled to be posted.
+   */
+  showScheduledCommentsDialog() {
+    if (this.isPageOverlayOn()) return;
+
+    const ScheduledCommentsDialog = require('./ScheduledCommentsDialog').default;
+
+    const dialog = new ScheduledCommentsDialog();
+    this.getWindowManager().addWindows([dialog]);
+    this.getWindowManager().openWindow(dialog);
+  },
+
+  /**
+   * Show a dialog for exporting a section or thread.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   */
+  showExportDialog(target) {
+    // Threads can be exported from the thread focus overlay.
+    if (this.isPageOverlayOn(true)) return;
+
+    const ExportDialog = require('./ExportDialog').default;
+
+    const dialog = new ExportDialog(target);
+    this.getWindowManager().addWindows([dialog]);
+    this.getWindowManager().openWindow(dialog);
+  },
+
+  /**
+   * Show a dialog with the statistics of a section or the whole page.
+   *
+   * @param {import('./Section').default} [section] Section. If not set, the statistics of the page
+   *   are shown.
+   */
+  showStatisticsDialog(section) {
+    if (this.isPageOverlayOn()) return;
+
+    const StatisticsDialog = require('./StatisticsDialog').default;
+
+    const dialog = new StatisticsDialog(section);
+    this.getWindowManager().addWindows([dialog]);
+    this.getWindowManager().openWindow(dialog);
+  },
+
+  /**
+   * Show a dialog listing the bookmarked comments.
+   */
+  showBookmarksDialog() {
+    if (this.isPageOverlayOn()) return;
+
+    const BookmarksDialog = require('./BookmarksDialog').default;
+
+    const dialog = new BookmarksDialog();
+    this.getWindowManager().addWindows([dialog]);
+    this.getWindowManager().openWindow(dialog);
+  },
+
+  /**
+   * Show a dialog for searching comments on the current page and its archives.
+   *
+   * @param {object} [initialCriteria] Initial values of the search fields (see
+   *   {@link ArchiveSearchDialog}).
+   */
+  showArchiveSearchDialog(initialCriteria) {
+    if (this.isPageOverlayOn()) return;
+
+    const ArchiveSearchDialog = require('./ArchiveSearchDialog').default;
+
+    const dialog = new ArchiveSearchDialog(initialCriteria);
+    this.getWindowManager().addWindows([dialog]);
+    this.getWindowManager().openWindow(dialog);
+  },
+
   /**
    * Show a copy link dialog.
    *
@@ -2068,7 +2191,10 @@ export default {
       typeof Notification === 'undefined' ||
       Notification.permission !== 'granted' ||
       !filteredComments.length ||
-      document.hasFocus()
+      document.hasFocus() ||
+
+      // Only one of the tabs with the page open shows the notification.
+      !tabCoordination.isLeader(true)
     ) {
       return;
     }
@@ -2180,6 +2306,7 @@ export default {
     this.showRegularNotification(commentsToNotifyAbout);
     this.showDesktopNotification(commentsToNotifyAbout);
     this.commentsNotifiedAbout.push(...commentsToNotifyAbout);
+    notificationCenter.addNew(comments);
   },
 
   /**
@@ -9,6 +9,7 @@ import cd from './cd';
 import controller from './controller';
 import debug from './debug';
 import pageRegistry from './pageRegistry';
+import submitChecks from './submitChecks';
 import { buildEditSummary, underlinesToSpaces, wrap, wrapDiffBody } from './utils';
 
 const mwStringsCache = {};
@@ -177,6 +178,9 @@ Object.assign(cd, {
     buildEditSummary,
 
     /**
+     * Check whether there is any kind of a page overlay present. Note that the
+     * {@link module:threadFocus thread focus overlay} counts too; pass `true` to ignore it.
+     *
      * @see module:controller.isPageOverlayOn
      * @function isPageOverlayOn
      * @memberof convenientDiscussions.api
@@ -196,6 +200,18 @@ Object.assign(cd, {
      * @memberof convenientDiscussions.api
      */
     wrapDiffBody,
+
+    /**
+     * Registry of the checks run before a comment form is submitted. Use
+     * {@link module:submitChecks.add} to add a check and {@link module:submitChecks.remove} to
+     * remove one.
+     *
+     * @see module:submitChecks
+     * @name submitChecks
+     * @type {object}
+     * @memberof convenientDiscussions.api
+     */
+    submitChecks,
   },
 
   /**
@@ -599,6 +615,8 @@ Object.assign(cd.g, {
   settingsOptionName: 'userjs-convenientDiscussions-settings',
   localSettingsOptionName: `userjs-${localOptionsPrefix}-localSettings`,
   visitsOptionName: `userjs-${localOptionsPrefix}-visits`,
+  bookmarksOptionName: `userjs-${localOptionsPrefix}-bookmarks`,
+  unseenCommentsOptionName: `userjs-${localOptionsPrefix}-unseenComments`,
   subscriptionsOptionName: `userjs-${localOptionsPrefix}-${subscriptionsOptionNameEnding}`,
 
   server: server.startsWith('//') ? location.protocol + server : server,
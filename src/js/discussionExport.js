@@ -0,0 +1,238 @@
+/**
+ * Singleton related to exporting discussions (sections and threads) as Markdown, plain text or JSON,
+ * so that they could be quoted in tickets and reports. The comment tree is taken from
+ * {@link Comment#getParent} and {@link Comment#getChildren}, the texts from the rendered comments,
+ * with the links kept.
+ *
+ * @module discussionExport
+ */
+
+import Section from './Section';
+import cd from './cd';
+import pageRegistry from './pageRegistry';
+import { formatDateNative } from './timestamp';
+
+/**
+ * File extensions and MIME types for the export formats.
+ *
+ * @type {object}
+ * @private
+ */
+const formatData = {
+  markdown: {
+    extension: 'md',
+    mimeType: 'text/markdown',
+  },
+  text: {
+    extension: 'txt',
+    mimeType: 'text/plain',
+  },
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+  },
+};
+
+/**
+ * @typedef {object} ExportedComment
+ * @property {string|null} id Comment ID.
+ * @property {string} author Author name.
+ * @property {Date|null} date Comment date.
+ * @property {number} level Indentation level relative to the least indented comment.
+ * @property {string|null} parentId ID of the parent comment if it is exported too.
+ * @property {string} text Comment text with the links in the format of the export.
+ * @property {object[]} links Links in the comment: objects with the `text` and `url` properties.
+ */
+
+/**
+ * @typedef {object} ExportedDiscussion
+ * @property {string} title Section headline or thread title.
+ * @property {string} pageName Name of the page the discussion is on.
+ * @property {string} url URL of the discussion.
+ * @property {ExportedComment[]} comments
+ */
+
+/**
+ * Escape the characters that have a special meaning in Markdown link texts.
+ *
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function escapeMarkdownLinkText(text) {
+  return text.replace(/[[\]\\]/g, '\\$&');
+}
+
+/**
+ * Prepend a string to every non-empty line of a text.
+ *
+ * @param {string} text
+ * @param {string} indentation
+ * @returns {string}
+ * @private
+ */
+function indent(text, indentation) {
+  return text
+    .split('\n')
+    .map((line) => line.trim() ? indentation + line : '')
+    .join('\n');
+}
+
+/**
+ * Format the author and the date of a comment for a human-readable export.
+ *
+ * @param {ExportedComment} comment
+ * @returns {string}
+ * @private
+ */
+function formatAuthorAndDate(comment) {
+  return comment.date ?
+    comment.author + cd.mws('comma-separator') + formatDateNative(comment.date, true) :
+    comment.author;
+}
+
+export default {
+  /**
+   * Get the comments of a discussion in the tree order.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   * @returns {import('./Comment').default[]}
+   * @private
+   */
+  getComments(target) {
+    return target instanceof Section ?
+      target.comments :
+      [target.rootComment, ...target.rootComment.getChildren(true)];
+  },
+
+  /**
+   * Collect the data of a section or thread for export.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   * @param {'markdown'|'text'|'json'} format Format of the links in the comment texts.
+   * @returns {ExportedDiscussion}
+   */
+  collect(target, format) {
+    const comments = this.getComments(target);
+    const minLevel = Math.min(...comments.map((comment) => comment.logicalLevel));
+    const isSection = target instanceof Section;
+    return {
+      title: isSection ?
+        target.headline :
+        cd.s(
+          'threadfocus-title',
+          target.rootComment.author.getName(),
+          target.rootComment.author
+        ),
+      pageName: pageRegistry.getCurrent().name,
+      url: isSection ? target.getUrl() : target.rootComment.getUrl(),
+      comments: comments.map((comment) => {
+        const links = [];
+        const text = comment.getTextWithLinks((linkText, url) => {
+          links.push({
+            text: linkText,
+            url,
+          });
+          if (format === 'markdown') {
+            return `[${escapeMarkdownLinkText(linkText)}](${url})`;
+          } else if (format === 'text' && linkText !== url) {
+            return `${linkText} <${url}>`;
+          }
+          return linkText;
+        });
+        const parent = comment.getParent();
+        return {
+          id: comment.id || null,
+          author: comment.author.getName(),
+          date: comment.date || null,
+          level: comment.logicalLevel - minLevel,
+          parentId: (comments.includes(parent) && parent.id) || null,
+          text: text.trim(),
+          links,
+        };
+      }),
+    };
+  },
+
+  /**
+   * Serialize a section or thread.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   * @param {'markdown'|'text'|'json'} format
+   * @returns {string}
+   */
+  serialize(target, format) {
+    const discussion = this.collect(target, format);
+    if (format === 'json') {
+      return JSON.stringify({
+        title: discussion.title,
+        pageName: discussion.pageName,
+        url: discussion.url,
+        comments: discussion.comments.map((comment) => Object.assign({}, comment, {
+          date: comment.date?.toISOString() || null,
+        })),
+      }, null, 2);
+    }
+
+    if (format === 'markdown') {
+      return [
+        `## [${escapeMarkdownLinkText(discussion.title)}](${discussion.url})`,
+        ...discussion.comments.map((comment) => {
+          const itemIndentation = '  '.repeat(comment.level);
+          return (
+            `${itemIndentation}- **${formatAuthorAndDate(comment)}**\n` +
+            indent(comment.text, itemIndentation + '  ')
+          );
+        }),
+      ].join('\n\n') + '\n';
+    }
+
+    return [
+      `${discussion.title}\n${discussion.url}`,
+      ...discussion.comments.map((comment) => {
+        const indentation = '    '.repeat(comment.level);
+        return indent(`${formatAuthorAndDate(comment)}:\n${comment.text}`, indentation);
+      }),
+    ].join('\n\n') + '\n';
+  },
+
+  /**
+   * Get the name of the file to download the export of a section or thread to.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   * @param {'markdown'|'text'|'json'} format
+   * @returns {string}
+   */
+  getFileName(target, format) {
+    const title = target instanceof Section ?
+      target.headline :
+      `${pageRegistry.getCurrent().name}-${target.rootComment.id || target.rootComment.index}`;
+    return (
+      title.replace(/[\\/:*?"<>|]/g, '_').slice(0, 100) +
+      '.' +
+      formatData[format].extension
+    );
+  },
+
+  /**
+   * Let the user download the export of a section or thread as a file.
+   *
+   * @param {import('./Section').default|import('./Thread').default} target
+   * @param {'markdown'|'text'|'json'} format
+   * @param {string} content Serialized discussion.
+   */
+  download(target, format, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: formatData[format].mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.getFileName(target, format);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking the URL right away can cancel the download in some browsers.
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    });
+  },
+};
@@ -0,0 +1,197 @@
+/**
+ * Singleton related to the statistics of discussions (sections and the whole page): comments per
+ * participant, who replies to whom, activity over time, response latency and the longest reply
+ * chains. Everything is computed from the comments already on the page, without requests.
+ *
+ * @module discussionStatistics
+ */
+
+import CommentStatic from './CommentStatic';
+import cd from './cd';
+import { getUiTimezoneOffset } from './timestamp';
+
+/**
+ * Number of the longest reply chains to show.
+ *
+ * @type {number}
+ * @private
+ */
+const chainCount = 3;
+
+/**
+ * @typedef {object} ParticipantStatistics
+ * @property {import('./userRegistry').User} author
+ * @property {number} count Number of comments.
+ * @property {number} share Share of the comments, from 0 to 1.
+ */
+
+/**
+ * @typedef {object} ReplyStatistics
+ * @property {import('./userRegistry').User} from Author of the replies.
+ * @property {import('./userRegistry').User} to Author of the comments replied to.
+ * @property {number} count Number of replies.
+ */
+
+/**
+ * @typedef {object} ActivityStatistics
+ * @property {string} day Day in the `YYYY-MM-DD` format, in the time zone the dates are shown to the
+ *   user in.
+ * @property {number} count Number of comments.
+ */
+
+/**
+ * @typedef {object} DiscussionStatistics
+ * @property {number} commentCount
+ * @property {ParticipantStatistics[]} participants Participants sorted by the number of comments.
+ * @property {ReplyStatistics[]} replies Pairs of participants sorted by the number of replies.
+ * @property {ActivityStatistics[]} activity Number of comments per day in chronological order.
+ * @property {?number} averageResponseTime Average time between a comment and a reply to it, in
+ *   milliseconds.
+ * @property {import('./Comment').default[][]} longestChains Longest chains of replies, from the
+ *   comment starting the chain to the last reply.
+ */
+
+/**
+ * Count the comments per participant.
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {ParticipantStatistics[]}
+ * @private
+ */
+function countParticipants(comments) {
+  const counts = new Map();
+  comments.forEach((comment) => {
+    counts.set(comment.author, (counts.get(comment.author) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([author, count]) => ({
+      author,
+      count,
+      share: count / comments.length,
+    }))
+    .sort((item1, item2) => item2.count - item1.count);
+}
+
+/**
+ * Count the replies between participants. Replies to oneself are not counted.
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {ReplyStatistics[]}
+ * @private
+ */
+function countReplies(comments) {
+  const commentSet = new Set(comments);
+  const counts = new Map();
+  comments.forEach((comment) => {
+    const parent = comment.getParent();
+    if (!commentSet.has(parent) || parent.author === comment.author) return;
+
+    const key = comment.author.getName() + '\n' + parent.author.getName();
+    const item = counts.get(key) || {
+      from: comment.author,
+      to: parent.author,
+      count: 0,
+    };
+    item.count++;
+    counts.set(key, item);
+  });
+  return [...counts.values()].sort((item1, item2) => item2.count - item1.count);
+}
+
+/**
+ * Count the comments per day (the days start at midnight in the time zone the dates are shown to the
+ * user in).
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {ActivityStatistics[]}
+ * @private
+ */
+function countActivity(comments) {
+  const counts = new Map();
+  comments
+    .filter((comment) => comment.date)
+    .forEach((comment) => {
+      const date = comment.date;
+      const day = new Date(date.getTime() + getUiTimezoneOffset(date) * cd.g.msInMin)
+        .toISOString()
+        .slice(0, 10);
+      counts.set(day, (counts.get(day) || 0) + 1);
+    });
+  return [...counts.entries()]
+    .map(([day, count]) => ({ day, count }))
+    .sort((item1, item2) => item1.day < item2.day ? -1 : 1);
+}
+
+/**
+ * Calculate the average time between a comment and a reply to it.
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {?number}
+ * @private
+ */
+function calculateAverageResponseTime(comments) {
+  const commentSet = new Set(comments);
+  const times = comments
+    .map((comment) => {
+      const parent = comment.getParent();
+      return (
+        comment.date &&
+        parent?.date &&
+        commentSet.has(parent) &&
+        parent.author !== comment.author
+      ) ?
+        comment.date.getTime() - parent.date.getTime() :
+        null;
+    })
+    .filter((time) => time !== null && time >= 0);
+  return times.length ? times.reduce((sum, time) => sum + time, 0) / times.length : null;
+}
+
+/**
+ * Find the longest chains of replies, each ending with a comment without replies.
+ *
+ * @param {import('./Comment').default[]} comments
+ * @returns {import('./Comment').default[][]}
+ * @private
+ */
+function findLongestChains(comments) {
+  const commentSet = new Set(comments);
+  const parents = new Set(comments.map((comment) => comment.getParent()));
+  return comments
+    .filter((comment) => !parents.has(comment))
+    .map((comment) => {
+      const chain = [comment];
+      for (
+        let parent = comment.getParent();
+        commentSet.has(parent);
+        parent = parent.getParent()
+      ) {
+        chain.unshift(parent);
+      }
+      return chain;
+    })
+    .filter((chain) => chain.length > 1)
+    .sort((chain1, chain2) => chain2.length - chain1.length)
+    .slice(0, chainCount);
+}
+
+export default {
+  /**
+   * Calculate the statistics of a section or the whole page.
+   *
+   * @param {import('./Section').default} [section] Section. If not set, the statistics of the page
+   *   are calculated.
+   * @returns {DiscussionStatistics}
+   */
+  calculate(section) {
+    const comments = section ? section.comments : CommentStatic.getAll();
+    return {
+      commentCount: comments.length,
+      participants: countParticipants(comments),
+      replies: countReplies(comments),
+      activity: countActivity(comments),
+      averageResponseTime: calculateAverageResponseTime(comments),
+      longestChains: findLongestChains(comments),
+    };
+  },
+};
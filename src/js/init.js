@@ -501,6 +501,46 @@ function addCommentOouiPrototypes(prototypes) {
   );
   prototypes.thankButton = prototypes.getThankButton().$element.get(0);
 
+  prototypes.getMuteThreadButton = () => (
+    new OO.ui.ButtonWidget({
+      label: cd.s('cm-mutethread'),
+      title: cd.s('cm-mutethread-tooltip'),
+      framed: false,
+      classes: ['cd-button-ooui', 'cd-comment-button-ooui'],
+    })
+  );
+  prototypes.muteThreadButton = prototypes.getMuteThreadButton().$element.get(0);
+
+  prototypes.getReactButton = () => (
+    new OO.ui.ButtonWidget({
+      label: cd.s('cm-react'),
+      title: cd.s('cm-react-tooltip'),
+      framed: false,
+      classes: ['cd-button-ooui', 'cd-comment-button-ooui'],
+    })
+  );
+  prototypes.reactButton = prototypes.getReactButton().$element.get(0);
+
+  prototypes.getFocusThreadButton = () => (
+    new OO.ui.ButtonWidget({
+      label: cd.s('cm-focusthread'),
+      title: cd.s('cm-focusthread-tooltip'),
+      framed: false,
+      classes: ['cd-button-ooui', 'cd-comment-button-ooui'],
+    })
+  );
+  prototypes.focusThreadButton = prototypes.getFocusThreadButton().$element.get(0);
+
+  prototypes.getBookmarkButton = () => (
+    new OO.ui.ButtonWidget({
+      label: cd.s('cm-bookmark'),
+      title: cd.s('cm-bookmark-tooltip'),
+      framed: false,
+      classes: ['cd-button-ooui', 'cd-comment-button-ooui'],
+    })
+  );
+  prototypes.bookmarkButton = prototypes.getBookmarkButton().$element.get(0);
+
   prototypes.getCopyLinkButton = () => (
     new OO.ui.ButtonWidget({
       label: cd.s('cm-copylink'),
@@ -1202,6 +1242,17 @@ export default {
     }
   },
 
+  /**
+   * _For internal use._ Set the {@link convenientDiscussions} properties needed to parse talk pages
+   * in the web worker when the current page is not a talk page (see
+   * {@link module:subscriptionMonitor}).
+   */
+  async parsingTools() {
+    await Promise.all(this.getSiteData());
+    this.timestampParsingTools('content');
+    patterns();
+  },
+
   /**
    * _For internal use._ Assign various global objects' ({@link convenientDiscussions},
    * {@link external:jQuery.fn}) properties and methods that are needed for processing a talk page.
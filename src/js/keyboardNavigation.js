@@ -0,0 +1,314 @@
+/**
+ * Singleton related to the keyboard navigation between comments, threads and sections, and to the
+ * keyboard shortcuts cheatsheet.
+ *
+ * @module keyboardNavigation
+ */
+
+import CommentStatic from './CommentStatic';
+import SectionStatic from './SectionStatic';
+import cd from './cd';
+import settings from './settings';
+import { isInputFocused } from './utils';
+
+let currentComment;
+
+export default {
+  /**
+   * Get the names of the actions that can be bound to keys, in the order they are displayed in the
+   * settings dialog and the cheatsheet.
+   *
+   * @returns {string[]}
+   */
+  getActions() {
+    return Object.keys(settings.scheme.default.keyboardShortcuts);
+  },
+
+  /**
+   * Get the key map with the user's customizations applied to the defaults.
+   *
+   * @returns {object}
+   */
+  getKeyMap() {
+    return Object.assign(
+      {},
+      settings.scheme.default.keyboardShortcuts,
+      settings.get('keyboardShortcuts'),
+    );
+  },
+
+  /**
+   * _For internal use._ Handle the document `keydown` event, running the action bound to the key
+   * if there is one.
+   *
+   * @param {Event} e
+   */
+  handleKeyDown(e) {
+    if (
+      !settings.get('keyboardNavigation') ||
+      e.ctrlKey ||
+      e.altKey ||
+      e.metaKey ||
+      isInputFocused() ||
+      !CommentStatic.getCount()
+    ) {
+      return;
+    }
+
+    // Shift is allowed for keys like "?", but not for letters, so that Shift+J doesn't work as J.
+    // Letters typed with Caps Lock on are lowercased.
+    const isLetter = e.key.length === 1 && e.key.toLowerCase() !== e.key.toUpperCase();
+    if (isLetter && e.shiftKey) return;
+
+    const key = isLetter ? e.key.toLowerCase() : e.key;
+    const keyMap = this.getKeyMap();
+    const action = this.getActions().find((action) => keyMap[action] === key);
+    if (!action) return;
+
+    e.preventDefault();
+    this.runAction(action);
+  },
+
+  /**
+   * Run an action bound to a key.
+   *
+   * @param {string} action
+   * @private
+   */
+  runAction(action) {
+    switch (action) {
+      case 'nextComment':
+        this.goToCommentInDirection('forward');
+        break;
+      case 'previousComment':
+        this.goToCommentInDirection('backward');
+        break;
+      case 'parentComment':
+        this.goToParentComment();
+        break;
+      case 'firstChildComment':
+        this.goToFirstChildComment();
+        break;
+      case 'nextSection':
+        this.goToSectionInDirection('forward');
+        break;
+      case 'previousSection':
+        this.goToSectionInDirection('backward');
+        break;
+      case 'toggleThread':
+        this.toggleThread();
+        break;
+      case 'edit':
+        this.editComment();
+        break;
+      case 'thank':
+        this.thankForComment();
+        break;
+      case 'cheatsheet':
+        this.showCheatsheet();
+        break;
+    }
+  },
+
+  /**
+   * Get the comment the keyboard actions apply to: the comment navigated to last if it is still in
+   * the viewport, or any comment in the viewport otherwise.
+   *
+   * @returns {?import('./Comment').default}
+   * @private
+   */
+  getCurrentComment() {
+    if (
+      currentComment &&
+      CommentStatic.getByIndex(currentComment.index) === currentComment &&
+      currentComment.isInViewport(true)
+    ) {
+      return currentComment;
+    }
+
+    return CommentStatic.findInViewport();
+  },
+
+  /**
+   * Scroll to a comment and make it the current one.
+   *
+   * @param {import('./Comment').default} comment
+   * @private
+   */
+  setCurrentComment(comment) {
+    currentComment = comment;
+    comment.scrollTo();
+  },
+
+  /**
+   * Go to the next or previous visible comment in the document order.
+   *
+   * @param {'forward'|'backward'} direction
+   * @private
+   */
+  goToCommentInDirection(direction) {
+    const comment = this.getCurrentComment();
+    if (!comment) {
+      const closestComment = CommentStatic.findInViewport(direction);
+      if (closestComment) {
+        this.setCurrentComment(closestComment);
+      }
+      return;
+    }
+
+    const step = direction === 'forward' ? 1 : -1;
+    for (
+      let i = comment.index + step;
+      i >= 0 && i < CommentStatic.getCount();
+      i += step
+    ) {
+      const candidate = CommentStatic.getByIndex(i);
+      if (!candidate.isCollapsed) {
+        this.setCurrentComment(candidate);
+        break;
+      }
+    }
+  },
+
+  /**
+   * Go to the parent of the current comment.
+   *
+   * @private
+   */
+  goToParentComment() {
+    const comment = this.getCurrentComment();
+    const parent = comment?.getParent();
+    if (!parent) return;
+
+    comment.goToParent();
+    currentComment = parent;
+  },
+
+  /**
+   * Go to the first reply to the current comment.
+   *
+   * @private
+   */
+  goToFirstChildComment() {
+    const child = this.getCurrentComment()?.getChildren()[0];
+    if (!child) return;
+
+    this.setCurrentComment(child);
+  },
+
+  /**
+   * Go to the next or previous section relative to the section at the top of the viewport.
+   *
+   * @param {'forward'|'backward'} direction
+   * @private
+   */
+  goToSectionInDirection(direction) {
+    const sections = SectionStatic.getAll();
+    const currentSection = SectionStatic.getCurrentSection();
+    let section;
+    if (currentSection) {
+      section = sections[sections.indexOf(currentSection) + (direction === 'forward' ? 1 : -1)];
+    } else if (direction === 'forward') {
+      section = sections[0];
+    }
+    if (!section) return;
+
+    section.$heading.cdScrollTo('top');
+    currentComment = section.comments[0];
+  },
+
+  /**
+   * Collapse the thread the current comment belongs to, or expand it if it is collapsed.
+   *
+   * @private
+   */
+  toggleThread() {
+    const comment = this.getCurrentComment();
+    if (!comment) return;
+
+    const thread = comment.isCollapsed ?
+      comment.collapsedThread :
+      [comment, ...comment.getAncestors()].find((c) => c.thread)?.thread;
+    thread?.toggle();
+  },
+
+  /**
+   * Open an edit form for the current comment if the user can edit it.
+   *
+   * @private
+   */
+  editComment() {
+    const comment = this.getCurrentComment();
+    if (!comment || comment.editForm) return;
+
+    comment.configureLayers();
+    if (comment.editButton && !comment.editButton.isDisabled()) {
+      comment.edit();
+    }
+  },
+
+  /**
+   * Thank for the current comment if the user hasn't already.
+   *
+   * @private
+   */
+  thankForComment() {
+    const comment = this.getCurrentComment();
+    if (!comment) return;
+
+    comment.configureLayers();
+    if (
+      comment.thankButton &&
+      !comment.thankButton.isDisabled() &&
+      !comment.thankButton.isPending()
+    ) {
+      comment.thank();
+    }
+  },
+
+  /**
+   * Show a dialog listing the keyboard shortcuts.
+   */
+  showCheatsheet() {
+    const keyMap = this.getKeyMap();
+    const rows = [
+      ...this.getActions().map((action) => [
+        keyMap[action],
+
+        // Messages that can be used here:
+        // * sd-keyboardshortcuts-nextcomment
+        // * sd-keyboardshortcuts-previouscomment
+        // * sd-keyboardshortcuts-parentcomment
+        // * sd-keyboardshortcuts-firstchildcomment
+        // * sd-keyboardshortcuts-nextsection
+        // * sd-keyboardshortcuts-previoussection
+        // * sd-keyboardshortcuts-togglethread
+        // * sd-keyboardshortcuts-edit
+        // * sd-keyboardshortcuts-thank
+        // * sd-keyboardshortcuts-cheatsheet
+        cd.s(`sd-keyboardshortcuts-${action.toLowerCase()}`),
+      ]),
+      ['Q', cd.s('kn-cheatsheet-quote')],
+      ['R', cd.s('navpanel-refresh')],
+      ['W', cd.s('navpanel-previous')],
+      ['S', cd.s('navpanel-next')],
+      ['F', cd.s('navpanel-firstunseen')],
+      ['C', cd.s('navpanel-commentform')],
+    ];
+    const $table = $('<table>')
+      .addClass('cd-keyboardCheatsheet')
+      .append(
+        rows.map(([key, description]) => (
+          $('<tr>').append(
+            $('<td>').append($('<kbd>').text(key.toUpperCase())),
+            $('<td>').text(description),
+          )
+        ))
+      );
+
+    OO.ui.alert($table, {
+      title: cd.s('kn-cheatsheet-title'),
+      size: 'medium',
+    });
+  },
+};
@@ -0,0 +1,231 @@
+/**
+ * Singleton related to the user names suggested in the mentions autocomplete: ranking them by
+ * participation in the current thread, section and page and by recency, remembering the users that
+ * the current user pinged, and matching the typed text against the names regardless of diacritics
+ * and script.
+ *
+ * @module mentionSuggestions
+ */
+
+import CommentStatic from './CommentStatic';
+import cd from './cd';
+import userRegistry from './userRegistry';
+import { generatePageNamePattern, getFromLocalStorage, saveToLocalStorage } from './utils';
+
+/**
+ * Letters that are replaced with Latin letters when matching the typed text against user names.
+ * Letters with diacritics that can be decomposed (like `é`) are not needed here.
+ *
+ * @type {object}
+ * @private
+ */
+const transliterationMap = {
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh', з: 'z',
+  и: 'i', і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ў: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '',
+  ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i',
+};
+
+/**
+ * Number of days during which a ping made by the current user boosts the pinged user in the
+ * suggestions.
+ *
+ * @type {number}
+ * @private
+ */
+const mentionLifetimeDays = 60;
+
+let pingTemplatesRegexp;
+
+/**
+ * Normalize a string for fuzzy matching: lowercase it, remove the diacritics and transliterate it
+ * to Latin letters.
+ *
+ * @param {string} string
+ * @returns {string}
+ * @private
+ */
+function normalize(string) {
+  return string
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/_/g, ' ')
+    .replace(/./g, (char) => transliterationMap[char] ?? char);
+}
+
+/**
+ * Calculate how well a normalized user name matches the normalized text. The greater the score,
+ * the better the match; `0` means no match.
+ *
+ * @param {string} text
+ * @param {string} name
+ * @returns {number}
+ * @private
+ */
+function getMatchScore(text, name) {
+  if (name.startsWith(text)) {
+    return 4;
+  }
+  if (name.split(/[ \-.]/).some((word) => word.startsWith(text))) {
+    return 3;
+  }
+  if (name.includes(text)) {
+    return 2;
+  }
+
+  // All letters of the text appear in the name in the same order.
+  let index = 0;
+  for (const char of name) {
+    if (char === text[index]) {
+      index++;
+    }
+  }
+  return index === text.length ? 1 : 0;
+}
+
+/**
+ * Get the users pinged by the current user recently, cleaning up the old entries.
+ *
+ * @returns {object} Object with user names as keys and the last time they were pinged as values.
+ * @private
+ */
+function getRecentMentions() {
+  const data = getFromLocalStorage('mentions');
+  Object.keys(data).forEach((name) => {
+    if (!data[name] || data[name] < Date.now() - mentionLifetimeDays * cd.g.msInDay) {
+      delete data[name];
+    }
+  });
+  return data;
+}
+
+/**
+ * Get the names of the users pinged in the code with
+ * {@link module:defaultConfig.pingTemplates the ping templates}. Named parameters are ignored.
+ *
+ * @param {string} code
+ * @returns {string[]}
+ * @private
+ */
+function getPingTemplateNames(code) {
+  if (!cd.config.pingTemplates.length) {
+    return [];
+  }
+
+  if (!pingTemplatesRegexp) {
+    const pattern = cd.config.pingTemplates.map(generatePageNamePattern).join('|');
+    pingTemplatesRegexp = new RegExp(`\\{\\{ *(?:${pattern}) *\\|([^}]+)\\}\\}`, 'g');
+  }
+  return [...code.matchAll(pingTemplatesRegexp)].flatMap(([, params]) => (
+    params
+      .split('|')
+      .filter((param) => !param.includes('='))
+      .map((param) => param.trim())
+  ));
+}
+
+export default {
+  /**
+   * Get the names of the users that can be mentioned in a comment form, ranked for the mentions
+   * autocomplete: first the participants of the thread of the target comment, then of the section,
+   * then of the whole page. Within each group, the users recently pinged by the current user go
+   * first, then the users sorted by the date of their latest comment; unregistered users go last.
+   * The current user is excluded.
+   *
+   * @param {object} options
+   * @param {import('./Comment').default} [options.targetComment] Comment replied to or edited.
+   * @param {import('./Comment').default[]} options.comments Comments in the section.
+   * @param {import('./userRegistry').User} [options.pageOwner] Owner of the user talk page.
+   * @returns {string[]}
+   */
+  rankUserNames({ targetComment, comments, pageOwner }) {
+    const allComments = CommentStatic.getAll();
+    const lastCommentTimes = new Map();
+    allComments.forEach((comment) => {
+      const time = comment.date?.getTime() || 0;
+      if (time >= (lastCommentTimes.get(comment.author) || 0)) {
+        lastCommentTimes.set(comment.author, time);
+      }
+    });
+    const mentions = getRecentMentions();
+
+    let threadUsers = [];
+    if (targetComment) {
+      const rootComment = targetComment.getAncestors().pop() || targetComment;
+      threadUsers = rootComment.thread ?
+        rootComment.thread.getUsersInThread() :
+        [rootComment, ...rootComment.getChildren(true)].map((comment) => comment.author);
+    }
+    const groups = [
+      threadUsers,
+      comments.map((comment) => comment.author).concat(pageOwner || []),
+      allComments.map((comment) => comment.author),
+    ];
+
+    const groupIndexes = new Map();
+    groups.forEach((users, i) => {
+      users
+        .filter((user) => !groupIndexes.has(user) && user !== userRegistry.getCurrent())
+        .forEach((user) => {
+          groupIndexes.set(user, i);
+        });
+    });
+
+    return [...groupIndexes.keys()]
+      .sort((u1, u2) => (
+        groupIndexes.get(u1) - groupIndexes.get(u2) ||
+        u2.isRegistered() - u1.isRegistered() ||
+        (mentions[u2.getName()] || 0) - (mentions[u1.getName()] || 0) ||
+        (lastCommentTimes.get(u2) || 0) - (lastCommentTimes.get(u1) || 0) ||
+        (u2.getName() > u1.getName() ? -1 : 1)
+      ))
+      .map((user) => user.getName());
+  },
+
+  /**
+   * Find the user names matching the text typed in the mentions autocomplete. Case, diacritics and
+   * script (Cyrillic is transliterated to Latin) are ignored; names not containing the text but
+   * containing all its letters in the same order also match. The names are sorted by the match
+   * quality, names with the same match quality keep their order.
+   *
+   * @param {string} text
+   * @param {string[]} names
+   * @returns {string[]}
+   */
+  search(text, names) {
+    const normalizedText = normalize(text.trim());
+    return names
+      .map((name) => ({
+        name,
+        score: getMatchScore(normalizedText, normalize(name)),
+      }))
+      .filter((item) => item.score)
+      .sort((item1, item2) => item2.score - item1.score)
+      .map((item) => item.name);
+  },
+
+  /**
+   * Remember the users mentioned in the code of a comment posted by the current user so that they
+   * are ranked higher in the mentions autocomplete.
+   *
+   * @param {string} code
+   */
+  rememberMentions(code) {
+    const names = [...code.matchAll(/\[\[([^|[\]<>\n]+)(?:\|[^\]]*)?\]\]/g)]
+      .map(([, target]) => (target.trim().match(cd.g.userLinkRegexp) || [])[1])
+      .concat(getPingTemplateNames(code))
+      .filter((name) => name)
+      .map((name) => userRegistry.get(name))
+      .filter((user) => user !== userRegistry.getCurrent())
+      .map((user) => user.getName());
+    if (!names.length) return;
+
+    const mentions = getRecentMentions();
+    names.forEach((name) => {
+      mentions[name] = Date.now();
+    });
+    saveToLocalStorage('mentions', mentions);
+  },
+};
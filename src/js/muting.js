@@ -0,0 +1,301 @@
+/**
+ * Singleton related to muting threads and sections. Comments in muted threads and sections don't
+ * trigger notifications, are not highlighted as new and are not counted in the navigation panel;
+ * muted threads are collapsed by default. Mutes are stored in the local storage per page.
+ *
+ * @module muting
+ */
+
+import CommentStatic from './CommentStatic';
+import cd from './cd';
+import controller from './controller';
+import navPanel from './navPanel';
+import { formatDate } from './timestamp';
+import { getFromLocalStorage, saveToLocalStorage } from './utils';
+
+/**
+ * @typedef {object} MuteEntry
+ * @property {string} id Comment ID (for threads) or section ID (for sections).
+ * @property {string} label Text to identify the thread or section in the list of mutes.
+ */
+
+/**
+ * @typedef {object} MuteListItem
+ * @property {string} pageId
+ * @property {string} pageName
+ * @property {'threads'|'sections'} type
+ * @property {string} id
+ * @property {string} label
+ */
+
+/**
+ * @typedef {object} PageMutes
+ * @property {MuteEntry[]} [threads]
+ * @property {MuteEntry[]} [sections]
+ * @property {string} [pageName]
+ * @property {number} [saveUnixTime] Time of the last visit to the page.
+ */
+
+/**
+ * Number of days after the last visit to a page after which the mutes on the page are forgotten.
+ *
+ * @type {number}
+ * @private
+ */
+const muteLifetimeDays = 180;
+
+/**
+ * Clean up the mutes on the pages that haven't been visited for
+ * {@link muteLifetimeDays a long time}.
+ *
+ * @param {object} dataAllPages
+ * @returns {object}
+ * @private
+ */
+function cleanUpMutes(dataAllPages) {
+  const newData = Object.assign({}, dataAllPages);
+  Object.keys(newData).forEach((key) => {
+    if (!(newData[key].saveUnixTime >= Date.now() - muteLifetimeDays * cd.g.msInDay)) {
+      delete newData[key];
+    }
+  });
+  return newData;
+}
+
+export default {
+  /**
+   * Mutes on the current page.
+   *
+   * @type {?PageMutes}
+   * @private
+   */
+  data: null,
+
+  /**
+   * Load the mutes on the current page from the local storage if they are not loaded yet. When
+   * loading, the time of the last visit to the page is updated, and the old mutes on other pages
+   * are cleaned up.
+   *
+   * @returns {PageMutes}
+   * @private
+   */
+  load() {
+    if (!this.data) {
+      this.data = getFromLocalStorage('mutedThreads')[mw.config.get('wgArticleId')] || {};
+      this.save();
+    }
+    return this.data;
+  },
+
+  /**
+   * _For internal use._ Reload the mutes on the current page from the local storage. Executed on
+   * each page load.
+   */
+  reset() {
+    this.data = null;
+  },
+
+  /**
+   * Save the mutes on the current page to the local storage.
+   *
+   * @private
+   */
+  save() {
+    const data = this.load();
+    if (!controller.isCurrentRevision()) return;
+
+    const dataAllPages = cleanUpMutes(getFromLocalStorage('mutedThreads'));
+    if (data.threads?.length || data.sections?.length) {
+      data.pageName = mw.config.get('wgPageName');
+      data.saveUnixTime = Date.now();
+      dataAllPages[mw.config.get('wgArticleId')] = data;
+    } else {
+      delete dataAllPages[mw.config.get('wgArticleId')];
+    }
+    saveToLocalStorage('mutedThreads', dataAllPages);
+  },
+
+  /**
+   * Check whether the thread starting with a comment is muted itself (not as part of a muted thread
+   * or section higher up).
+   *
+   * @param {import('./Comment').default} comment Root comment of the thread.
+   * @returns {boolean}
+   */
+  isThreadMuted(comment) {
+    return Boolean(comment.id && this.load().threads?.some((entry) => entry.id === comment.id));
+  },
+
+  /**
+   * Check whether a section or any of its ancestors is muted.
+   *
+   * @param {import('./Section').default} section
+   * @param {boolean} [includeAncestors=true]
+   * @returns {boolean}
+   */
+  isSectionMuted(section, includeAncestors = true) {
+    const sections = this.load().sections;
+    if (!sections?.length) {
+      return false;
+    }
+    return [section, ...(includeAncestors ? section.getAncestors() : [])]
+      .some((s) => s.id && sections.some((entry) => entry.id === s.id));
+  },
+
+  /**
+   * Check whether a comment belongs to a muted thread or section.
+   *
+   * @param {import('./Comment').default} comment
+   * @returns {boolean}
+   */
+  isCommentMuted(comment) {
+    const { threads, sections } = this.load();
+    if (!threads?.length && !sections?.length) {
+      return false;
+    }
+    return (
+      [comment, ...comment.getAncestors()].some((c) => this.isThreadMuted(c)) ||
+      Boolean(comment.section && this.isSectionMuted(comment.section))
+    );
+  },
+
+  /**
+   * Check whether a comment added to the page since it was loaded (as received from the web worker)
+   * belongs to a muted thread or section.
+   *
+   * @param {import('./CommentSkeleton').CommentSkeletonLike} comment
+   * @returns {boolean}
+   */
+  isNewCommentMuted(comment) {
+    let parentMatch;
+    for (let c = comment; c && !parentMatch; c = c.parent) {
+      parentMatch = c.parentMatch;
+    }
+    return Boolean(
+      (parentMatch && this.isCommentMuted(parentMatch)) ||
+      (comment.section?.match && this.isSectionMuted(comment.section.match))
+    );
+  },
+
+  /**
+   * Mute the thread starting with a comment: collapse it and stop highlighting its comments as new.
+   *
+   * @param {import('./Comment').default} comment Root comment of the thread.
+   */
+  muteThread(comment) {
+    if (!comment.id || this.isThreadMuted(comment)) return;
+
+    const data = this.load();
+    data.threads ||= [];
+    data.threads.push({
+      id: comment.id,
+      label: [comment.author.getName(), comment.date && formatDate(comment.date)]
+        .filter(Boolean)
+        .join(cd.mws('comma-separator')),
+    });
+    this.save();
+
+    this.silence([comment, ...comment.getChildren(true)]);
+    if (comment.thread && !comment.thread.isCollapsed) {
+      comment.thread.collapse();
+    }
+  },
+
+  /**
+   * Mute a section: collapse its threads and stop highlighting its comments as new.
+   *
+   * @param {import('./Section').default} section
+   */
+  muteSection(section) {
+    if (!section.id || this.isSectionMuted(section, false)) return;
+
+    const data = this.load();
+    data.sections ||= [];
+    data.sections.push({
+      id: section.id,
+      label: section.headline,
+    });
+    this.save();
+
+    const comments = CommentStatic.getAll().filter((comment) => (
+      comment.section === section ||
+      comment.section?.getAncestors().includes(section)
+    ));
+    this.silence(comments);
+    comments
+      .filter((comment) => !comment.getParent() && comment.thread && !comment.thread.isCollapsed)
+      .forEach((comment) => {
+        comment.thread.collapse(undefined, true);
+      });
+  },
+
+  /**
+   * Unmute a thread or section on the current page.
+   *
+   * @param {'threads'|'sections'} type
+   * @param {string} id
+   */
+  unmute(type, id) {
+    const data = this.load();
+    data[type] = data[type]?.filter((entry) => entry.id !== id);
+    this.save();
+  },
+
+  /**
+   * Stop highlighting comments as new and counting them as unseen.
+   *
+   * @param {import('./Comment').default[]} comments
+   * @private
+   */
+  silence(comments) {
+    comments.forEach((comment) => {
+      comment.isNew = false;
+      comment.isSeen = true;
+      comment.updateLayersStyles();
+    });
+    navPanel.updateFirstUnseenButton();
+  },
+
+  /**
+   * Get the mutes on all pages for the settings dialog.
+   *
+   * @returns {MuteListItem[]}
+   */
+  getAll() {
+    const dataAllPages = cleanUpMutes(getFromLocalStorage('mutedThreads'));
+    return Object.keys(dataAllPages).flatMap((pageId) => {
+      const data = dataAllPages[pageId];
+      return ['sections', 'threads'].flatMap((type) => (
+        (data[type] || []).map((entry) => ({
+          pageId,
+          pageName: data.pageName,
+          type,
+          id: entry.id,
+          label: entry.label,
+        }))
+      ));
+    });
+  },
+
+  /**
+   * Remove a mute on any page (from the settings dialog).
+   *
+   * @param {MuteListItem} mute
+   */
+  remove(mute) {
+    if (Number(mute.pageId) === mw.config.get('wgArticleId')) {
+      this.unmute(mute.type, mute.id);
+      return;
+    }
+
+    const dataAllPages = getFromLocalStorage('mutedThreads');
+    const data = dataAllPages[mute.pageId];
+    if (!data) return;
+
+    data[mute.type] = data[mute.type]?.filter((entry) => entry.id !== mute.id);
+    if (!data.threads?.length && !data.sections?.length) {
+      delete dataAllPages[mute.pageId];
+    }
+    saveToLocalStorage('mutedThreads', dataAllPages);
+  },
+};
@@ -9,8 +9,12 @@ import Button from './Button';
 import CommentFormStatic from './CommentFormStatic';
 import CommentStatic from './CommentStatic';
 import cd from './cd';
+import commentSearch from './commentSearch';
 import controller from './controller';
+import notificationCenter from './notificationCenter';
+import scheduledComments from './scheduledComments';
 import settings from './settings';
+import submissionQueue from './submissionQueue';
 import { formatDate } from './timestamp';
 import { isCmdModifierPressed, reorderArray } from './utils';
 import { removeWikiMarkup } from './wikitext';
@@ -143,19 +147,99 @@ export default {
       },
     }).hide();
 
+    /**
+     * "Search comments" button element.
+     *
+     * @name searchButton
+     * @type {Button|undefined}
+     * @memberof module:navPanel
+     * @private
+     */
+    this.searchButton = new Button({
+      tagName: 'div',
+      classes: ['cd-navPanel-button'],
+      id: 'cd-navPanel-searchButton',
+      tooltip: cd.s('navpanel-search'),
+      action: () => {
+        commentSearch.toggle();
+      },
+    });
+
+    /**
+     * "Comments waiting to be sent" button element.
+     *
+     * @name queueButton
+     * @type {Button|undefined}
+     * @memberof module:navPanel
+     * @private
+     */
+    this.queueButton = new Button({
+      tagName: 'div',
+      classes: ['cd-navPanel-button'],
+      id: 'cd-navPanel-queueButton',
+      action: () => {
+        submissionQueue.retryAll();
+      },
+    }).hide();
+
+    /**
+     * "Scheduled comments" button element.
+     *
+     * @name scheduledButton
+     * @type {Button|undefined}
+     * @memberof module:navPanel
+     * @private
+     */
+    this.scheduledButton = new Button({
+      tagName: 'div',
+      classes: ['cd-navPanel-button'],
+      id: 'cd-navPanel-scheduledButton',
+      action: () => {
+        controller.showScheduledCommentsDialog();
+      },
+    }).hide();
+
+    /**
+     * "Notifications" button element.
+     *
+     * @name notificationsButton
+     * @type {Button|undefined}
+     * @memberof module:navPanel
+     * @private
+     */
+    this.notificationsButton = new Button({
+      tagName: 'div',
+      classes: ['cd-navPanel-button'],
+      id: 'cd-navPanel-notificationsButton',
+      tooltip: cd.s('navpanel-notifications'),
+      action: () => {
+        notificationCenter.toggle();
+      },
+    });
+
     this.$element.append(
       this.refreshButton.element,
       this.previousButton.element,
       this.nextButton.element,
       this.firstUnseenButton.element,
       this.commentFormButton.element,
+      this.queueButton.element,
+      this.scheduledButton.element,
+      this.searchButton.element,
+      this.notificationsButton.element,
     );
+
+    this.updateQueueButton();
+    this.updateScheduledButton();
+    notificationCenter.update();
   },
 
   /**
    * _For internal use._ Remove the navigation panel.
    */
   unmount() {
+    commentSearch.unmount();
+    notificationCenter.unmount();
     this.$element.remove();
     this.$element = null;
   },
@@ -182,6 +266,7 @@ export default {
     this.nextButton.hide();
     this.firstUnseenButton.hide();
     this.commentFormButton.hide();
+    commentSearch.reset();
     clearTimeout(utirbtTimeout);
   },
 
@@ -195,6 +280,9 @@ export default {
       this.nextButton.show();
       this.updateFirstUnseenButton();
     }
+
+    // The new and unseen states of comments are known only at this point.
+    commentSearch.reset();
   },
 
   /**
@@ -429,6 +517,61 @@ export default {
     this.commentFormButton[areThereHidden ? 'show' : 'hide']();
   },
 
+  /**
+   * _For internal use._ Update the
+   * {@link module:navPanel.queueButton "Comments waiting to be sent"} button to show the number of
+   * comments in the {@link module:submissionQueue submission queue}.
+   */
+  updateQueueButton() {
+    if (!this.isMounted()) return;
+
+    const count = submissionQueue.getCount();
+    if (count) {
+      this.queueButton
+        .show()
+        .setLabel(count)
+        .setTooltip(cd.s('navpanel-queue', count));
+    } else {
+      this.queueButton.hide();
+    }
+  },
+
+  /**
+   * _For internal use._ Update the
+   * {@link module:navPanel.scheduledButton "Scheduled comments"} button to show the number of
+   * comments scheduled to be posted, or hide it if there are none.
+   */
+  updateScheduledButton() {
+    if (!this.isMounted()) return;
+
+    const count = scheduledComments.getCount();
+    if (count) {
+      this.scheduledButton
+        .show()
+        .setTooltip(cd.s('navpanel-scheduled', count));
+    } else {
+      this.scheduledButton.hide();
+    }
+  },
+
+  /**
+   * _For internal use._ Update the
+   * {@link module:navPanel.notificationsButton "Notifications"} button to show the number of unread
+   * events in the {@link module:notificationCenter notification center}.
+   *
+   * @param {number} count
+   */
+  updateNotificationsButton(count) {
+    if (!this.isMounted()) return;
+
+    this.notificationsButton
+      .setLabel(count || '')
+      .setTooltip(
+        cd.s('navpanel-notifications') +
+        (count ? ' ' + cd.mws('parentheses', cd.s('navpanel-notifications-unread', count)) : '')
+      );
+  },
+
   /**
    * Get the number of new, not yet shown comments on the page.
    *
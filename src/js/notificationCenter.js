@@ -0,0 +1,463 @@
+/**
+ * Singleton related to the notification center opened from the navigation panel. It keeps the
+ * history of events (new comments, replies to the user, comments in the topics the user is
+ * subscribed to, changes to such comments) across page loads in the local storage, so that they
+ * are not lost when the toasts and desktop notifications disappear.
+ *
+ * @module notificationCenter
+ */
+
+import CommentStatic from './CommentStatic';
+import cd from './cd';
+import navPanel from './navPanel';
+import pageRegistry from './pageRegistry';
+import { formatDate } from './timestamp';
+import { getFromLocalStorage, keyCombination, saveToLocalStorage } from './utils';
+
+/**
+ * Maximal number of events kept in the history.
+ *
+ * @type {number}
+ * @private
+ */
+const maxEventCount = 200;
+
+/**
+ * Maximal length of the comment text saved together with the event.
+ *
+ * @type {number}
+ * @private
+ */
+const textMaxLength = 100;
+
+/**
+ * @typedef {object} NotificationEvent
+ * @property {'toMe'|'subscribed'|'new'|'changed'} type Event type.
+ * @property {string} pageName Name of the page the comment is on.
+ * @property {string} id Comment ID.
+ * @property {string} author Comment author name.
+ * @property {string} [headline] Headline of the section the comment is in.
+ * @property {string} [text] Beginning of the comment text.
+ * @property {number} unixTime When the event was registered.
+ * @property {boolean} isRead Whether the event was marked as read.
+ */
+
+/**
+ * Get the events from the local storage. (They are not cached as they could be changed in another
+ * tab.)
+ *
+ * @returns {NotificationEvent[]}
+ * @private
+ */
+function getEvents() {
+  const events = getFromLocalStorage('notificationCenter').events;
+  return Array.isArray(events) ? events : [];
+}
+
+/**
+ * Save the events to the local storage, leaving only the most recent ones.
+ *
+ * @param {NotificationEvent[]} events
+ * @private
+ */
+function saveEvents(events) {
+  saveToLocalStorage('notificationCenter', {
+    events: events
+      .sort((event1, event2) => event2.unixTime - event1.unixTime)
+      .slice(0, maxEventCount),
+  });
+}
+
+/**
+ * Shorten a comment text to store it with the event.
+ *
+ * @param {string} [text]
+ * @returns {string|undefined}
+ * @private
+ */
+function shortenText(text) {
+  if (!text) return;
+
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.length > textMaxLength ? text.slice(0, textMaxLength) + '…' : text;
+}
+
+export default {
+  /**
+   * _For internal use._ Start collecting the events about changes to comments from the hooks
+   * fired by {@link module:updateChecker} and keep track of the events added in other tabs.
+   */
+  init() {
+    const handleChanges = (changeList) => {
+      this.addChanged(
+        changeList
+          .filter(({ events }) => !events || events.changed)
+          .map(({ comment }) => comment)
+      );
+    };
+    mw.hook('convenientDiscussions.changesSincePreviousVisit').add(handleChanges);
+    mw.hook('convenientDiscussions.newChanges').add(handleChanges);
+
+    $(window).on('storage', (e) => {
+      if (e.originalEvent.key === 'convenientDiscussions-notificationCenter') {
+        this.update();
+      }
+    });
+  },
+
+  /**
+   * Add events with merging them with the already stored ones (an event with the same page, comment
+   * and type is not added twice). The comment texts are shortened.
+   *
+   * @param {NotificationEvent[]} newEvents
+   */
+  add(newEvents) {
+    if (!newEvents.length) return;
+
+    const events = getEvents();
+    newEvents.forEach((newEvent) => {
+      const isPresent = events.some((event) => (
+        event.pageName === newEvent.pageName &&
+        event.id === newEvent.id &&
+        event.type === newEvent.type
+      ));
+      if (!isPresent) {
+        events.push(Object.assign({}, newEvent, { text: shortenText(newEvent.text) }));
+      }
+    });
+    saveEvents(events);
+    this.update();
+  },
+
+  /**
+   * _For internal use._ Add events for the comments added to the page since it was loaded.
+   *
+   * @param {import('./CommentSkeleton').CommentSkeletonLike[]} comments
+   */
+  addNew(comments) {
+    const pageName = pageRegistry.getCurrent().name;
+    this.add(
+      comments
+        .filter((comment) => !comment.isOwn && !comment.author.isMuted())
+        .map((comment) => {
+          let type = 'new';
+          if (comment.isToMe) {
+            type = 'toMe';
+          } else if (comment.sectionSubscribedTo) {
+            type = 'subscribed';
+          }
+          return {
+            type,
+            pageName,
+            id: comment.id,
+            author: comment.author.getName(),
+            headline: comment.section?.headline,
+            text: comment.text,
+            unixTime: Date.now(),
+            isRead: false,
+          };
+        })
+    );
+  },
+
+  /**
+   * Add events for the comments that have changed, if they are replies to the user or are in the
+   * topics the user is subscribed to.
+   *
+   * @param {import('./Comment').default[]} comments
+   * @private
+   */
+  addChanged(comments) {
+    const pageName = pageRegistry.getCurrent().name;
+    this.add(
+      comments
+        .filter((comment) => (
+          comment?.id &&
+          !comment.isOwn &&
+          (comment.getParent()?.isOwn || comment.section?.getClosestSectionSubscribedTo(true))
+        ))
+        .map((comment) => ({
+          type: 'changed',
+          pageName,
+          id: comment.id,
+          author: comment.author.getName(),
+          headline: comment.section?.headline,
+          text: comment.getText(),
+          unixTime: Date.now(),
+          isRead: false,
+        }))
+    );
+  },
+
+  /**
+   * Get the number of unread events.
+   *
+   * @returns {number}
+   */
+  getUnreadCount() {
+    return getEvents().filter((event) => !event.isRead).length;
+  },
+
+  /**
+   * Mark events as read.
+   *
+   * @param {NotificationEvent[]} [eventsToMark] Events to mark. If not set, all the events shown in
+   *   the panel (considering the page filter) are marked.
+   */
+  markAsRead(eventsToMark) {
+    const events = getEvents();
+    const pageName = this.pageInput?.getValue();
+    events
+      .filter((event) => (
+        eventsToMark ?
+          eventsToMark.some((e) => (
+            e.pageName === event.pageName &&
+            e.id === event.id &&
+            e.type === event.type
+          )) :
+          !pageName || event.pageName === pageName
+      ))
+      .forEach((event) => {
+        event.isRead = true;
+      });
+    saveEvents(events);
+    this.update();
+  },
+
+  /**
+   * Check whether the notification center panel is open.
+   *
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.$element?.is(':visible'));
+  },
+
+  /**
+   * Open the notification center panel, creating it if needed, or close it if it is open.
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  /**
+   * Open the notification center panel.
+   */
+  open() {
+    if (!this.$element) {
+      this.create();
+    }
+    this.$element.show();
+    this.update();
+  },
+
+  /**
+   * Close the notification center panel.
+   */
+  close() {
+    this.$element?.hide();
+  },
+
+  /**
+   * _For internal use._ Remove the notification center panel from the page.
+   */
+  unmount() {
+    this.$element?.remove();
+    this.$element = null;
+  },
+
+  /**
+   * Create the notification center panel element.
+   *
+   * @private
+   */
+  create() {
+    this.pageInput = new OO.ui.DropdownInputWidget();
+    this.pageInput.on('change', () => {
+      this.update();
+    });
+
+    const markAllAsReadButton = new OO.ui.ButtonWidget({
+      label: cd.s('notificationcenter-markallasread'),
+      framed: false,
+      flags: ['progressive'],
+    });
+    markAllAsReadButton.on('click', () => {
+      this.markAsRead();
+    });
+
+    const closeButton = new OO.ui.ButtonWidget({
+      framed: false,
+      icon: 'close',
+      invisibleLabel: true,
+      label: cd.s('notificationcenter-close'),
+      title: cd.s('notificationcenter-close'),
+    });
+    closeButton.on('click', () => {
+      this.close();
+    });
+
+    this.$list = $('<ul>').addClass('cd-notificationCenter-list');
+
+    this.$element = $('<div>')
+      .attr('id', 'cd-notificationCenter')
+      .append(
+        $('<div>')
+          .addClass('cd-notificationCenter-header')
+          .append(
+            $('<div>')
+              .addClass('cd-notificationCenter-title')
+              .text(cd.s('notificationcenter-title')),
+            closeButton.$element,
+          ),
+        this.pageInput.$element,
+        markAllAsReadButton.$element,
+        this.$list,
+      )
+      .on('keydown', (e) => {
+        // Esc
+        if (keyCombination(e, 27)) {
+          e.stopPropagation();
+          this.close();
+        }
+      })
+      .hide()
+      .appendTo(document.body);
+  },
+
+  /**
+   * Fill the page filter with the pages that have events, keeping the selected page if it still
+   * has them.
+   *
+   * @param {NotificationEvent[]} events
+   * @private
+   */
+  updatePageOptions(events) {
+    const value = this.pageInput.getValue();
+    const pageNames = events
+      .map((event) => event.pageName)
+      .filter((pageName, i, arr) => arr.indexOf(pageName) === i);
+    this.pageInput.setOptions([
+      {
+        data: '',
+        label: cd.s('notificationcenter-page-all'),
+      },
+      ...pageNames.map((pageName) => ({
+        data: pageName,
+        label: pageName,
+      })),
+    ]);
+    this.pageInput.setValue(pageNames.includes(value) ? value : '');
+  },
+
+  /**
+   * Update the unread count in the navigation panel and, if the panel is open, render the events.
+   */
+  update() {
+    navPanel.updateNotificationsButton(this.getUnreadCount());
+    if (!this.isOpen()) return;
+
+    const events = getEvents();
+    this.updatePageOptions(events);
+    const pageName = this.pageInput.getValue();
+    const shownEvents = events.filter((event) => !pageName || event.pageName === pageName);
+    this.$list
+      .empty()
+      .append(
+        shownEvents.length ?
+          shownEvents.map((event) => this.createEventElement(event)) :
+          $('<li>')
+            .addClass('cd-notificationCenter-empty')
+            .text(cd.s('notificationcenter-empty'))
+      );
+  },
+
+  /**
+   * Create a list item for an event.
+   *
+   * @param {NotificationEvent} event
+   * @returns {external:jQuery}
+   * @private
+   */
+  createEventElement(event) {
+    const markAsReadButton = event.isRead ?
+      undefined :
+      new OO.ui.ButtonWidget({
+        framed: false,
+        icon: 'check',
+        invisibleLabel: true,
+        label: cd.s('notificationcenter-markasread'),
+        title: cd.s('notificationcenter-markasread'),
+        classes: ['cd-notificationCenter-event-markAsRead'],
+      });
+    markAsReadButton?.$element.on('click', (e) => {
+      // Don't jump to the comment.
+      e.stopPropagation();
+    });
+    markAsReadButton?.on('click', () => {
+      this.markAsRead([event]);
+    });
+
+    return $('<li>')
+      .addClass('cd-notificationCenter-event')
+      .toggleClass('cd-notificationCenter-event-unread', !event.isRead)
+      .attr('tabindex', 0)
+      .append(
+        $('<div>')
+          .addClass('cd-notificationCenter-event-type')
+
+          // Messages that can be used here:
+          // * notificationcenter-type-toMe
+          // * notificationcenter-type-subscribed
+          // * notificationcenter-type-new
+          // * notificationcenter-type-changed
+          .text(cd.s(`notificationcenter-type-${event.type}`, event.author)),
+        $('<div>')
+          .addClass('cd-notificationCenter-event-meta')
+          .text(
+            [event.pageName, event.headline, formatDate(new Date(event.unixTime))]
+              .filter((part) => part)
+              .join(cd.mws('comma-separator'))
+          ),
+        event.text ?
+          $('<div>')
+            .addClass('cd-notificationCenter-event-text')
+            .text(event.text) :
+          undefined,
+        markAsReadButton?.$element,
+      )
+      .on('click keydown', (e) => {
+        if (e.type === 'keydown' && !keyCombination(e, 13)) return;
+
+        this.goTo(event);
+      });
+  },
+
+  /**
+   * Mark an event as read and go to its comment: scroll to it if it is on the current page or open
+   * the page with the comment otherwise.
+   *
+   * @param {NotificationEvent} event
+   * @private
+   */
+  goTo(event) {
+    this.markAsRead([event]);
+    const comment = event.pageName === pageRegistry.getCurrent().name ?
+      CommentStatic.getById(event.id, true) :
+      null;
+    if (comment) {
+      this.close();
+      comment.scrollTo({
+        expandThreads: true,
+        flash: true,
+        pushState: true,
+      });
+    } else {
+      location.assign(`${mw.util.getUrl(event.pageName)}#${event.id}`);
+    }
+  },
+};
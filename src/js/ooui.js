@@ -268,6 +268,7 @@ export function handleDialogError(dialog, e, messageName, recoverable) {
  * @param {string} options.value
  * @param {string} options.label
  * @param {string} [options.maxLength]
+ * @param {boolean} [options.multiline=false] Create a multiline input.
  * @param {string} [options.help]
  * @param {string} [options.title]
  * @returns {CreateTextFieldReturn}
@@ -275,11 +276,19 @@ export function handleDialogError(dialog, e, messageName, recoverable) {
 export function createTextField({
   value,
   maxLength,
+  multiline = false,
   label,
   help,
   title,
 }) {
-  const input = new OO.ui.TextInputWidget({ value, maxLength });
+  const input = multiline ?
+    new OO.ui.MultilineTextInputWidget({
+      value,
+      maxLength,
+      rows: 5,
+      autosize: true,
+    }) :
+    new OO.ui.TextInputWidget({ value, maxLength });
   const field = new OO.ui.FieldLayout(input, {
     label,
     align: 'top',
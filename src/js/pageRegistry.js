@@ -258,12 +258,15 @@ export class Page {
   /**
    * Get the archive prefix for the page. If no prefix is found based on
    * {@link defaultConfig.archivePaths} and/or, for the current page, elements with the class
-   * `cd-archivingInfo` and attribute `data-archive-prefix`, returns the current page's name. If the
-   * page is an archive page or can't have archives, returns `null`.
+   * `cd-archivingInfo` and attribute `data-archive-prefix`, returns the current page's name (unless
+   * `onlyExplicit` is `true`). If the page is an archive page or can't have archives, returns
+   * `null`.
    *
+   * @param {boolean} [onlyExplicit=false] Return `null` instead of falling back to the page's name
+   *   if no prefix is found.
    * @returns {?string}
    */
-  getArchivePrefix() {
+  getArchivePrefix(onlyExplicit = false) {
     if (!this.canHaveArchives()) {
       return null;
     }
@@ -278,7 +281,10 @@ export class Page {
         }
       }
     }
-    return result ? String(result) : name + '/';
+    if (result) {
+      return String(result);
+    }
+    return onlyExplicit ? null : name + '/';
   }
 
   /**
@@ -0,0 +1,209 @@
+/**
+ * Singleton related to comment reactions ("+1", "agree", "done", etc.). Reactions are stored in the
+ * page code as template calls added to the end of comments (see
+ * {@link module:defaultConfig.reactions}) and, when comments are reformatted, shown as chips in the
+ * comment headers.
+ *
+ * @module reactions
+ */
+
+import CdError from './CdError';
+import cd from './cd';
+import controller from './controller';
+import pageRegistry from './pageRegistry';
+import userRegistry from './userRegistry';
+import { buildEditSummary, generatePageNamePattern, wrap } from './utils';
+
+/**
+ * @typedef {object} Reaction
+ * @property {string} type Reaction type name.
+ * @property {string} userName Name of the user who left the reaction.
+ */
+
+/**
+ * @typedef {object} ReactionGroup
+ * @property {string} type Reaction type name.
+ * @property {string} label Reaction type label.
+ * @property {string[]} userNames Names of the users who left the reaction.
+ * @property {boolean} isOwn Whether the current user is among the users who left the reaction.
+ */
+
+/**
+ * Create a regular expression that matches the code of a reaction of a type left by a user,
+ * together with the whitespace before it.
+ *
+ * @param {string} type
+ * @param {string} userName
+ * @returns {RegExp}
+ * @private
+ */
+function createCodeRegexp(type, userName) {
+  const templatePattern = generatePageNamePattern(cd.config.reactions.template);
+  const typePattern = mw.util.escapeRegExp(type);
+  const userNamePattern = generatePageNamePattern(userName);
+  return new RegExp(
+    `[ \\t]*\\{\\{ *${templatePattern} *\\| *${typePattern} *\\| *${userNamePattern} *\\}\\}`,
+    'g'
+  );
+}
+
+export default {
+  /**
+   * Check whether reactions are configured for the wiki.
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(cd.config.reactions?.template && cd.config.reactions.types?.length);
+  },
+
+  /**
+   * Get the configured reaction types.
+   *
+   * @returns {object[]}
+   */
+  getTypes() {
+    return cd.config.reactions.types;
+  },
+
+  /**
+   * _For internal use._ Collect the reactions to a comment from its elements and remove the
+   * elements output by the reaction template (they are replaced with chips in the comment header).
+   *
+   * @param {import('./Comment').default} comment
+   * @returns {Reaction[]}
+   */
+  extract(comment) {
+    const list = [];
+    comment.elements.forEach((el) => {
+      [...el.getElementsByClassName(cd.config.reactions.class)].forEach((reactionElement) => {
+        // Skip the reactions to the replies to the comment.
+        const commentPart = reactionElement.closest('[data-cd-comment-index]');
+        if (commentPart && Number(commentPart.dataset.cdCommentIndex) !== comment.index) return;
+
+        const { reaction: type, user: userName } = reactionElement.dataset;
+        if (type && userName && this.getTypes().some((t) => t.name === type)) {
+          list.push({ type, userName });
+        }
+        reactionElement.remove();
+      });
+    });
+    return list;
+  },
+
+  /**
+   * Group reactions by type in the order the types are configured.
+   *
+   * @param {Reaction[]} list
+   * @returns {ReactionGroup[]}
+   */
+  group(list) {
+    const currentUserName = userRegistry.getCurrent().getName();
+    return this.getTypes()
+      .map((type) => {
+        const userNames = list
+          .filter((reaction) => reaction.type === type.name)
+          .map((reaction) => reaction.userName);
+        return {
+          type: type.name,
+          label: type.label,
+          userNames,
+          isOwn: userNames.includes(currentUserName),
+        };
+      })
+      .filter((group) => group.userNames.length);
+  },
+
+  /**
+   * Add the current user's reaction of a type to a comment or remove it if it is already there,
+   * then reload the page.
+   *
+   * @param {import('./Comment').default} comment
+   * @param {string} type
+   * @throws {CdError}
+   */
+  async toggle(comment, type) {
+    const page = comment.getSourcePage();
+    try {
+      await page.loadCode(false);
+    } catch (e) {
+      if (e instanceof CdError) {
+        throw new CdError(Object.assign({}, {
+          message: cd.sParse('cf-error-getpagecode'),
+        }, e.data));
+      } else {
+        throw e;
+      }
+    }
+    try {
+      comment.locateInCode(false);
+    } catch (e) {
+      if (e instanceof CdError) {
+        throw new CdError(Object.assign({}, e.data, {
+          message: cd.sParse('error-locatecomment', page.getUrl({ action: 'edit' })),
+        }));
+      } else {
+        throw e;
+      }
+    }
+    const source = comment.source;
+
+    const codeRegexp = createCodeRegexp(type, userRegistry.getCurrent().getName());
+    const isRemoved = codeRegexp.test(source.code);
+    const code = isRemoved ?
+      source.code.replace(codeRegexp, '') :
+      source.code.replace(
+        /(\s*)$/,
+        (s, spacing) => (
+          ` {{${cd.config.reactions.template}|${type}|${userRegistry.getCurrent().getName()}}}` +
+          spacing
+        )
+      );
+    const { contextCode } = source.replaceCode(code);
+
+    await page.edit({
+      text: contextCode,
+      summary: buildEditSummary({
+        text: cd.s(
+          isRemoved ? 'es-unreact' : 'es-react',
+          comment.author.getName(),
+          comment.author,
+          type
+        ),
+        section: comment.section?.headline,
+      }),
+      baserevid: page.revisionId,
+      starttimestamp: page.queryTimestamp,
+    });
+
+    // When the edit takes place on another page that is transcluded in the current one, we must
+    // purge the current page, otherwise we may get an old version without the reaction.
+    if (page !== pageRegistry.getCurrent()) {
+      await pageRegistry.getCurrent().purge();
+    }
+
+    controller.reload();
+  },
+
+  /**
+   * Show a notification about an error that happened while adding or removing a reaction.
+   *
+   * @param {CdError|Error} e
+   */
+  notifyError(e) {
+    let text = cd.sParse('reactions-error');
+    if (e instanceof CdError) {
+      const { type, message, details } = e.data;
+      if (type === 'network') {
+        text += ' ' + cd.sParse('error-network');
+      } else if (details?.message || message) {
+        text += ' ' + (details?.message || message);
+      } else {
+        console.warn(e);
+      }
+    } else {
+      console.warn(e);
+    }
+    mw.notify(wrap(text), { type: 'error' });
+  },
+};
@@ -0,0 +1,405 @@
+/**
+ * Singleton related to comments scheduled to be posted at a given time ("Post at…" in the comment
+ * form). Scheduled comments are stored together with the comment form session (see
+ * {@link module:CommentFormStatic.saveSession}), and the timing is done with an alarm in the web
+ * worker so that background tabs are not throttled. A comment is posted only from a tab where its
+ * page is open (posting needs the parsed page to locate the place for the comment); if there is no
+ * such tab when the comment is due, one of the other tabs on the wiki notifies the user, and the
+ * comment is posted when the page is opened. When the page is open in several tabs, the tabs claim
+ * the comment before posting it so that it is posted once.
+ *
+ * @module scheduledComments
+ */
+
+import CommentFormStatic from './CommentFormStatic';
+import cd from './cd';
+import controller from './controller';
+import navPanel from './navPanel';
+import tabCoordination from './tabCoordination';
+import { getFromLocalStorage, saveToLocalStorage, sleep } from './utils';
+
+/**
+ * Name of the worker alarm used to post scheduled comments.
+ *
+ * @type {string}
+ * @private
+ */
+const alarmName = 'scheduledComments';
+
+/**
+ * Maximal interval of the alarm, in milliseconds. Longer intervals are split; this also allows to
+ * pick up changes made in other tabs.
+ *
+ * @type {number}
+ * @private
+ */
+const maxAlarmInterval = 60 * 60 * 1000;
+
+/**
+ * Delay before checking again if the script is busy when a comment is due, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const busyDelay = 3 * 1000;
+
+/**
+ * Time to wait after claiming a comment before checking that the claim hasn't been overwritten by
+ * another tab, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const claimDelay = 500;
+
+/**
+ * @typedef {object} ScheduleData
+ * @property {string} id Unique ID of the scheduled comment.
+ * @property {number} unixTime When the comment should be posted.
+ */
+
+/**
+ * @typedef {object} ScheduledCommentEntry
+ * @property {string} pageName Name of the page the comment is to be posted on.
+ * @property {string} id
+ * @property {number} unixTime
+ * @property {string} mode Comment form mode.
+ * @property {string} [headline]
+ * @property {string} comment Comment text.
+ * @property {import('./CommentForm').default} [commentForm] Comment form if the page is the
+ *   current page.
+ */
+
+let isWorkerListenerSet = false;
+const notifiedIds = [];
+const claimingIds = [];
+
+/**
+ * Get the IDs of scheduled comments that have already been posted (or claimed for posting) or were
+ * cancelled, from the local storage, removing entries older than a day. The values are objects with
+ * the `tabId` and `unixTime` properties.
+ *
+ * @returns {object}
+ * @private
+ */
+function getHandledIds() {
+  const data = getFromLocalStorage('scheduledCommentsHandled');
+  Object.keys(data).forEach((id) => {
+    if (!data[id]?.unixTime || data[id].unixTime < Date.now() - cd.g.msInDay) {
+      delete data[id];
+    }
+  });
+  return data;
+}
+
+/**
+ * Mark a scheduled comment as posted or cancelled so that other tabs don't post it.
+ *
+ * @param {string} id
+ * @private
+ */
+function markHandled(id) {
+  const data = getHandledIds();
+  data[id] = {
+    tabId: tabCoordination.getTabId(),
+    unixTime: Date.now(),
+  };
+  saveToLocalStorage('scheduledCommentsHandled', data);
+}
+
+/**
+ * Claim a scheduled comment for posting from the current tab. The claim is written to the local
+ * storage and read again after a delay: if another tab has claimed the comment at the same time,
+ * only the tab whose claim was written last gets it.
+ *
+ * @param {string} id
+ * @returns {Promise.<boolean>} Whether the comment should be posted from the current tab.
+ * @private
+ */
+async function claim(id) {
+  if (getHandledIds()[id]) {
+    return false;
+  }
+
+  markHandled(id);
+  await sleep(claimDelay);
+  return getHandledIds()[id]?.tabId === tabCoordination.getTabId();
+}
+
+export default {
+  /**
+   * Scheduled comment forms on the current page.
+   *
+   * @type {import('./CommentForm').default[]}
+   * @private
+   */
+  items: [],
+
+  /**
+   * Schedule data of comment forms.
+   *
+   * @type {Map.<import('./CommentForm').default, ScheduleData>}
+   * @private
+   */
+  data: new Map(),
+
+  /**
+   * Schedule a comment form to be submitted at a given time, or change the time if it is already
+   * scheduled.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @param {number} unixTime
+   * @param {string} [id] ID of the scheduled comment (when the form is restored from the session
+   *   data).
+   */
+  add(commentForm, unixTime, id) {
+    this.setWorkerListener();
+
+    if (!this.items.includes(commentForm)) {
+      this.items.push(commentForm);
+    }
+    this.data.set(commentForm, {
+      id: (
+        id ||
+        this.data.get(commentForm)?.id ||
+        Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+      ),
+      unixTime,
+    });
+    CommentFormStatic.saveSession(true);
+    this.update();
+  },
+
+  /**
+   * Remove a comment form from the schedule.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @param {boolean} [isCancelled=false] Whether the user cancelled the posting (then the other tabs
+   *   are told not to post the comment).
+   */
+  remove(commentForm, isCancelled = false) {
+    if (!this.items.includes(commentForm)) return;
+
+    if (isCancelled) {
+      markHandled(this.data.get(commentForm).id);
+    }
+    this.items.splice(this.items.indexOf(commentForm), 1);
+    this.data.delete(commentForm);
+    CommentFormStatic.saveSession(true);
+    this.update();
+  },
+
+  /**
+   * _For internal use._ Forget the scheduled comment forms without saving the session (used when
+   * the comment forms are restored from the session data anew).
+   */
+  reset() {
+    this.data.clear();
+    this.items.length = 0;
+  },
+
+  /**
+   * Get the schedule data of a comment form to save it in the session data.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @returns {ScheduleData|undefined}
+   */
+  getData(commentForm) {
+    return this.data.get(commentForm);
+  },
+
+  /**
+   * Get all scheduled comments on all pages of the wiki, sorted by time.
+   *
+   * @returns {ScheduledCommentEntry[]}
+   */
+  getAll() {
+    const currentPageName = mw.config.get('wgPageName');
+    const handledIds = getHandledIds();
+    const dataAllPages = getFromLocalStorage('commentForms');
+    return [
+      ...this.items.map((commentForm) => ({
+        pageName: currentPageName,
+        ...this.data.get(commentForm),
+        mode: commentForm.getMode(),
+        headline: commentForm.headlineInput?.getValue(),
+        comment: commentForm.commentInput.getValue(),
+        commentForm,
+      })),
+      ...Object.keys(dataAllPages)
+        .filter((pageName) => pageName !== currentPageName)
+        .flatMap((pageName) => (
+          (dataAllPages[pageName].commentForms || [])
+            .filter((data) => data.scheduled && !handledIds[data.scheduled.id])
+            .map((data) => ({
+              pageName,
+              ...data.scheduled,
+              mode: data.mode,
+              headline: data.headline,
+              comment: data.comment,
+            }))
+        )),
+    ].sort((entry1, entry2) => entry1.unixTime - entry2.unixTime);
+  },
+
+  /**
+   * Get the number of scheduled comments on all pages of the wiki.
+   *
+   * @returns {number}
+   */
+  getCount() {
+    return this.getAll().length;
+  },
+
+  /**
+   * Cancel a scheduled comment. Its text stays in the comment form (for comments on other pages, the
+   * form is restored when the page is opened).
+   *
+   * @param {ScheduledCommentEntry} entry
+   */
+  cancel(entry) {
+    if (entry.commentForm) {
+      entry.commentForm.unschedule();
+      return;
+    }
+
+    markHandled(entry.id);
+    const dataAllPages = getFromLocalStorage('commentForms');
+    dataAllPages[entry.pageName]?.commentForms?.forEach((data) => {
+      if (data.scheduled?.id === entry.id) {
+        delete data.scheduled;
+      }
+    });
+    saveToLocalStorage('commentForms', dataAllPages);
+    this.update();
+  },
+
+  /**
+   * _For internal use._ Set the alarm for the scheduled comments saved on all pages. Executed on
+   * each page load.
+   */
+  init() {
+    this.update();
+  },
+
+  /**
+   * Update the worker alarm and the navigation panel after the schedule has changed.
+   *
+   * @private
+   */
+  update() {
+    navPanel.updateScheduledButton();
+
+    const times = this.getAll()
+      .filter((entry) => entry.commentForm || !notifiedIds.includes(entry.id))
+      .map((entry) => entry.unixTime);
+    if (!times.length) {
+      if (isWorkerListenerSet) {
+        controller.getWorker().postMessage({
+          type: 'removeAlarm',
+          name: alarmName,
+        });
+      }
+      return;
+    }
+
+    this.setWorkerListener();
+    controller.getWorker().postMessage({
+      type: 'setAlarm',
+      interval: Math.min(Math.max(Math.min(...times) - Date.now(), 0), maxAlarmInterval),
+      name: alarmName,
+    });
+  },
+
+  /**
+   * Start listening for the alarm messages from the worker.
+   *
+   * @private
+   */
+  setWorkerListener() {
+    if (isWorkerListenerSet) return;
+
+    controller.getWorker().addEventListener('message', (e) => {
+      if (e.data.type === 'wakeUp' && e.data.name === alarmName) {
+        this.check();
+      }
+    });
+    isWorkerListenerSet = true;
+  },
+
+  /**
+   * Post the comments that are due on the current page and notify about the comments that are due
+   * on other pages (only in one tab). Executed when the alarm goes off.
+   *
+   * @private
+   */
+  check() {
+    const now = Date.now();
+    const handledIds = getHandledIds();
+    let isBusy = Boolean(claimingIds.length);
+    this.items
+      .filter((commentForm) => this.data.get(commentForm).unixTime <= now)
+      .forEach((commentForm) => {
+        const { id } = this.data.get(commentForm);
+        if (claimingIds.includes(id)) return;
+
+        if (handledIds[id]) {
+          // Posted or cancelled in another tab.
+          commentForm.unschedule(false);
+          return;
+        }
+
+        // Only one form can be submitted at a time.
+        if (
+          isBusy ||
+          controller.isBooting() ||
+          CommentFormStatic.getAll().some((form) => form.isBeingSubmitted())
+        ) {
+          isBusy = true;
+          return;
+        }
+
+        isBusy = true;
+        claimingIds.push(id);
+        claim(id).then((isClaimed) => {
+          claimingIds.splice(claimingIds.indexOf(id), 1);
+          commentForm.unschedule(false);
+          if (isClaimed && !commentForm.destroyed) {
+            commentForm.submit(false, true);
+          }
+        });
+      });
+
+    this.getAll()
+      .filter((entry) => (
+        !entry.commentForm &&
+        entry.unixTime <= now &&
+        !notifiedIds.includes(entry.id)
+      ))
+      .forEach((entry) => {
+        notifiedIds.push(entry.id);
+        if (!tabCoordination.isLeader()) return;
+
+        const $message = $('<div>').append(
+          cd.s('scheduled-due-notification'),
+          ' ',
+          $('<a>')
+            .attr('href', mw.util.getUrl(entry.pageName))
+            .text(entry.pageName.replace(/_/g, ' ')),
+        );
+        mw.notify($message, {
+          autoHide: false,
+          tag: `cd-scheduled-${entry.id}`,
+        });
+      });
+
+    this.update();
+    if (isBusy) {
+      controller.getWorker().postMessage({
+        type: 'setAlarm',
+        interval: busyDelay,
+        name: alarmName,
+      });
+    }
+  },
+};
@@ -11,6 +11,15 @@ import { areObjectsEqual, defined, hideText, ucFirst, unhideText, wrap } from '.
 import { formatDateImproved, formatDateNative, formatDateRelative } from './timestamp';
 import { getUserInfo, saveGlobalOption, saveLocalOption } from './apiWrappers';
 
+/**
+ * Keys used by the shortcuts that can't be remapped (see
+ * {@link module:controller.handleGlobalKeyDown}).
+ *
+ * @type {string[]}
+ * @private
+ */
+const reservedKeys = ['q', 'r', 'w', 's', 'f', 'c'];
+
 export default {
   /**
    * Settings scheme.
@@ -31,7 +40,7 @@ export default {
    * @property {object[]} ui List of pages of the settings dialog, each with its control objects.
    */
   scheme: {
-    local: ['insertButtons-altered', 'insertButtons', 'signaturePrefix'],
+    local: ['cannedReplies', 'insertButtons-altered', 'insertButtons', 'signaturePrefix'],
 
     undocumented: {
       defaultCommentLinkType: null,
@@ -53,6 +62,7 @@ export default {
       'newTopicsSubscription-onboarded',
       'notificationsBlacklist',
       'useTopicSubscription-seenNotice',
+      'watchlistDigest',
     ],
 
     resetsTo: {
@@ -72,9 +82,17 @@ export default {
 
       // The order should coincide with the order of checkboxes in the `autocompleteTypes` setting -
       // otherwise the "Save" and "Reset" buttons in the settings dialog won't work properly.
-      autocompleteTypes: ['mentions', 'commentLinks', 'wikilinks', 'templates', 'tags'],
+      autocompleteTypes: [
+        'mentions',
+        'commentLinks',
+        'wikilinks',
+        'templates',
+        'tags',
+        'cannedReplies',
+      ],
 
       autopreview: true,
+      cannedReplies: '',
       collapseThreadsLevel: 10,
       desktopNotifications: 'unknown',
       enableThreads: true,
@@ -84,8 +102,25 @@ export default {
       'improvePerformance-lastSuggested': null,
       insertButtons: cd.config.defaultInsertButtons || [],
       'insertButtons-altered': false,
+      keyboardNavigation: false,
+      // The order of the actions is the order they are displayed in the settings dialog and the
+      // cheatsheet.
+      keyboardShortcuts: {
+        nextComment: 'j',
+        previousComment: 'k',
+        parentComment: 'h',
+        firstChildComment: 'l',
+        nextSection: ']',
+        previousSection: '[',
+        toggleThread: 'x',
+        edit: 'e',
+        thank: 't',
+        cheatsheet: '?',
+      },
       'manyForms-onboarded': false,
       modifyToc: true,
+      monitorSubscriptions: false,
+
       'newTopicsSubscription-onboarded': false,
       notifications: 'all',
       notifyCollapsedThreads: false,
@@ -95,6 +130,7 @@ export default {
       showContribsLink: false,
       showToolbar: true,
       signaturePrefix: cd.config.defaultSignaturePrefix,
+      splitPreview: false,
       subscribeOnReply: true,
       timestampFormat: 'default',
       useBackgroundHighlighting: true,
@@ -102,6 +138,7 @@ export default {
       useTopicSubscription: Boolean(mw.loader.getState('ext.discussionTools.init')),
       'useTopicSubscription-seenNotice': false,
       useUiTime: true,
+      watchlistDigest: false,
 
       // On wikis where there is no topic subscriptions, watching pages on replying is the
       // alternative to keep track of discussions.
@@ -202,6 +239,12 @@ export default {
             type: 'checkbox',
             label: cd.s('sd-autopreview'),
           },
+          {
+            name: 'splitPreview',
+            type: 'checkbox',
+            label: cd.s('sd-splitpreview'),
+            help: cd.s('sd-splitpreview-help'),
+          },
           {
             name: 'watchOnReply',
             type: 'checkbox',
@@ -256,6 +299,10 @@ export default {
                 data: 'tags',
                 label: cd.s('sd-autocompletetypes-tags'),
               },
+              {
+                data: 'cannedReplies',
+                label: cd.s('sd-autocompletetypes-cannedreplies'),
+              },
             ],
             classes: ['cd-autocompleteTypesMultiselect'],
           },
@@ -289,6 +336,12 @@ export default {
                 .filter(defined)
             ),
           },
+          {
+            name: 'cannedReplies',
+            type: 'multilinetext',
+            label: cd.s('sd-cannedreplies'),
+            help: wrap(cd.sParse('sd-cannedreplies-help') + ' ' + cd.sParse('sd-localsetting')),
+          },
           {
             name: 'signaturePrefix',
             type: 'text',
@@ -397,6 +450,47 @@ export default {
             type: 'checkbox',
             label: cd.s('sd-notifycollapsedthreads'),
           },
+          {
+            name: 'monitorSubscriptions',
+            type: 'checkbox',
+            label: cd.s('sd-monitorsubscriptions'),
+            help: cd.s('sd-monitorsubscriptions-help'),
+          },
+        ],
+      },
+      {
+        name: 'keyboard',
+        label: cd.s('sd-page-keyboard'),
+        controls: [
+          {
+            name: 'keyboardNavigation',
+            type: 'checkbox',
+            label: cd.s('sd-keyboardnavigation'),
+            help: cd.s('sd-keyboardnavigation-help'),
+          },
+          {
+            name: 'keyboardShortcuts',
+            type: 'keymap',
+            label: cd.s('sd-keyboardshortcuts'),
+            help: cd.s('sd-keyboardshortcuts-help', reservedKeys.join(' ')),
+            options: Object.keys(this.scheme.default.keyboardShortcuts).map((action) => ({
+              data: action,
+
+              // Messages that can be used here:
+              // * sd-keyboardshortcuts-nextcomment
+              // * sd-keyboardshortcuts-previouscomment
+              // * sd-keyboardshortcuts-parentcomment
+              // * sd-keyboardshortcuts-firstchildcomment
+              // * sd-keyboardshortcuts-nextsection
+              // * sd-keyboardshortcuts-previoussection
+              // * sd-keyboardshortcuts-togglethread
+              // * sd-keyboardshortcuts-edit
+              // * sd-keyboardshortcuts-thank
+              // * sd-keyboardshortcuts-cheatsheet
+              label: cd.s(`sd-keyboardshortcuts-${action.toLowerCase()}`),
+            })),
+            reservedKeys,
+          },
         ],
       },
       {
@@ -0,0 +1,215 @@
+/**
+ * Singleton related to the queue of comment form submissions that failed because of network
+ * errors. Queued submissions are retried automatically with an increasing delay, and immediately
+ * when the browser goes back online. The queue state is saved together with the comment form
+ * session (see {@link module:CommentFormStatic.saveSession}), so it survives page reloads.
+ *
+ * @module submissionQueue
+ */
+
+import CommentFormStatic from './CommentFormStatic';
+import navPanel from './navPanel';
+import { removeFromArrayIfPresent } from './utils';
+
+/**
+ * Delay before the first retry, in milliseconds. Each subsequent retry doubles it.
+ *
+ * @type {number}
+ * @private
+ */
+const baseDelay = 15 * 1000;
+
+/**
+ * Maximal delay between retries, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const maxDelay = 10 * 60 * 1000;
+
+/**
+ * Delay before checking again if another form is being submitted when retrying, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const busyDelay = 3 * 1000;
+
+/**
+ * @typedef {object} QueueState
+ * @property {number} attempts Number of retries made.
+ * @property {number} queuedUnixTime When the submission was queued.
+ * @property {number} [nextAttemptUnixTime] When the next retry is scheduled.
+ * @property {object} [unconfirmedEdit] Set if the edit request was sent but failed because of a
+ *   network error, so the edit could have been saved. Before the next attempt, the page history is
+ *   checked for the edit.
+ * @property {number} [unconfirmedEdit.baseRevisionId] ID of the revision the edit was based on.
+ */
+
+let isOnlineHandlerSet = false;
+
+export default {
+  /**
+   * Queued comment forms.
+   *
+   * @type {import('./CommentForm').default[]}
+   * @private
+   */
+  items: [],
+
+  /**
+   * Queue states of comment forms.
+   *
+   * @type {Map.<import('./CommentForm').default, QueueState>}
+   * @private
+   */
+  states: new Map(),
+
+  /**
+   * Retry timeouts of comment forms.
+   *
+   * @type {Map.<import('./CommentForm').default, number>}
+   * @private
+   */
+  timeouts: new Map(),
+
+  /**
+   * Add a comment form to the queue, or schedule the next retry if it is already there.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @param {QueueState} [state] State to restore (when the form is restored from the session
+   *   data).
+   */
+  add(commentForm, state) {
+    if (!isOnlineHandlerSet) {
+      window.addEventListener('online', () => {
+        this.retryAll();
+      });
+      isOnlineHandlerSet = true;
+    }
+
+    if (!this.items.includes(commentForm)) {
+      this.items.push(commentForm);
+      this.states.set(commentForm, {
+        attempts: state?.attempts || 0,
+        queuedUnixTime: state?.queuedUnixTime || Date.now(),
+        unconfirmedEdit: state?.unconfirmedEdit,
+      });
+    }
+    this.schedule(commentForm);
+    navPanel.updateQueueButton();
+    CommentFormStatic.saveSession(true);
+  },
+
+  /**
+   * Remove a comment form from the queue.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   */
+  remove(commentForm) {
+    if (!this.items.includes(commentForm)) return;
+
+    clearTimeout(this.timeouts.get(commentForm));
+    this.timeouts.delete(commentForm);
+    this.states.delete(commentForm);
+    removeFromArrayIfPresent(this.items, commentForm);
+    navPanel.updateQueueButton();
+  },
+
+  /**
+   * _For internal use._ Empty the queue without saving the session (used when the comment forms are
+   * restored from the session data anew).
+   */
+  reset() {
+    this.timeouts.forEach((timeout) => {
+      clearTimeout(timeout);
+    });
+    this.timeouts.clear();
+    this.states.clear();
+    this.items.length = 0;
+  },
+
+  /**
+   * Check whether a comment form is in the queue.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @returns {boolean}
+   */
+  has(commentForm) {
+    return this.items.includes(commentForm);
+  },
+
+  /**
+   * Get the queue state of a comment form to save it in the session data.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @returns {QueueState|undefined}
+   */
+  getState(commentForm) {
+    return this.states.get(commentForm);
+  },
+
+  /**
+   * Get the number of queued comment forms.
+   *
+   * @returns {number}
+   */
+  getCount() {
+    return this.items.length;
+  },
+
+  /**
+   * Schedule the next retry for a comment form with exponential backoff.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @param {number} [delay] Delay to use instead of the one calculated from the number of attempts.
+   * @private
+   */
+  schedule(commentForm, delay) {
+    const state = this.states.get(commentForm);
+    delay ??= Math.min(baseDelay * 2 ** state.attempts, maxDelay);
+    state.nextAttemptUnixTime = Date.now() + delay;
+
+    clearTimeout(this.timeouts.get(commentForm));
+    this.timeouts.set(commentForm, setTimeout(() => {
+      this.retry(commentForm);
+    }, delay));
+  },
+
+  /**
+   * Retry submitting a comment form. The form locates the target in the fresh page code as part of
+   * the submission, so the comment ends up in the right place even if the page has changed since.
+   * If the previous attempt failed after the edit request was sent, the form first checks whether
+   * the edit was saved (see {@link CommentForm#submit}).
+   *
+   * @param {import('./CommentForm').default} commentForm
+   */
+  retry(commentForm) {
+    if (!this.items.includes(commentForm)) return;
+
+    if (commentForm.destroyed) {
+      this.remove(commentForm);
+      return;
+    }
+
+    // Only one form can be submitted at a time.
+    if (CommentFormStatic.getAll().some((form) => form.isBeingSubmitted())) {
+      this.schedule(commentForm, busyDelay);
+      return;
+    }
+
+    clearTimeout(this.timeouts.get(commentForm));
+    this.timeouts.delete(commentForm);
+    this.states.get(commentForm).attempts++;
+    commentForm.submit(false, true);
+  },
+
+  /**
+   * Retry submitting all queued comment forms. They are submitted one by one.
+   */
+  retryAll() {
+    this.items.forEach((commentForm, i) => {
+      this.schedule(commentForm, i * busyDelay);
+    });
+  },
+};
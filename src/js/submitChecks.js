@@ -0,0 +1,202 @@
+/**
+ * Singleton holding the registry of checks run before a comment form is submitted (empty headline,
+ * empty comment, broken markup, etc.). Wikis can add checks with the
+ * {@link module:defaultConfig.submitChecks submitChecks} config value, gadgets and user scripts –
+ * with {@link convenientDiscussions.api.submitChecks}. The results are shown in the message area
+ * of the form: checks with the `block` severity prevent submitting, checks with the `warn` severity
+ * require submitting the form once more to confirm, checks with the `info` severity only show a
+ * message.
+ *
+ * @module submitChecks
+ */
+
+import cd from './cd';
+import pageRegistry from './pageRegistry';
+import { wrap } from './utils';
+
+/**
+ * @typedef {object} SubmitCheck
+ * @property {string} name Name of the check (Latin letters, digits, `-`). Adding a check with the
+ *   name of an existing check replaces it.
+ * @property {'block'|'warn'|'info'} [severity='warn'] Severity of the problem found by the check.
+ * @property {Function} check Function that receives the comment form and an object with the
+ *   `doDelete` property (whether the comment is to be deleted) and returns a message (HTML string
+ *   or a jQuery object) if the problem is found or a falsy value otherwise. It can also return a
+ *   promise resolved with these values.
+ */
+
+/**
+ * @typedef {object} SubmitCheckResult
+ * @property {SubmitCheck} check
+ * @property {string|external:jQuery} message
+ */
+
+/**
+ * Checks run by default.
+ *
+ * @type {SubmitCheck[]}
+ * @private
+ */
+const defaultChecks = [
+  {
+    name: 'noHeadline',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => {
+      if (doDelete || commentForm.headlineInput?.getValue() !== '') return;
+
+      const ending = commentForm.headlineInputPlaceholder === cd.s('cf-headline-topic') ?
+        'topic' :
+        'subsection';
+
+      // Messages that can be used here:
+      // * cf-confirm-noheadline-topic
+      // * cf-confirm-noheadline-subsection
+      return cd.sParse(`cf-confirm-noheadline-${ending}`);
+    },
+  },
+  {
+    name: 'emptyComment',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => (
+      !doDelete &&
+      !commentForm.commentInput.getValue().trim() &&
+      !cd.config.dontConfirmEmptyCommentPages
+        .some((regexp) => pageRegistry.getCurrent().name.match(regexp)) &&
+      cd.sParse('cf-confirm-empty')
+    ),
+  },
+  {
+    name: 'longComment',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => (
+      !doDelete &&
+      commentForm.commentInput.getValue().trim().length > cd.config.longCommentThreshold &&
+      cd.sParse('cf-confirm-long', cd.config.longCommentThreshold)
+    ),
+  },
+  {
+    name: 'secondLevelHeading',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => (
+      !doDelete &&
+      /^==[^=]/m.test(commentForm.commentInput.getValue()) &&
+      commentForm.getMode() !== 'edit' &&
+      !commentForm.getPreloadConfig()?.commentTemplate &&
+      cd.sParse('cf-confirm-secondlevelheading')
+    ),
+  },
+  {
+    name: 'wikitext',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => {
+      if (doDelete) return;
+
+      const $problemList = commentForm.lint();
+      return $problemList && $('<div>').append(wrap(cd.sParse('cf-check-wikitext')), $problemList);
+    },
+  },
+  {
+    name: 'delete',
+    severity: 'warn',
+    check: (commentForm, { doDelete }) => doDelete && cd.sParse('cf-confirm-delete'),
+  },
+];
+
+let checks;
+
+/**
+ * Add a check to the registry, replacing the check with the same name.
+ *
+ * @param {SubmitCheck} check
+ * @throws {Error}
+ * @private
+ */
+function addCheck(check) {
+  if (!check?.name || typeof check.check !== 'function') {
+    throw new Error('A submit check must have a name and a check function.');
+  }
+  if (check.severity && !['block', 'warn', 'info'].includes(check.severity)) {
+    throw new Error(`Unknown severity of the submit check "${check.name}": "${check.severity}".`);
+  }
+
+  const index = checks.findIndex((c) => c.name === check.name);
+  const normalizedCheck = Object.assign({ severity: 'warn' }, check);
+  if (index === -1) {
+    checks.push(normalizedCheck);
+  } else {
+    checks.splice(index, 1, normalizedCheck);
+  }
+}
+
+/**
+ * Get the registered checks, adding the checks from the config on first call.
+ *
+ * @returns {SubmitCheck[]}
+ * @private
+ */
+function getChecks() {
+  if (!checks) {
+    checks = defaultChecks.slice();
+    (cd.config.submitChecks || []).forEach((check) => {
+      addCheck(check);
+    });
+  }
+  return checks;
+}
+
+export default {
+  /**
+   * Add a check run before comment forms are submitted. A check with the same name is replaced.
+   *
+   * @param {SubmitCheck} check
+   * @throws {Error}
+   */
+  add(check) {
+    getChecks();
+    addCheck(check);
+  },
+
+  /**
+   * Remove a check (including the default ones).
+   *
+   * @param {string} name
+   */
+  remove(name) {
+    checks = getChecks().filter((check) => check.name !== name);
+  },
+
+  /**
+   * Get the names of the registered checks.
+   *
+   * @returns {string[]}
+   */
+  getNames() {
+    return getChecks().map((check) => check.name);
+  },
+
+  /**
+   * _For internal use._ Run the checks for a comment form. Errors in the checks are logged and
+   * don't prevent submitting.
+   *
+   * @param {import('./CommentForm').default} commentForm
+   * @param {object} options
+   * @param {boolean} options.doDelete Whether the comment is to be deleted.
+   * @returns {Promise.<SubmitCheckResult[]>}
+   */
+  async run(commentForm, { doDelete }) {
+    const results = await Promise.all(
+      getChecks().map(async (check) => {
+        try {
+          return {
+            check,
+            message: await check.check(commentForm, { doDelete }),
+          };
+        } catch (e) {
+          console.warn(`Submit check "${check.name}" has failed.`, e);
+          return null;
+        }
+      })
+    );
+    return results.filter((result) => result?.message);
+  },
+};
@@ -0,0 +1,312 @@
+/**
+ * Singleton related to the background monitoring of the topics the user is subscribed to on all
+ * pages (legacy subscriptions only, as the list of pages with DiscussionTools' subscriptions is not
+ * available). New revisions of the pages are parsed in the web worker, and the user gets desktop
+ * notifications and {@link module:notificationCenter notification center} events about the new
+ * comments in the subscribed sections. The checks are timed with an alarm in the web worker; only
+ * one tab on the wiki (the {@link module:tabCoordination.isLeader leader}) makes requests.
+ *
+ * @module subscriptionMonitor
+ */
+
+import cd from './cd';
+import controller from './controller';
+import notificationCenter from './notificationCenter';
+import pageRegistry from './pageRegistry';
+import settings from './settings';
+import subscriptions from './subscriptions';
+import tabCoordination from './tabCoordination';
+import updateChecker from './updateChecker';
+import userRegistry from './userRegistry';
+import { getFromLocalStorage, saveToLocalStorage } from './utils';
+import { handleApiReject } from './apiWrappers';
+
+/**
+ * Name of the worker alarm used to check the subscribed pages.
+ *
+ * @type {string}
+ * @private
+ */
+const alarmName = 'subscriptionMonitor';
+
+/**
+ * Interval between the checks, in milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const checkInterval = 5 * 60 * 1000;
+
+/**
+ * Maximal number of IDs of the comments notified about to keep.
+ *
+ * @type {number}
+ * @private
+ */
+const maxNotifiedIdCount = 200;
+
+let isWorkerListenerSet = false;
+
+/**
+ * @typedef {object} MonitorState
+ * @property {object} [revisions] Last checked revision for each page ID.
+ * @property {string[]} [notifiedIds] Keys (page ID and comment ID) of the comments the user was
+ *   notified about.
+ */
+
+/**
+ * Get the state of the monitor shared between tabs.
+ *
+ * @returns {MonitorState}
+ * @private
+ */
+function getState() {
+  return getFromLocalStorage('subscriptionMonitor');
+}
+
+/**
+ * Save the state of the monitor shared between tabs.
+ *
+ * @param {MonitorState} state
+ * @private
+ */
+function saveState(state) {
+  saveToLocalStorage('subscriptionMonitor', state);
+}
+
+/**
+ * Get the latest revisions of pages.
+ *
+ * @param {string[]} pageIds
+ * @returns {Promise.<object[]>}
+ * @private
+ */
+async function getLatestRevisions(pageIds) {
+  const pages = [];
+
+  // The API accepts up to 50 page IDs in one request.
+  for (let i = 0; i < pageIds.length; i += 50) {
+    const resp = await controller.getApi().post({
+      action: 'query',
+      pageids: pageIds.slice(i, i + 50),
+      prop: 'revisions',
+      rvprop: ['ids', 'timestamp'],
+    }).catch(handleApiReject);
+    pages.push(...(resp.query?.pages || []).filter((page) => page.revisions?.[0]));
+  }
+
+  return pages.map((page) => ({
+    pageId: String(page.pageid),
+    title: page.title,
+    revisionId: page.revisions[0].revid,
+    unixTime: new Date(page.revisions[0].timestamp).getTime(),
+  }));
+}
+
+/**
+ * Get the new comments in the subscribed sections of a page revision.
+ *
+ * @param {object} revision
+ * @param {object} previousRevision Last checked revision of the page.
+ * @param {string[]} headlines Headlines of the subscribed sections.
+ * @returns {Promise.<import('./CommentSkeleton').CommentSkeletonLike[]>}
+ * @private
+ */
+async function getNewComments(revision, previousRevision, headlines) {
+  const parse = await pageRegistry.get(revision.title).parse({
+    oldid: revision.revisionId,
+    prop: ['text', 'revid'],
+  }, true);
+  const { comments } = await updateChecker.parseHtml(parse.text, revision.revisionId);
+
+  // Dates in signatures are precise to the minute.
+  const minUnixTime = Math.floor(previousRevision.unixTime / cd.g.msInMin) * cd.g.msInMin;
+
+  return comments.filter((comment) => (
+    comment.id &&
+    comment.date?.getTime() >= minUnixTime &&
+    !comment.isOwn &&
+    headlines.includes(comment.section?.headline) &&
+    !userRegistry.get(comment.authorName).isMuted()
+  ));
+}
+
+/**
+ * Show a desktop notification about new comments on another page.
+ *
+ * @param {string} pageName
+ * @param {import('./CommentSkeleton').CommentSkeletonLike[]} comments
+ * @private
+ */
+function showDesktopNotification(pageName, comments) {
+  if (settings.get('desktopNotifications') === 'toMe') {
+    comments = comments.filter((comment) => comment.isToMe);
+  }
+  if (
+    typeof Notification === 'undefined' ||
+    Notification.permission !== 'granted' ||
+    settings.get('desktopNotifications') === 'none' ||
+    !comments.length
+  ) {
+    return;
+  }
+
+  const comment = comments[0];
+  let body;
+  if (comments.length === 1) {
+    body = cd.s(
+      'notification-insection-desktop',
+      comment.authorName,
+      userRegistry.get(comment.authorName),
+      comment.section.headline,
+      pageName
+    );
+  } else {
+    const isCommonSection = comments.every((c) => c.section.headline === comment.section.headline);
+    const where = isCommonSection ?
+      cd.mws('word-separator') + cd.s('notification-part-insection', comment.section.headline) :
+      '';
+    body = cd.s('notification-newcomments-desktop', comments.length, where, pageName, '');
+  }
+  const notification = new Notification(mw.config.get('wgSiteName'), {
+    body,
+    tag: 'convenient-discussions-' + comments[comments.length - 1].id,
+  });
+  notification.onclick = () => {
+    parent.focus();
+    location.assign(`${mw.util.getUrl(pageName)}#${comment.id}`);
+  };
+}
+
+export default {
+  /**
+   * _For internal use._ Start monitoring the subscribed pages if the user has enabled that in the
+   * settings. Executed on the first page load, on talk pages as well as other pages (see
+   * {@link module:controller.loadSubscriptionMonitor}).
+   */
+  init() {
+    if (!this.isEnabled()) return;
+
+    subscriptions.getLoadRequest()?.then(
+      () => {
+        if (!subscriptions.getPageIds()) return;
+
+        this.setWorkerListener();
+        controller.getWorker().postMessage({
+          type: 'setAlarm',
+          interval: checkInterval,
+          name: alarmName,
+        });
+      },
+      (e) => {
+        console.warn('Couldn\'t load the subscriptions, so they won\'t be monitored.', e);
+      }
+    );
+  },
+
+  /**
+   * Check whether the monitoring is enabled in the settings. It is not available if the topic
+   * subscription feature of DiscussionTools is used.
+   *
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(
+      settings.get('monitorSubscriptions') &&
+      !settings.get('useTopicSubscription')
+    );
+  },
+
+  /**
+   * Start listening for the alarm messages from the worker.
+   *
+   * @private
+   */
+  setWorkerListener() {
+    if (isWorkerListenerSet) return;
+
+    controller.getWorker().addEventListener('message', (e) => {
+      if (e.data.type === 'wakeUp' && e.data.name === alarmName) {
+        this.check();
+      }
+    });
+    isWorkerListenerSet = true;
+  },
+
+  /**
+   * Check the subscribed pages for new comments if the current tab is the leader. Executed when
+   * the alarm goes off.
+   *
+   * @private
+   */
+  async check() {
+    controller.getWorker().postMessage({
+      type: 'setAlarm',
+      interval: checkInterval,
+      name: alarmName,
+    });
+
+    if (!tabCoordination.isLeader()) return;
+
+    // The current page is checked by the update checker.
+    const currentPageId = String(mw.config.get('wgArticleId'));
+    const pageIds = (subscriptions.getPageIds() || [])
+      .filter((pageId) => pageId !== currentPageId && subscriptions.getForPageId(pageId).length);
+    if (!pageIds.length) return;
+
+    let revisions;
+    try {
+      revisions = await getLatestRevisions(pageIds);
+    } catch (e) {
+      console.warn(e);
+      return;
+    }
+
+    const state = getState();
+    state.revisions ||= {};
+    state.notifiedIds ||= [];
+    for (const revision of revisions) {
+      const previousRevision = state.revisions[revision.pageId];
+      state.revisions[revision.pageId] = {
+        revisionId: revision.revisionId,
+        unixTime: revision.unixTime,
+      };
+
+      // The first check of the page only records the revision.
+      if (!previousRevision || revision.revisionId <= previousRevision.revisionId) continue;
+
+      let comments;
+      try {
+        comments = await getNewComments(
+          revision,
+          previousRevision,
+          subscriptions.getForPageId(revision.pageId)
+        );
+      } catch (e) {
+        console.warn(e);
+        continue;
+      }
+
+      comments = comments.filter((comment) => (
+        !state.notifiedIds.includes(`${revision.pageId}_${comment.id}`)
+      ));
+      if (!comments.length) continue;
+
+      state.notifiedIds.push(...comments.map((comment) => `${revision.pageId}_${comment.id}`));
+      showDesktopNotification(revision.title, comments);
+      notificationCenter.add(comments.map((comment) => ({
+        type: comment.isToMe ? 'toMe' : 'subscribed',
+        pageName: revision.title,
+        id: comment.id,
+        author: comment.authorName,
+        headline: comment.section?.headline,
+        text: comment.text,
+        unixTime: Date.now(),
+        isRead: false,
+      })));
+    }
+
+    state.notifiedIds = state.notifiedIds.slice(-maxNotifiedIdCount);
+    saveState(state);
+  },
+};
@@ -0,0 +1,267 @@
+/**
+ * Singleton related to the coordination between the browser tabs where the script runs on the same
+ * wiki. The tabs exchange messages over a `BroadcastChannel`: they keep track of each other, so that
+ * only one tab (the leader) on a page checks for updates and shares the results with the other
+ * tabs, comments seen in one tab become seen in the others, and comment form drafts saved by one tab
+ * don't overwrite the drafts of another tab. If `BroadcastChannel` is not supported, each tab works
+ * as if it was the only one.
+ *
+ * @module tabCoordination
+ */
+
+import { getFromLocalStorage, saveToLocalStorage } from './utils';
+
+/**
+ * Name of the broadcast channel.
+ *
+ * @type {string}
+ * @private
+ */
+const channelName = 'convenientDiscussions';
+
+/**
+ * Interval between the messages telling the other tabs that the current tab is alive, in
+ * milliseconds.
+ *
+ * @type {number}
+ * @private
+ */
+const heartbeatInterval = 30 * 1000;
+
+/**
+ * Time after which a tab that hasn't sent messages is considered closed, in milliseconds. Browsers
+ * throttle timers in background tabs, so this is well above the heartbeat interval.
+ *
+ * @type {number}
+ * @private
+ */
+const tabTimeout = 3 * 60 * 1000;
+
+/**
+ * ID of the current tab. It is kept in the session storage, so that it survives reloads of the tab
+ * and the restoration of the tab after a browser crash (and the tab could restore its own comment
+ * form drafts).
+ *
+ * @type {string}
+ * @private
+ */
+let tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+/**
+ * @typedef {object} TabData
+ * @property {string} pageName Name of the page open in the tab.
+ * @property {boolean} isVisible Whether the tab is visible.
+ * @property {number} unixTime When the last message from the tab was received.
+ */
+
+/**
+ * Other tabs.
+ *
+ * @type {Map.<string, TabData>}
+ * @private
+ */
+const tabs = new Map();
+
+/**
+ * Message handlers by message type.
+ *
+ * @type {object}
+ * @private
+ */
+const handlers = {};
+
+let channel;
+
+/**
+ * Get the times of the last heartbeats of the tabs saved in the local storage. Unlike the messages,
+ * they are available right after the page is loaded, before the other tabs have answered.
+ *
+ * @returns {object}
+ * @private
+ */
+function getSavedHeartbeats() {
+  return getFromLocalStorage('tabs');
+}
+
+/**
+ * Save the time of the last heartbeat of the current tab to the local storage (or remove it),
+ * cleaning up the entries of the tabs that are not alive.
+ *
+ * @param {boolean} [remove=false]
+ * @private
+ */
+function saveHeartbeat(remove = false) {
+  const heartbeats = getSavedHeartbeats();
+  Object.keys(heartbeats).forEach((id) => {
+    if (heartbeats[id] < Date.now() - tabTimeout) {
+      delete heartbeats[id];
+    }
+  });
+  if (remove) {
+    delete heartbeats[tabId];
+  } else {
+    heartbeats[tabId] = Date.now();
+  }
+  saveToLocalStorage('tabs', heartbeats);
+}
+
+export default {
+  /**
+   * _For internal use._ Open the channel and tell the other tabs about the current tab. Executed on
+   * the first page load.
+   */
+  init() {
+    if (typeof BroadcastChannel === 'undefined' || channel) return;
+
+    const savedTabId = mw.storage.session.get('convenientDiscussions-tabId');
+    if (savedTabId) {
+      tabId = savedTabId;
+    } else {
+      mw.storage.session.set('convenientDiscussions-tabId', tabId);
+    }
+
+    channel = new BroadcastChannel(channelName);
+    channel.onmessage = (e) => {
+      this.handleMessage(e.data);
+    };
+
+    // The other tabs answer this with a heartbeat, so that we know about them soon.
+    this.post('hello');
+    saveHeartbeat();
+
+    setInterval(() => {
+      this.post('heartbeat');
+      saveHeartbeat();
+    }, heartbeatInterval);
+    $(document).on('visibilitychange', () => {
+      this.post('heartbeat');
+    });
+    $(window).on('pagehide', () => {
+      this.post('bye');
+      saveHeartbeat(true);
+    });
+  },
+
+  /**
+   * Get the ID of the current tab.
+   *
+   * @returns {string}
+   */
+  getTabId() {
+    return tabId;
+  },
+
+  /**
+   * Send a message to the other tabs. The message gets the tab ID, the page name and the visibility
+   * state of the current tab.
+   *
+   * @param {string} type
+   * @param {object} [data={}]
+   */
+  post(type, data = {}) {
+    channel?.postMessage(Object.assign({}, data, {
+      type,
+      tabId,
+      pageName: mw.config.get('wgPageName'),
+      isVisible: !document.hidden,
+    }));
+  },
+
+  /**
+   * Add a handler for the messages of a type received from the other tabs.
+   *
+   * @param {string} type
+   * @param {Function} handler Function that receives the message.
+   */
+  on(type, handler) {
+    handlers[type] ||= [];
+    handlers[type].push(handler);
+  },
+
+  /**
+   * Handle a message from another tab.
+   *
+   * @param {object} message
+   * @private
+   */
+  handleMessage(message) {
+    if (message.type === 'bye') {
+      tabs.delete(message.tabId);
+      return;
+    }
+
+    // A duplicated tab gets a copy of the session storage and therefore the same ID. The tab that
+    // is already open tells the new one to pick another ID.
+    if (message.tabId === tabId) {
+      if (message.type === 'hello') {
+        this.post('idTaken');
+      } else if (message.type === 'idTaken') {
+        tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        mw.storage.session.set('convenientDiscussions-tabId', tabId);
+        this.post('hello');
+        saveHeartbeat();
+      }
+      return;
+    }
+
+    tabs.set(message.tabId, {
+      pageName: message.pageName,
+      isVisible: message.isVisible,
+      unixTime: Date.now(),
+    });
+    if (message.type === 'hello') {
+      this.post('heartbeat');
+    }
+
+    handlers[message.type]?.forEach((handler) => {
+      handler(message);
+    });
+  },
+
+  /**
+   * Check whether a message came from a tab where the same page as in the current tab is open.
+   *
+   * @param {object} message
+   * @returns {boolean}
+   */
+  isFromCurrentPage(message) {
+    return message.pageName === mw.config.get('wgPageName');
+  },
+
+  /**
+   * Check whether a tab is open (it is the current tab or it has sent messages recently).
+   *
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isTabAlive(id) {
+    const lastSeen = Math.max(tabs.get(id)?.unixTime || 0, getSavedHeartbeats()[id] || 0);
+    return id === tabId || (Boolean(channel) && lastSeen > Date.now() - tabTimeout);
+  },
+
+  /**
+   * Check whether the current tab is the leader among the open tabs, i.e. it should do the work
+   * that only one tab should do. Visible tabs are preferred.
+   *
+   * @param {boolean} [onCurrentPage=false] Consider only the tabs where the same page as in the
+   *   current tab is open.
+   * @returns {boolean}
+   */
+  isLeader(onCurrentPage = false) {
+    const pageName = mw.config.get('wgPageName');
+    const candidates = [...tabs.keys()]
+      .filter((id) => this.isTabAlive(id))
+      .map((id) => Object.assign({ tabId: id }, tabs.get(id)))
+      .concat({
+        tabId,
+        pageName,
+        isVisible: !document.hidden,
+      })
+      .filter((tab) => !onCurrentPage || tab.pageName === pageName)
+      .sort((tab1, tab2) => (
+        (tab2.isVisible - tab1.isVisible) ||
+        (tab1.tabId < tab2.tabId ? -1 : 1)
+      ));
+    return candidates[0].tabId === tabId;
+  },
+};
@@ -0,0 +1,390 @@
+/**
+ * Singleton related to the thread focus overlay ("Focus this thread"). The overlay shows only the
+ * root comment of a thread and its descendants, in the tree or chronological order, which makes
+ * deeply nested threads and threads with outdents easier to follow. Reply forms opened from the
+ * overlay are the usual {@link CommentForm comment forms}, temporarily moved into the overlay.
+ *
+ * @module threadFocus
+ */
+
+import CommentFormStatic from './CommentFormStatic';
+import cd from './cd';
+import { formatDate } from './timestamp';
+import { keyCombination, unique } from './utils';
+
+/**
+ * Number of colors used to distinguish authors in the overlay (see the `cd-threadFocus-author-*`
+ * classes).
+ *
+ * @type {number}
+ * @private
+ */
+const authorColorCount = 6;
+
+/**
+ * Get a copy of the comment's elements suitable for displaying in the overlay: without the script's
+ * interface elements, replies and IDs.
+ *
+ * @param {import('./Comment').default} comment
+ * @returns {Element[]}
+ * @private
+ */
+function cloneCommentElements(comment) {
+  return comment.elements.map((el) => {
+    const clone = el.cloneNode(true);
+    const $clone = $(clone);
+    $clone
+      .find(
+        '.cd-comment-header, .cd-comment-menu, .cd-commentForm, .cd-thread-button-container, ' +
+        '.cd-replyButtonWrapper'
+      )
+      .remove();
+    $clone
+      .find('[data-cd-comment-index]')
+      .filter((i, child) => Number(child.dataset.cdCommentIndex) !== comment.index)
+      .remove();
+    $clone
+      .find('[id]')
+      .addBack('[id]')
+      .removeAttr('id');
+    clone.classList.remove('cd-hidden');
+    return clone;
+  });
+}
+
+export default {
+  /**
+   * Thread shown in the overlay.
+   *
+   * @type {?import('./Thread').default}
+   * @private
+   */
+  thread: null,
+
+  /**
+   * Order of the comments in the overlay.
+   *
+   * @type {'tree'|'chronological'}
+   * @private
+   */
+  order: 'tree',
+
+  /**
+   * Comment forms moved into the overlay, with the positions to return them to.
+   *
+   * @type {object[]}
+   * @private
+   */
+  movedForms: [],
+
+  /**
+   * Check whether the overlay is open.
+   *
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.thread);
+  },
+
+  /**
+   * Open the overlay with a thread.
+   *
+   * @param {import('./Thread').default} thread
+   */
+  open(thread) {
+    if (this.isOpen()) {
+      this.close();
+    }
+    if (!this.$element) {
+      this.create();
+    }
+
+    this.thread = thread;
+    this.$title.text(cd.s(
+      'threadfocus-title',
+      thread.rootComment.author.getName(),
+      thread.rootComment.author
+    ));
+    this.render();
+    this.$element.show();
+    document.documentElement.classList.add('cd-threadFocus-open');
+    this.closeButton.focus();
+  },
+
+  /**
+   * Close the overlay, returning the comment forms opened in it to the page.
+   */
+  close() {
+    if (!this.isOpen()) return;
+
+    this.movedForms.forEach(({ commentForm, parent, nextSibling }) => {
+      if (CommentFormStatic.getAll().includes(commentForm)) {
+        parent.insertBefore(commentForm.$element.get(0), nextSibling);
+      }
+    });
+    this.movedForms = [];
+    this.$list.empty();
+    this.$element.hide();
+    document.documentElement.classList.remove('cd-threadFocus-open');
+    this.thread = null;
+  },
+
+  /**
+   * Create the overlay element.
+   *
+   * @private
+   */
+  create() {
+    this.orderSelect = new OO.ui.ButtonSelectWidget({
+      items: ['tree', 'chronological'].map((order) => (
+        new OO.ui.ButtonOptionWidget({
+          data: order,
+
+          // Messages that can be used here:
+          // * threadfocus-order-tree
+          // * threadfocus-order-chronological
+          label: cd.s(`threadfocus-order-${order}`),
+        })
+      )),
+    });
+    this.orderSelect.selectItemByData(this.order);
+    this.orderSelect.on('choose', (item) => {
+      this.order = item.getData();
+      this.render();
+    });
+
+    const exportButton = new OO.ui.ButtonWidget({
+      framed: false,
+      icon: 'download',
+      invisibleLabel: true,
+      label: cd.s('threadfocus-export'),
+      title: cd.s('threadfocus-export'),
+    });
+    exportButton.on('click', () => {
+      this.thread.export();
+    });
+
+    this.closeButton = new OO.ui.ButtonWidget({
+      framed: false,
+      icon: 'close',
+      invisibleLabel: true,
+      label: cd.s('threadfocus-close'),
+      title: cd.s('threadfocus-close'),
+    });
+    this.closeButton.on('click', () => {
+      this.close();
+    });
+
+    this.$title = $('<div>').addClass('cd-threadFocus-title');
+    this.$list = $('<ul>').addClass('cd-threadFocus-list');
+
+    this.$element = $('<div>')
+      .attr('id', 'cd-threadFocus')
+      .append(
+        $('<div>')
+          .addClass('cd-threadFocus-panel')
+          .append(
+            $('<div>')
+              .addClass('cd-threadFocus-header')
+              .append(
+                this.$title,
+                this.orderSelect.$element,
+                exportButton.$element,
+                this.closeButton.$element,
+              ),
+            this.$list,
+          ),
+      )
+      .on('click', (e) => {
+        // A click on the backdrop
+        if (e.target === this.$element.get(0)) {
+          this.close();
+        }
+      })
+      .on('keydown', (e) => {
+        // Esc. Comment forms handle Esc themselves.
+        if (keyCombination(e, 27) && !$(e.target).closest('.cd-commentForm').length) {
+          e.stopPropagation();
+          this.close();
+        }
+      })
+      .hide()
+      .appendTo(document.body);
+  },
+
+  /**
+   * Get the comments of the thread in the current order.
+   *
+   * @returns {import('./Comment').default[]}
+   * @private
+   */
+  getComments() {
+    const rootComment = this.thread.rootComment;
+    const comments = [rootComment, ...rootComment.getChildren(true)];
+    if (this.order === 'chronological') {
+      // Comments without a date are kept after their previous comment.
+      return comments
+        .map((comment, i) => ({
+          comment,
+          time: comment.date?.getTime() ?? comments[i - 1]?.date?.getTime() ?? 0,
+        }))
+        .sort((item1, item2) => item1.time - item2.time)
+        .map((item) => item.comment);
+    }
+    return comments;
+  },
+
+  /**
+   * Render the comments of the thread.
+   *
+   * @private
+   */
+  render() {
+    this.movedForms = this.movedForms.filter((data) => (
+      CommentFormStatic.getAll().includes(data.commentForm)
+    ));
+
+    // Keep the forms opened in the overlay while rerendering.
+    this.movedForms.forEach(({ commentForm }) => {
+      commentForm.$element.detach();
+    });
+    this.$list.empty();
+
+    const authors = [this.thread.rootComment, ...this.thread.rootComment.getChildren(true)]
+      .map((comment) => comment.author)
+      .filter(unique);
+    this.items = new Map();
+    this.getComments().forEach((comment) => {
+      this.items.set(comment, this.createItem(comment, authors));
+    });
+    this.$list.append([...this.items.values()]);
+
+    this.movedForms.forEach(({ commentForm, comment }) => {
+      this.items.get(comment)?.append(commentForm.$element);
+    });
+  },
+
+  /**
+   * Create a list item for a comment.
+   *
+   * @param {import('./Comment').default} comment
+   * @param {import('./userRegistry').User[]} authors Authors in the thread (to pick the colors).
+   * @returns {external:jQuery}
+   * @private
+   */
+  createItem(comment, authors) {
+    const createAuthorElement = (author) => (
+      $('<bdi>')
+        .addClass([
+          'cd-threadFocus-author',
+          `cd-threadFocus-author-${authors.indexOf(author) % authorColorCount}`,
+        ])
+        .text(author.getName())
+    );
+
+    const parent = comment === this.thread.rootComment ? undefined : comment.getParent();
+    let $replyTo;
+    if (parent) {
+      $replyTo = $('<span>')
+        .addClass('cd-threadFocus-replyTo')
+        .attr('title', cd.s('threadfocus-replyto-tooltip'))
+        .append(' → ', createAuthorElement(parent.author))
+        .on('click', () => {
+          const $parentItem = this.items.get(parent);
+          $parentItem.get(0).scrollIntoView({ block: 'nearest' });
+          $parentItem
+            .addClass('cd-threadFocus-item-flash')
+            .one('animationend', () => {
+              $parentItem.removeClass('cd-threadFocus-item-flash');
+            });
+        });
+    }
+
+    const goToButton = new OO.ui.ButtonWidget({
+      label: cd.s('threadfocus-goto'),
+      framed: false,
+      flags: ['progressive'],
+    });
+    goToButton.on('click', () => {
+      this.close();
+      comment.scrollTo({
+        expandThreads: true,
+        flash: true,
+        pushState: true,
+      });
+    });
+
+    let replyButton;
+    if (comment.isActionable) {
+      replyButton = new OO.ui.ButtonWidget({
+        label: cd.s('cm-reply'),
+        framed: false,
+        flags: ['progressive'],
+      });
+      replyButton.on('click', () => {
+        this.reply(comment);
+      });
+    }
+
+    const depth = this.order === 'tree' ?
+      comment.getAncestors().indexOf(this.thread.rootComment) + 1 :
+      0;
+
+    return $('<li>')
+      .addClass('cd-threadFocus-item')
+      .toggleClass('cd-threadFocus-item-new', Boolean(comment.isNew))
+      .css('margin-inline-start', `${Math.min(depth, 10) * 1.5}em`)
+      .append(
+        $('<div>')
+          .addClass('cd-threadFocus-item-header')
+          .append(
+            createAuthorElement(comment.author),
+            $replyTo,
+            comment.date ?
+              $('<span>')
+                .addClass('cd-threadFocus-item-date')
+                .text(formatDate(comment.date)) :
+              undefined,
+            goToButton.$element,
+            replyButton?.$element,
+          ),
+        $('<div>')
+          .addClass('cd-threadFocus-item-content')
+          .append(cloneCommentElements(comment)),
+      )
+      .on('mouseenter', () => {
+        if (parent) {
+          this.items.get(parent)?.addClass('cd-threadFocus-item-parent');
+        }
+      })
+      .on('mouseleave', () => {
+        if (parent) {
+          this.items.get(parent)?.removeClass('cd-threadFocus-item-parent');
+        }
+      });
+  },
+
+  /**
+   * Open a reply form for a comment and move it into the overlay.
+   *
+   * @param {import('./Comment').default} comment
+   * @private
+   */
+  reply(comment) {
+    comment.reply();
+    const commentForm = comment.replyForm;
+    if (!commentForm) return;
+
+    if (!this.movedForms.some((data) => data.commentForm === commentForm)) {
+      const element = commentForm.$element.get(0);
+      this.movedForms.push({
+        commentForm,
+        comment,
+        parent: element.parentNode,
+        nextSibling: element.nextSibling,
+      });
+      this.items.get(comment).append(element);
+    }
+    commentForm.commentInput.focus();
+  },
+};
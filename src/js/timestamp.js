@@ -15,7 +15,7 @@
 import dayjs from 'dayjs';
 import timezone from 'dayjs/plugin/timezone';
 import utc from 'dayjs/plugin/utc';
-import { formatDistanceToNowStrict } from 'date-fns';
+import { formatDistanceStrict, formatDistanceToNowStrict } from 'date-fns';
 import { getTimezoneOffset } from 'date-fns-tz';
 
 import cd from './cd';
@@ -255,6 +255,27 @@ export function formatDate(date, addTimezone = false) {
   return timestamp;
 }
 
+/**
+ * Get the offset from UTC of the time zone the dates are shown to the user in, according to the
+ * `useUiTime` setting.
+ *
+ * @param {Date} date Date for which to get the offset (it can change with daylight saving time).
+ * @returns {number} Offset in minutes.
+ */
+export function getUiTimezoneOffset(date) {
+  if (!cd.settings.get('useUiTime') || ['UTC', 0].includes(cd.g.uiTimezone)) {
+    return 0;
+  }
+  if (cd.g.areUiAndLocalTimezoneSame) {
+    return -date.getTimezoneOffset();
+  }
+  return typeof cd.g.uiTimezone === 'number' ?
+    cd.g.uiTimezone :
+
+    // Using date-fns-tz's getTimezoneOffset is way faster than using day.js's methods.
+    getTimezoneOffset(cd.g.uiTimezone, date.getTime()) / cd.g.msInMin;
+}
+
 /**
  * Convert a date to a string in the default timestamp format.
  *
@@ -272,15 +293,7 @@ export function formatDateNative(date, addTimezone = false, timezone) {
   let minutes;
   let dayOfWeek;
   if (cd.settings.get('useUiTime') && !['UTC', 0].includes(cd.g.uiTimezone) && !timezone) {
-    if (cd.g.areUiAndLocalTimezoneSame) {
-      timezoneOffset = -date.getTimezoneOffset();
-    } else {
-      timezoneOffset = typeof cd.g.uiTimezone === 'number' ?
-        cd.g.uiTimezone :
-
-        // Using date-fns-tz's getTimezoneOffset is way faster than using day.js's methods.
-        getTimezoneOffset(cd.g.uiTimezone, date.getTime()) / cd.g.msInMin;
-    }
+    timezoneOffset = getUiTimezoneOffset(date);
     date = new Date(date.getTime() + timezoneOffset * cd.g.msInMin);
   } else if (!timezone || timezone === 'UTC') {
     timezoneOffset = 0;
@@ -471,3 +484,16 @@ export function formatDateRelative(date) {
     locale: cd.i18n[cd.g.userLanguage].dateFnsLocale,
   });
 }
+
+/**
+ * Format a time span, like "3 hours".
+ *
+ * @param {number} ms Time span in milliseconds.
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  return formatDistanceStrict(0, ms, {
+    roundingMethod: 'round',
+    locale: cd.i18n[cd.g.userLanguage].dateFnsLocale,
+  });
+}
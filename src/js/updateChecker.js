@@ -11,8 +11,10 @@ import SectionStatic from './SectionStatic';
 import Thread from './Thread';
 import cd from './cd';
 import controller from './controller';
+import muting from './muting';
 import pageRegistry from './pageRegistry';
 import settings from './settings';
+import tabCoordination from './tabCoordination';
 import toc from './toc';
 import userRegistry from './userRegistry';
 import {
@@ -27,6 +29,7 @@ const revisionData = {};
 const resolvers = {};
 
 let isBackgroundCheckArranged;
+let isListeningToOtherTabs = false;
 let previousVisitRevisionId;
 let lastCheckedRevisionId = null;
 let resolverCount = 0;
@@ -45,6 +48,7 @@ function setAlarmViaWorker(interval) {
   controller.getWorker().postMessage({
     type: 'setAlarm',
     interval,
+    name: 'updateCheck',
   });
 }
 
@@ -56,6 +60,7 @@ function setAlarmViaWorker(interval) {
 function removeAlarmViaWorker() {
   controller.getWorker().postMessage({
     type: 'removeAlarm',
+    name: 'updateCheck',
   });
 }
 
@@ -75,6 +80,24 @@ function runWorkerTask(payload) {
   });
 }
 
+/**
+ * Parse the HTML of a page revision in a web worker.
+ *
+ * @param {string} text HTML of the page.
+ * @param {number} revisionId
+ * @returns {Promise.<object>}
+ * @private
+ */
+function parseInWorker(text, revisionId) {
+  return runWorkerTask({
+    type: 'parse',
+    revisionId,
+    text,
+    g: keepWorkerSafeValues(cd.g, ['isIPv6Address']),
+    config: keepWorkerSafeValues(cd.config, ['rejectNode']),
+  });
+}
+
 /**
  * _For internal use._ Process the current page in a web worker.
  *
@@ -92,25 +115,34 @@ async function processPage(revisionToParseId) {
     revid: revisionId,
   } = await pageRegistry.getCurrent().parse({ oldid: revisionToParseId }, true) || {};
 
-  const message = await runWorkerTask({
-    type: 'parse',
-    revisionId,
-    text,
-    g: keepWorkerSafeValues(cd.g, ['isIPv6Address']),
-    config: keepWorkerSafeValues(cd.config, ['rejectNode']),
-  });
+  const message = await parseInWorker(text, revisionId);
+
+  // Let the other tabs with the page open reuse the data instead of parsing the revision
+  // themselves.
+  tabCoordination.post('revisionParsed', { revisionData: message });
 
-  if (!revisionData[message.revisionId]) {
-    revisionData[message.revisionId] = message;
+  addRevisionData(message);
+
+  return message;
+}
+
+/**
+ * Save the data of a parsed revision for reuse and clean up the data that can't be reused as it
+ * may grow really big. (The newest revision could be reused as the current revision; the current
+ * revision could be reused as the previous visit revision.)
+ *
+ * @param {object} data
+ * @private
+ */
+function addRevisionData(data) {
+  if (!revisionData[data.revisionId]) {
+    revisionData[data.revisionId] = data;
   }
 
-  // Clean up revisionData from values that can't be reused as it may grow really big. (The newest
-  // revision could be reused as the current revision; the current revision could be reused as the
-  // previous visit revision.)
   Object.keys(revisionData).forEach((key) => {
     const revisionId = Number(key);
     if (
-      revisionId !== message.revisionId &&
+      revisionId !== data.revisionId &&
       revisionId !== lastCheckedRevisionId &&
       revisionId !== previousVisitRevisionId &&
       revisionId !== mw.config.get('wgRevisionId')
@@ -118,8 +150,6 @@ async function processPage(revisionToParseId) {
       delete revisionData[key];
     }
   });
-
-  return message;
 }
 
 /**
@@ -319,16 +349,20 @@ function mapComments(currentComments, otherComments) {
 
 /**
  * Check for new comments in a web worker, update the navigation panel, and schedule the next check.
+ * If another tab with the same page open is the leader, it makes the requests, and the current tab
+ * only processes the revisions shared by it.
  *
+ * @param {number} [sharedRevisionId] ID of the newest revision found by another tab. If set, the
+ *   check is not scheduled again.
  * @private
  */
-async function checkForUpdates() {
+async function checkForUpdates(sharedRevisionId) {
   if (!controller.isPageActive() || controller.isBooting()) return;
 
   // We need a value that wouldn't change during `await`s.
   const documentHidden = document.hidden;
 
-  if (documentHidden && !isBackgroundCheckArranged) {
+  if (documentHidden && !isBackgroundCheckArranged && !sharedRevisionId) {
     const onDocumentVisible = () => {
       $(document).off('visibilitychange', onDocumentVisible);
       isBackgroundCheckArranged = false;
@@ -344,14 +378,21 @@ async function checkForUpdates() {
   }
 
   try {
-    const revisions = await pageRegistry.getCurrent().getRevisions({
-      rvprop: ['ids'],
-      rvlimit: 1,
-    }, true);
+    let newestRevisionId = sharedRevisionId;
+    if (!newestRevisionId && tabCoordination.isLeader(true)) {
+      const revisions = await pageRegistry.getCurrent().getRevisions({
+        rvprop: ['ids'],
+        rvlimit: 1,
+      }, true);
+      newestRevisionId = revisions[0]?.revid;
+    }
 
     const currentRevisionId = mw.config.get('wgRevisionId');
-    if (revisions.length && revisions[0].revid > (lastCheckedRevisionId || currentRevisionId)) {
-      const { revisionId, comments: newComments, sections } = await processPage();
+    if (newestRevisionId > (lastCheckedRevisionId || currentRevisionId)) {
+      const { revisionId, comments: newComments, sections } = await processPage(sharedRevisionId);
+      if (!sharedRevisionId) {
+        tabCoordination.post('newRevision', { revisionId });
+      }
       if (isPageStillAtRevision(currentRevisionId)) {
         const { comments: currentComments } = await processPage(currentRevisionId);
 
@@ -379,6 +420,8 @@ async function checkForUpdates() {
     }
   }
 
+  if (sharedRevisionId) return;
+
   if (documentHidden) {
     setAlarmViaWorker(cd.g.backgroundUpdateCheckInterval * 1000);
     isBackgroundCheckArranged = true;
@@ -387,6 +430,24 @@ async function checkForUpdates() {
   }
 }
 
+/**
+ * Start receiving the revisions parsed by the other tabs with the same page open.
+ *
+ * @private
+ */
+function listenToOtherTabs() {
+  tabCoordination.on('revisionParsed', (message) => {
+    if (!tabCoordination.isFromCurrentPage(message)) return;
+
+    addRevisionData(message.revisionData);
+  });
+  tabCoordination.on('newRevision', (message) => {
+    if (!tabCoordination.isFromCurrentPage(message)) return;
+
+    checkForUpdates(message.revisionId);
+  });
+}
+
 /**
  * Determine if the comment has changed (probably edited) based on the `textHtmlToCompare` and
  * `headingHtmlToCompare` properties (the comment may lose its heading because technical comment is
@@ -615,7 +676,10 @@ async function processComments(comments, currentComments, currentRevisionId) {
         }
       }
       return newComment;
-    });
+    })
+
+    // Comments in muted threads and sections are not counted and not notified about.
+    .filter((comment) => !muting.isNewCommentMuted(comment));
 
   // Extract relevant comments (that would make the new comments counter purple and might invoke
   // notifications). Keep in mind that we should account for the case where comments have been
@@ -670,7 +734,11 @@ async function onMessageFromWorker(e) {
   const message = e.data;
 
   if (message.type === 'wakeUp') {
-    checkForUpdates();
+    // Alarms with other names are handled by other modules (see, for example,
+    // module:scheduledComments).
+    if (message.name === 'updateCheck') {
+      checkForUpdates();
+    }
   } else {
     const resolverId = message.resolverId;
     delete message.resolverId;
@@ -695,6 +763,10 @@ const updateChecker = {
     } else {
       controller.getWorker().onmessage = onMessageFromWorker;
     }
+    if (!isListeningToOtherTabs) {
+      listenToOtherTabs();
+      isListeningToOtherTabs = true;
+    }
 
     setAlarmViaWorker(cd.g.updateCheckInterval * 1000);
 
@@ -721,6 +793,21 @@ const updateChecker = {
   getLastCheckedRevisionId() {
     return lastCheckedRevisionId;
   },
+
+  /**
+   * Parse the HTML of a page (for example, an archive page) in the web worker to get the comments
+   * and sections in it.
+   *
+   * @param {string} text HTML of the page.
+   * @param {number} revisionId
+   * @returns {Promise.<object>}
+   * @memberof module:updateChecker
+   */
+  parseHtml(text, revisionId) {
+    // The handler is normally set in updateChecker.init() which doesn't run on inactive pages.
+    controller.getWorker().onmessage ||= onMessageFromWorker;
+    return parseInWorker(text, revisionId);
+  },
 };
 
 // For tests
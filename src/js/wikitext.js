@@ -485,6 +485,44 @@ export function hideSensitiveCode(code, templateHandler) {
   return { code, hidden };
 }
 
+/**
+ * Get the part of the code of a page that is used when the page is transcluded or preloaded,
+ * taking into account `<onlyinclude>`, `<includeonly>` and `<noinclude>` tags.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function getIncludedCode(code) {
+  const regexp = generateTagsRegexp(['onlyinclude']);
+  let match;
+  let onlyInclude;
+  while ((match = regexp.exec(code))) {
+    onlyInclude ??= '';
+    onlyInclude += match[3];
+  }
+  if (onlyInclude !== undefined) {
+    code = onlyInclude;
+  }
+
+  return code
+    .replace(generateTagsRegexp(['includeonly']), '$3')
+    .replace(generateTagsRegexp(['noinclude']), '')
+    .trim();
+}
+
+/**
+ * Add indentation chars to the start of a line (or of the first line of a multi-line code), adding a
+ * space after them if the wiki's config requires it and the line doesn't start with list markup.
+ *
+ * @param {string} indentation
+ * @param {string} line
+ * @returns {string}
+ */
+export function prepareLineStart(indentation, line) {
+  const addSpace = indentation && cd.config.spaceAfterIndentationChars && !/^[:*#;]/.test(line);
+  return indentation + (addSpace ? ' ' : '') + line;
+}
+
 /**
  * Modify a string or leave it unchanged so that is has two newlines at the end of it.
  *
@@ -508,3 +546,32 @@ export function brsToNewlines(code, replacement = '\n') {
     s.replace(/<br[ \n]*\/?>(?![:*#;])\n? */gi, () => replacement)
   ));
 }
+
+/**
+ * Get the indexes of the lines in the code that start blocks in the rendered HTML: paragraphs,
+ * list items, headings, and tables. Used to map positions in the code to positions in the rendered
+ * HTML.
+ *
+ * @param {string} code
+ * @returns {number[]}
+ */
+export function getBlockStartIndexes(code) {
+  const indexes = [];
+  let index = 0;
+  let previousLine = '';
+  code.split('\n').forEach((line) => {
+    if (
+      line.trim() &&
+      (
+        !previousLine.trim() ||
+        /^(?:[:*#;=]|\{\||\|-)/.test(line) ||
+        /^[:*#;=]/.test(previousLine)
+      )
+    ) {
+      indexes.push(index);
+    }
+    previousLine = line;
+    index += line.length + 1;
+  });
+  return indexes;
+}
@@ -0,0 +1,306 @@
+/**
+ * Singleton related to linting the comment code before it is posted: finding markup that is likely
+ * to break the rest of the talk page (unclosed or unopened tags, unbalanced template braces, stray
+ * table ends) and suggesting quick fixes for it. Code in comments, `<nowiki>` and similar tags is
+ * ignored.
+ *
+ * @module wikitextLinter
+ */
+
+import cd from './cd';
+import { hideDistractingCode } from './wikitext';
+
+/**
+ * Tags that must have a closing tag.
+ *
+ * @type {string[]}
+ * @private
+ */
+const pairedTags = [
+  'b', 'big', 'blockquote', 'code', 'del', 'div', 'i', 'ins', 'kbd', 'nowiki', 'poem', 'pre', 'q',
+  'ref', 's', 'small', 'span', 'strike', 'sub', 'sup', 'syntaxhighlight', 'tt', 'u',
+];
+
+/**
+ * @typedef {object} LintFix
+ * @property {string} label Label of the fix action.
+ * @property {number} start Start of the range of the code to replace.
+ * @property {number} end End of the range of the code to replace.
+ * @property {string} text Text to replace the range with.
+ */
+
+/**
+ * @typedef {object} LintProblem
+ * @property {string} type Type of the problem: `'unclosedTag'`, `'unopenedTag'`,
+ *   `'unclosedTemplate'`, `'unopenedTemplate'`, `'unclosedTable'` or `'strayTableEnd'`.
+ * @property {number} start Start of the problematic code.
+ * @property {number} end End of the problematic code.
+ * @property {string} message Description of the problem (plain text).
+ * @property {LintFix[]} fixes
+ */
+
+/**
+ * Get the index of the end of the line with the specified index, not counting the trailing
+ * spaces.
+ *
+ * @param {string} code
+ * @param {number} index
+ * @returns {number}
+ * @private
+ */
+function findLineEnd(code, index) {
+  const newlineIndex = code.indexOf('\n', index);
+  return code
+    .slice(0, newlineIndex === -1 ? code.length : newlineIndex)
+    .trimEnd()
+    .length;
+}
+
+/**
+ * Get the index of the end of the paragraph (a block of code separated by empty lines) with the
+ * specified index, not counting the trailing whitespace.
+ *
+ * @param {string} code
+ * @param {number} index
+ * @returns {number}
+ * @private
+ */
+function findParagraphEnd(code, index) {
+  const match = code.slice(index).match(/\n[ \t]*\n/);
+  return code
+    .slice(0, match ? index + match.index : code.length)
+    .trimEnd()
+    .length;
+}
+
+/**
+ * Create a fix that removes a range of the code.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @returns {LintFix}
+ * @private
+ */
+function createRemoveFix(start, end) {
+  return {
+    label: cd.s('cf-lint-fix-remove'),
+    start,
+    end,
+    text: '',
+  };
+}
+
+/**
+ * Create a fix that wraps a range of the code in `<nowiki>` so that it is displayed as it is.
+ *
+ * @param {string} code
+ * @param {number} start
+ * @param {number} end
+ * @returns {LintFix}
+ * @private
+ */
+function createEscapeFix(code, start, end) {
+  return {
+    label: cd.s('cf-lint-fix-escape'),
+    start,
+    end,
+    text: '<nowiki>' + code.slice(start, end) + '</'.concat('nowiki>'),
+  };
+}
+
+/**
+ * Find unclosed and unopened paired tags. A closing tag is matched with the last unmatched opening
+ * tag with the same name.
+ *
+ * @param {string} code
+ * @param {string} maskedCode Code with the distracting parts replaced with spaces.
+ * @returns {LintProblem[]}
+ * @private
+ */
+function findTagProblems(code, maskedCode) {
+  const problems = [];
+  const openTags = {};
+  const regexp = new RegExp(`<(/?)(${pairedTags.join('|')})\\b[^<>]*?(/?)>`, 'gi');
+  let match;
+  while ((match = regexp.exec(maskedCode))) {
+    const [tagCode, slash, name, selfClosingSlash] = match;
+    const tag = { name: name.toLowerCase(), start: match.index, end: match.index + tagCode.length };
+    if (selfClosingSlash) continue;
+
+    openTags[tag.name] ||= [];
+    if (!slash) {
+      openTags[tag.name].push(tag);
+    } else if (!openTags[tag.name].pop()) {
+      problems.push({
+        type: 'unopenedTag',
+        start: tag.start,
+        end: tag.end,
+        message: cd.s('cf-lint-unopenedtag', `</${tag.name}>`),
+        fixes: [createRemoveFix(tag.start, tag.end)],
+      });
+    }
+  }
+
+  Object.values(openTags)
+    .flat()
+    .forEach((tag) => {
+      const paragraphEnd = findParagraphEnd(code, tag.end);
+      problems.push({
+        type: 'unclosedTag',
+        start: tag.start,
+        end: tag.end,
+        message: cd.s('cf-lint-unclosedtag', `<${tag.name}>`),
+        fixes: [
+          {
+            label: cd.s('cf-lint-fix-closetag'),
+            start: paragraphEnd,
+            end: paragraphEnd,
+            text: `</${tag.name}>`,
+          },
+          createRemoveFix(tag.start, tag.end),
+        ],
+      });
+    });
+
+  return problems;
+}
+
+/**
+ * Find unbalanced template braces (`{{` and `}}`) and the ranges of the templates that are
+ * balanced.
+ *
+ * @param {string} code
+ * @param {string} maskedCode Code with the distracting parts replaced with spaces.
+ * @returns {{ problems: LintProblem[], ranges: number[][] }}
+ * @private
+ */
+function findTemplateProblems(code, maskedCode) {
+  const problems = [];
+  const ranges = [];
+  const stack = [];
+  const regexp = /\{\{|\}\}/g;
+  let match;
+  while ((match = regexp.exec(maskedCode))) {
+    if (match[0] === '{{') {
+      stack.push(match.index);
+    } else if (stack.length) {
+      ranges.push([stack.pop(), match.index + 2]);
+    } else {
+      problems.push({
+        type: 'unopenedTemplate',
+        start: match.index,
+        end: match.index + 2,
+        message: cd.s('cf-lint-unopenedtemplate'),
+        fixes: [
+          createRemoveFix(match.index, match.index + 2),
+          createEscapeFix(code, match.index, match.index + 2),
+        ],
+      });
+    }
+  }
+
+  stack.forEach((start) => {
+    const lineEnd = findLineEnd(code, start);
+    problems.push({
+      type: 'unclosedTemplate',
+      start,
+      end: start + 2,
+      message: cd.s('cf-lint-unclosedtemplate'),
+      fixes: [
+        {
+          label: cd.s('cf-lint-fix-closetemplate'),
+          start: lineEnd,
+          end: lineEnd,
+          text: '}}',
+        },
+        createEscapeFix(code, start, start + 2),
+      ],
+    });
+  });
+
+  return { problems, ranges };
+}
+
+/**
+ * Find tables that are not closed and table ends (`|}`) that don't close any table. Table syntax
+ * inside templates is ignored.
+ *
+ * @param {string} code
+ * @param {string} maskedCode Code with the distracting parts and the templates replaced with
+ *   spaces.
+ * @returns {LintProblem[]}
+ * @private
+ */
+function findTableProblems(code, maskedCode) {
+  const problems = [];
+  const stack = [];
+  const regexp = /^([:*#]*[ \t]*)(\{\||\|\})/gm;
+  let match;
+  while ((match = regexp.exec(maskedCode))) {
+    const [, indentation, markup] = match;
+    const start = match.index + indentation.length;
+    if (markup === '{|') {
+      stack.push({ start, indentation });
+    } else if (!stack.pop()) {
+      problems.push({
+        type: 'strayTableEnd',
+        start,
+        end: start + 2,
+        message: cd.s('cf-lint-straytableend'),
+        fixes: [
+          {
+            label: cd.s('cf-lint-fix-escapepipe'),
+            start,
+            end: start + 1,
+            text: '&#124;',
+          },
+          createRemoveFix(start, start + 2),
+        ],
+      });
+    }
+  }
+
+  const codeEnd = code.trimEnd().length;
+  stack.forEach(({ start, indentation }) => {
+    problems.push({
+      type: 'unclosedTable',
+      start,
+      end: start + 2,
+      message: cd.s('cf-lint-unclosedtable'),
+      fixes: [
+        {
+          label: cd.s('cf-lint-fix-closetable'),
+          start: codeEnd,
+          end: codeEnd,
+          text: '\n' + indentation.trimEnd() + '|}',
+        },
+      ],
+    });
+  });
+
+  return problems;
+}
+
+export default {
+  /**
+   * Find the problems in the code of a comment.
+   *
+   * @param {string} code
+   * @returns {LintProblem[]} Problems sorted by their position in the code.
+   */
+  lint(code) {
+    const maskedCode = hideDistractingCode(code);
+    const templateData = findTemplateProblems(code, maskedCode);
+    const maskedCodeWithoutTemplates = templateData.ranges.reduce(
+      (result, [start, end]) => (
+        result.slice(0, start) + ' '.repeat(end - start) + result.slice(end)
+      ),
+      maskedCode
+    );
+    return [
+      ...findTagProblems(code, maskedCode),
+      ...templateData.problems,
+      ...findTableProblems(code, maskedCodeWithoutTemplates),
+    ].sort((problem1, problem2) => problem1.start - problem2.start);
+  },
+};
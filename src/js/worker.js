@@ -19,7 +19,7 @@ import { isHeadingNode, isMetadataNode } from './utils';
 import { parseDocument, walkThroughSubtree } from './htmlparser2Extended';
 
 let isFirstRun = true;
-let alarmTimeout;
+const alarmTimeouts = {};
 let rootElement;
 
 cd.isWorker = true;
@@ -28,15 +28,21 @@ cd.debug = debug;
 debug.init();
 
 /**
- * Send a "wake up" message to the window after the specified interval.
+ * Send a "wake up" message to the window after the specified interval. Alarms with different names
+ * are independent; setting an alarm replaces the previous alarm with the same name.
  *
  * @param {number} interval
+ * @param {string} name
  * @private
  */
-function setAlarm(interval) {
-  clearTimeout(alarmTimeout);
-  alarmTimeout = setTimeout(() => {
-    postMessage({ type: 'wakeUp' });
+function setAlarm(interval, name) {
+  clearTimeout(alarmTimeouts[name]);
+  alarmTimeouts[name] = setTimeout(() => {
+    delete alarmTimeouts[name];
+    postMessage({
+      type: 'wakeUp',
+      name,
+    });
   }, interval);
 }
 
@@ -497,11 +503,12 @@ function onMessageFromWindow(e) {
   }
 
   if (message.type === 'setAlarm') {
-    setAlarm(message.interval);
+    setAlarm(message.interval, message.name);
   }
 
   if (message.type === 'removeAlarm') {
-    clearTimeout(alarmTimeout);
+    clearTimeout(alarmTimeouts[message.name]);
+    delete alarmTimeouts[message.name];
   }
 
   if (message.type === 'parse') {
@@ -0,0 +1,131 @@
+require('./helpers/mw');
+
+jest.mock('../src/js/timestamp', () => Object.assign({}, jest.requireActual('../src/js/timestamp'), {
+  formatDateNative: (date) => date.toISOString().slice(0, 16).replace('T', ' ') + ' (UTC)',
+}));
+
+const Section = require('../src/js/Section').default;
+const cd = require('../src/js/cd').default;
+const discussionExport = require('../src/js/discussionExport').default;
+const pageRegistry = require('../src/js/pageRegistry').default;
+const { createComments } = require('./helpers/comments');
+
+Object.assign(cd, {
+  s: (name, authorName) => `Thread started by ${authorName}`,
+  mws: (name) => ({ 'comma-separator': ', ' })[name],
+});
+jest.spyOn(pageRegistry, 'getCurrent').mockReturnValue({ name: 'Talk:Foo' });
+
+// Get the properties of a comment whose text consists of `textParts`: strings and links (objects
+// with the `text` and `url` properties).
+function getProperties(id, level, textParts) {
+  return {
+    id,
+    logicalLevel: level,
+    getTextWithLinks: (handleLink) => textParts
+      .map((part) => typeof part === 'string' ? part : handleLink(part.text, part.url))
+      .join(''),
+    getUrl: () => `https://example.org/wiki/Talk:Foo#${id}`,
+  };
+}
+
+const comments = createComments([
+  ['Alice', '2024-01-01T10:00Z', undefined, getProperties('c1', 0, [
+    'See ',
+    { text: 'the [draft]', url: 'https://example.org/draft' },
+    '.\nSecond line.',
+  ])],
+  ['Bob', '2024-01-01T11:00Z', 0, getProperties('c2', 1, [
+    'Agree, ',
+    { text: 'https://example.org/x', url: 'https://example.org/x' },
+  ])],
+  ['Alice', null, 1, getProperties('c3', 2, ['Thanks.'])],
+]);
+const section = Object.assign(Object.create(Section.prototype), {
+  headline: 'Proposal [1]',
+  comments,
+  getUrl: () => 'https://example.org/wiki/Talk:Foo#Proposal_[1]',
+});
+
+describe('serialize', () => {
+  test('Markdown', () => {
+    expect(discussionExport.serialize(section, 'markdown')).toEqual(
+      '## [Proposal \\[1\\]](https://example.org/wiki/Talk:Foo#Proposal_[1])\n' +
+      '\n' +
+      '- **Alice, 2024-01-01 10:00 (UTC)**\n' +
+      '  See [the \\[draft\\]](https://example.org/draft).\n' +
+      '  Second line.\n' +
+      '\n' +
+      '  - **Bob, 2024-01-01 11:00 (UTC)**\n' +
+      '    Agree, [https://example.org/x](https://example.org/x)\n' +
+      '\n' +
+      '    - **Alice**\n' +
+      '      Thanks.\n'
+    );
+  });
+
+  test('plain text', () => {
+    expect(discussionExport.serialize(section, 'text')).toEqual(
+      'Proposal [1]\n' +
+      'https://example.org/wiki/Talk:Foo#Proposal_[1]\n' +
+      '\n' +
+      'Alice, 2024-01-01 10:00 (UTC):\n' +
+      'See the [draft] <https://example.org/draft>.\n' +
+      'Second line.\n' +
+      '\n' +
+      '    Bob, 2024-01-01 11:00 (UTC):\n' +
+      '    Agree, https://example.org/x\n' +
+      '\n' +
+      '        Alice:\n' +
+      '        Thanks.\n'
+    );
+  });
+
+  test('JSON', () => {
+    expect(JSON.parse(discussionExport.serialize(section, 'json'))).toEqual({
+      title: 'Proposal [1]',
+      pageName: 'Talk:Foo',
+      url: 'https://example.org/wiki/Talk:Foo#Proposal_[1]',
+      comments: [
+        {
+          id: 'c1',
+          author: 'Alice',
+          date: '2024-01-01T10:00:00.000Z',
+          level: 0,
+          parentId: null,
+          text: 'See the [draft].\nSecond line.',
+          links: [{ text: 'the [draft]', url: 'https://example.org/draft' }],
+        },
+        {
+          id: 'c2',
+          author: 'Bob',
+          date: '2024-01-01T11:00:00.000Z',
+          level: 1,
+          parentId: 'c1',
+          text: 'Agree, https://example.org/x',
+          links: [{ text: 'https://example.org/x', url: 'https://example.org/x' }],
+        },
+        {
+          id: 'c3',
+          author: 'Alice',
+          date: null,
+          level: 2,
+          parentId: 'c2',
+          text: 'Thanks.',
+          links: [],
+        },
+      ],
+    });
+  });
+
+  test('thread: levels are relative to the root comment, its parent is not exported', () => {
+    const thread = { rootComment: comments[1] };
+    const discussion = JSON.parse(discussionExport.serialize(thread, 'json'));
+    expect(discussion.title).toBe('Thread started by Bob');
+    expect(discussion.url).toBe('https://example.org/wiki/Talk:Foo#c2');
+    expect(discussion.comments.map(({ id, level, parentId }) => [id, level, parentId])).toEqual([
+      ['c2', 0, null],
+      ['c3', 1, 'c2'],
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+require('./helpers/mw');
+
+const cd = require('../src/js/cd').default;
+const discussionStatistics = require('../src/js/discussionStatistics').default;
+const { createComments } = require('./helpers/comments');
+
+cd.g = {
+  msInMin: 1000 * 60,
+  uiTimezone: 'UTC',
+};
+cd.settings = {
+  values: { useUiTime: true },
+  get: (name) => cd.settings.values[name],
+};
+
+function calculate(comments) {
+  return discussionStatistics.calculate({ comments });
+}
+
+describe('replies', () => {
+  test('counted between pairs of participants', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', '2024-01-01T11:00Z', 0],
+      ['A', '2024-01-01T12:00Z', 1],
+      ['B', '2024-01-01T13:00Z', 2],
+      ['C', '2024-01-01T14:00Z', 0],
+    ]);
+    expect(calculate(comments).replies.map(({ from, to, count }) => (
+      [from.getName(), to.getName(), count]
+    ))).toEqual([
+      ['B', 'A', 2],
+      ['A', 'B', 1],
+      ['C', 'A', 1],
+    ]);
+  });
+
+  test('replies to oneself and to comments outside the discussion are not counted', () => {
+    const outsideComment = createComments([['C', '2024-01-01T09:00Z']])[0];
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['A', '2024-01-01T11:00Z', 0],
+    ]);
+    comments.push(Object.assign(createComments([['B', '2024-01-01T12:00Z']])[0], {
+      getParent: () => outsideComment,
+    }));
+    expect(calculate(comments).replies).toEqual([]);
+  });
+});
+
+describe('average response time', () => {
+  test('calculated for replies to other users', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', '2024-01-01T11:00Z', 0],
+      ['A', '2024-01-01T14:00Z', 1],
+
+      // Reply to oneself
+      ['A', '2024-01-01T20:00Z', 2],
+    ]);
+    expect(calculate(comments).averageResponseTime).toBe(2 * 60 * 60 * 1000);
+  });
+
+  test('comments without dates are ignored', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', null, 0],
+      ['C', '2024-01-01T10:30Z', 0],
+    ]);
+    expect(calculate(comments).averageResponseTime).toBe(30 * 60 * 1000);
+  });
+
+  test('null if there are no replies', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', '2024-01-01T11:00Z'],
+    ]);
+    expect(calculate(comments).averageResponseTime).toBeNull();
+  });
+});
+
+describe('longest chains', () => {
+  test('sorted by length, ending with comments without replies', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', '2024-01-01T11:00Z', 0],
+      ['A', '2024-01-01T12:00Z', 1],
+      ['C', '2024-01-01T13:00Z', 0],
+      ['D', '2024-01-01T14:00Z'],
+    ]);
+    expect(calculate(comments).longestChains).toEqual([
+      [comments[0], comments[1], comments[2]],
+      [comments[0], comments[3]],
+    ]);
+  });
+
+  test('at most three chains', () => {
+    const comments = createComments([
+      ['A', '2024-01-01T10:00Z'],
+      ['B', '2024-01-01T11:00Z', 0],
+      ['C', '2024-01-01T12:00Z', 0],
+      ['D', '2024-01-01T13:00Z', 0],
+      ['E', '2024-01-01T14:00Z', 0],
+    ]);
+    expect(calculate(comments).longestChains).toHaveLength(3);
+  });
+});
+
+describe('activity', () => {
+  const comments = createComments([
+    ['A', '2024-01-01T10:00Z'],
+    ['B', '2024-01-01T23:30Z'],
+    ['C', '2024-01-02T00:30Z'],
+  ]);
+
+  test('days in UTC', () => {
+    expect(calculate(comments).activity).toEqual([
+      { day: '2024-01-01', count: 2 },
+      { day: '2024-01-02', count: 1 },
+    ]);
+  });
+
+  test('days in the time zone of the user', () => {
+    Object.assign(cd.g, { uiTimezone: 120 });
+    try {
+      expect(calculate(comments).activity).toEqual([
+        { day: '2024-01-01', count: 1 },
+        { day: '2024-01-02', count: 2 },
+      ]);
+    } finally {
+      Object.assign(cd.g, { uiTimezone: 'UTC' });
+    }
+  });
+
+  test('days in UTC if the setting to use the user\'s time zone is off', () => {
+    Object.assign(cd.g, { uiTimezone: 120 });
+    cd.settings.values.useUiTime = false;
+    try {
+      expect(calculate(comments).activity).toEqual([
+        { day: '2024-01-01', count: 2 },
+        { day: '2024-01-02', count: 1 },
+      ]);
+    } finally {
+      Object.assign(cd.g, { uiTimezone: 'UTC' });
+      cd.settings.values.useUiTime = true;
+    }
+  });
+});
@@ -0,0 +1,35 @@
+require('./helpers/mw');
+
+const { getIncludedCode } = require('../src/js/wikitext');
+
+function testWithData(label, code, expected) {
+  test(label, () => {
+    expect(getIncludedCode(code)).toEqual(expected);
+  });
+}
+
+testWithData(
+  'no tags',
+  'Text\n',
+  'Text'
+);
+testWithData(
+  '<onlyinclude>',
+  'Before <onlyinclude>Included</onlyinclude> after',
+  'Included'
+);
+testWithData(
+  'several <onlyinclude>s',
+  '<onlyinclude>One, </onlyinclude>not included<onlyinclude>two</onlyinclude>',
+  'One, two'
+);
+testWithData(
+  '<includeonly> and <noinclude>',
+  '<noinclude>{{Documentation}}\n</noinclude>Text<includeonly> {{{1}}}</includeonly>',
+  'Text {{{1}}}'
+);
+testWithData(
+  '<includeonly> inside <onlyinclude>',
+  '<noinclude>Header</noinclude><onlyinclude>== Reply ==\nText<includeonly>.</includeonly></onlyinclude>',
+  '== Reply ==\nText.'
+);
@@ -0,0 +1,45 @@
+const users = {};
+
+/**
+ * Get a user stub. The same object is returned for the same name. Names starting with a digit are
+ * treated as IP addresses, i.e. the users are unregistered.
+ *
+ * @param {string} name
+ * @returns {object}
+ */
+function getUser(name) {
+  users[name] ||= {
+    getName: () => name,
+    isRegistered: () => !/^\d/.test(name),
+  };
+  return users[name];
+}
+
+/**
+ * Create comment stubs forming a tree.
+ *
+ * @param {Array[]} data Each item is `[authorName, date, parentIndex, properties]`, where
+ *   `properties` is an optional object with other properties of the comment.
+ * @returns {object[]}
+ */
+function createComments(data) {
+  const comments = data.map(([authorName, date, , properties]) => Object.assign({
+    author: getUser(authorName),
+    date: date ? new Date(date) : null,
+  }, properties));
+  comments.forEach((comment, i) => {
+    const parentIndex = data[i][2];
+    comment.getParent = () => parentIndex === undefined ? null : comments[parentIndex];
+    comment.getAncestors = () => {
+      const ancestors = [];
+      for (let c = comment.getParent(); c; c = c.getParent()) {
+        ancestors.push(c);
+      }
+      return ancestors;
+    };
+    comment.getChildren = () => comments.filter((c) => c.getAncestors().includes(comment));
+  });
+  return comments;
+}
+
+module.exports = { createComments, getUser };
@@ -0,0 +1,11 @@
+// The part of the `mw` global used by the modules that don't interact with MediaWiki much. Require
+// this before the modules under test.
+window.mw = {
+  util: {
+    escapeRegExp: (str) => str.replace(/([\\{}()|.?*+\-^$[\]])/g, '\\$1'),
+  },
+  config: {
+    values: {},
+    get: (name) => mw.config.values[name],
+  },
+};
@@ -0,0 +1,144 @@
+require('./helpers/mw');
+
+mw.storage = {
+  values: {},
+  getObject: (key) => mw.storage.values[key] || null,
+  setObject: (key, value) => {
+    mw.storage.values[key] = value;
+  },
+};
+
+const CommentStatic = require('../src/js/CommentStatic').default;
+const cd = require('../src/js/cd').default;
+const mentionSuggestions = require('../src/js/mentionSuggestions').default;
+const userRegistry = require('../src/js/userRegistry').default;
+const { createComments, getUser } = require('./helpers/comments');
+
+cd.g = {
+  msInDay: 1000 * 60 * 60 * 24,
+  userLinkRegexp: /^:?(?:User|U):([^/]+)$/i,
+};
+cd.config = {
+  pingTemplates: ['ping', 'Reply to'],
+};
+
+function getMentions() {
+  return mw.storage.values['convenientDiscussions-mentions'] || {};
+}
+
+beforeEach(() => {
+  mw.storage.values = {};
+  jest.spyOn(userRegistry, 'get').mockImplementation((name) => getUser(name.replace(/_/g, ' ')));
+  jest.spyOn(userRegistry, 'getCurrent').mockImplementation(() => getUser('Me'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('search()', () => {
+  test('ignores case and diacritics', () => {
+    expect(mentionSuggestions.search('jose', ['Alice', 'José', 'JOSEPH'])).toEqual([
+      'José',
+      'JOSEPH',
+    ]);
+    expect(mentionSuggestions.search('Zoë', ['Zoe Smith'])).toEqual(['Zoe Smith']);
+  });
+
+  test('transliterates Cyrillic', () => {
+    expect(mentionSuggestions.search('ivan', ['Иван', 'Пётр', 'Ivanov'])).toEqual([
+      'Иван',
+      'Ivanov',
+    ]);
+    expect(mentionSuggestions.search('щук', ['Shchukin'])).toEqual(['Shchukin']);
+  });
+
+  test('matches subsequences', () => {
+    expect(mentionSuggestions.search('jsmt', ['John Smith', 'Jane Doe'])).toEqual(['John Smith']);
+    expect(mentionSuggestions.search('tmsj', ['John Smith'])).toEqual([]);
+  });
+
+  test('sorts by the match quality, keeping the order within the same quality', () => {
+    expect(
+      mentionSuggestions.search('an', [
+        'Joan',
+        'Alex Nord',
+        'Mary Ann',
+        'Bob Anders',
+        'Anna',
+        'Andrew',
+      ])
+    ).toEqual(['Anna', 'Andrew', 'Mary Ann', 'Bob Anders', 'Joan', 'Alex Nord']);
+  });
+
+  test('treats underscores as spaces and ignores surrounding spaces', () => {
+    expect(mentionSuggestions.search(' john s ', ['John_Smith'])).toEqual(['John_Smith']);
+  });
+});
+
+describe('rankUserNames()', () => {
+  test('ranks the thread, then the section, then the page participants', () => {
+    const comments = createComments([
+      ['Page', '2024-01-01T10:00Z'],
+      ['Section', '2024-01-02T10:00Z'],
+      ['Thread', '2024-01-02T11:00Z', 1],
+      ['Section2', '2024-01-02T12:00Z'],
+    ]);
+    jest.spyOn(CommentStatic, 'getAll').mockReturnValue(comments);
+    expect(mentionSuggestions.rankUserNames({
+      targetComment: comments[2],
+      comments: comments.slice(1),
+    })).toEqual(['Thread', 'Section', 'Section2', 'Page']);
+  });
+
+  test('within a group, puts the recently pinged users first, then sorts by the latest comment',
+    () => {
+      const comments = createComments([
+        ['Old', '2024-01-01T10:00Z'],
+        ['New', '2024-01-03T10:00Z'],
+        ['Pinged', '2024-01-02T10:00Z'],
+        ['Old', '2024-01-01T12:00Z'],
+      ]);
+      jest.spyOn(CommentStatic, 'getAll').mockReturnValue(comments);
+      mentionSuggestions.rememberMentions('[[User:Pinged|Pinged]]');
+      expect(mentionSuggestions.rankUserNames({ comments })).toEqual(['Pinged', 'New', 'Old']);
+    }
+  );
+
+  test('puts unregistered users last and excludes the current user', () => {
+    const comments = createComments([
+      ['1.2.3.4', '2024-01-03T10:00Z'],
+      ['Me', '2024-01-03T11:00Z'],
+      ['Alice', '2024-01-01T10:00Z'],
+    ]);
+    jest.spyOn(CommentStatic, 'getAll').mockReturnValue(comments);
+    expect(mentionSuggestions.rankUserNames({ comments, pageOwner: getUser('Owner') })).toEqual([
+      'Alice',
+      'Owner',
+      '1.2.3.4',
+    ]);
+  });
+});
+
+describe('rememberMentions()', () => {
+  test('remembers users linked to', () => {
+    mentionSuggestions.rememberMentions(
+      '[[User:Alice|Alice]], [[U:Bob_Smith]], [[Talk:Page]]: text. [[User:Me|Me]] ~~~~'
+    );
+    expect(Object.keys(getMentions())).toEqual(['Alice', 'Bob Smith']);
+  });
+
+  test('remembers users pinged with the ping templates, ignoring named parameters', () => {
+    mentionSuggestions.rememberMentions('{{Ping|Alice| Bob |p=.}} {{reply to|Carol}} {{tq|Dan}}');
+    expect(Object.keys(getMentions())).toEqual(['Alice', 'Bob', 'Carol']);
+  });
+
+  test('forgets old mentions', () => {
+    mw.storage.values['convenientDiscussions-mentions'] = {
+      Old: Date.now() - 61 * cd.g.msInDay,
+      Recent: Date.now() - 59 * cd.g.msInDay,
+    };
+    mentionSuggestions.rememberMentions('{{ping|Alice}}');
+    expect(Object.keys(getMentions())).toEqual(['Recent', 'Alice']);
+  });
+});
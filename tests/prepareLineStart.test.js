@@ -0,0 +1,70 @@
+require('./helpers/mw');
+
+const CommentSource = require('../src/js/CommentSource').default;
+const cd = require('../src/js/cd').default;
+const { prepareLineStart } = require('../src/js/wikitext');
+
+cd.config = { spaceAfterIndentationChars: true };
+
+describe('prepareLineStart', () => {
+  test('no indentation', () => {
+    expect(prepareLineStart('', 'Text')).toEqual('Text');
+  });
+
+  test('indentation with a space', () => {
+    expect(prepareLineStart('::', 'Text')).toEqual(':: Text');
+  });
+
+  test('indentation without a space', () => {
+    cd.config = { spaceAfterIndentationChars: false };
+    try {
+      expect(prepareLineStart('::', 'Text')).toEqual('::Text');
+    } finally {
+      cd.config = { spaceAfterIndentationChars: true };
+    }
+  });
+
+  test('line starting with list markup', () => {
+    expect(prepareLineStart(':', '* Item')).toEqual(':* Item');
+    expect(prepareLineStart('*', ':Text')).toEqual('*:Text');
+  });
+
+  test('multi-line code', () => {
+    expect(prepareLineStart(':', 'Line 1\n:: Line 2\n:: Line 3')).toEqual(
+      ': Line 1\n:: Line 2\n:: Line 3'
+    );
+  });
+});
+
+describe('CommentSource#replaceCode', () => {
+  function createSource(contextCode, lineStart, code, signature, props = {}) {
+    const lineStartIndex = contextCode.indexOf(lineStart + code + signature);
+    return Object.assign(Object.create(CommentSource.prototype), {
+      lineStartIndex,
+      signatureEndIndex: lineStartIndex + (lineStart + code + signature).length,
+      signatureDirtyCode: signature,
+      isInSectionContext: true,
+    }, props);
+  }
+
+  test('indented multi-line comment', () => {
+    const contextCode = 'Start. [[User:A|A]] 10:00\n:: Line 1\n:: Line 2 [[User:B|B]] 11:00\n:Reply';
+    const source = createSource(contextCode, ':: ', 'Line 1\n:: Line 2', ' [[User:B|B]] 11:00', {
+      indentation: '::',
+    });
+    expect(source.replaceCode('Line 1\n:: Line 2 {{reaction}}', contextCode).contextCode).toEqual(
+      'Start. [[User:A|A]] 10:00\n:: Line 1\n:: Line 2 {{reaction}} [[User:B|B]] 11:00\n:Reply'
+    );
+  });
+
+  test('opening comment with a heading', () => {
+    const contextCode = '== Heading ==\nText [[User:A|A]] 10:00\n';
+    const source = createSource(contextCode, '== Heading ==\n', 'Text', ' [[User:A|A]] 10:00', {
+      indentation: '',
+      headingCode: '== Heading ==\n',
+    });
+    expect(source.replaceCode('New text', contextCode).contextCode).toEqual(
+      '== Heading ==\nNew text [[User:A|A]] 10:00\n'
+    );
+  });
+});
@@ -209,6 +209,7 @@ describe('Tricky markup', () => {
   testWithData('Add section, last line starts with a heading', 'Text.\n=== Heading ===', /Text\.(<br>)?\n=== Heading ===\n~~~~\n/, addSectionForm);
   testWithData('Add section, horizontal line', 'Text.\n----\nEnd.', /Text\.(<br>)?\n----\nEnd. ~~~~\n/, addSectionForm);
   testWithData('Extra tildes are removed', 'Text. ~~~~', ': Text. ~~~~\n', firstCommentReplyForm);
+  testWithData('Five tildes (date) are kept', 'Text. ~~~~~', ': Text. ~~~~~ ~~~~\n', firstCommentReplyForm);
   testWithData('Table in a vote', 'Table:\n{|\n| Text.\n|}\nEnd.', new Error('parse/numberedList-table'), voteForm);
   testWithData('List in a vote', 'List:\n* Item 1.\n** Subitem 1.\n* Item 2.\nEnd.', '# List:<ul><li>Item 1.<ul><li>Subitem 1.</li></ul></li><li>Item 2.</li></ul>End. ~~~~\n', voteForm);
 });
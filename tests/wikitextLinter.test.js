@@ -0,0 +1,158 @@
+require('./helpers/mw');
+
+const cd = require('../src/js/cd').default;
+const wikitextLinter = require('../src/js/wikitextLinter').default;
+
+cd.s = (name, ...params) => [name, ...params].join(' ');
+
+function applyFix(code, { start, end, text }) {
+  return code.slice(0, start) + text + code.slice(end);
+}
+
+function testLint(label, code, expectedProblems) {
+  test(label, () => {
+    const problems = wikitextLinter.lint(code);
+    expect(problems.map(({ type, start, end, fixes }) => ({
+      type,
+      start,
+      end,
+      fixes: fixes.map((fix) => applyFix(code, fix)),
+    }))).toEqual(expectedProblems);
+  });
+}
+
+describe('no problems', () => {
+  testLint(
+    'balanced markup',
+    'Text <b>bold</b>, {{tpl|<small>x</small>}}, <br>, <div/>.\n{|\n|a\n|}',
+    []
+  );
+  testLint(
+    'markup in <nowiki> and comments is ignored',
+    '<nowiki><b> }} |}</nowiki> <!-- <span> {{ -->',
+    []
+  );
+  testLint(
+    'table syntax in templates is ignored',
+    '{{tpl|\n{|\n|a\n}}',
+    []
+  );
+});
+
+describe('tags', () => {
+  testLint(
+    'unclosed tag is closed at the end of the paragraph',
+    'A <small>text \n\nNext',
+    [
+      {
+        type: 'unclosedTag',
+        start: 2,
+        end: 9,
+        fixes: [
+          'A <small>text</small> \n\nNext',
+          'A text \n\nNext',
+        ],
+      },
+    ]
+  );
+  testLint(
+    'closing tag is matched with the last opening tag',
+    '<b>a<b>b</b>',
+    [
+      {
+        type: 'unclosedTag',
+        start: 0,
+        end: 3,
+        fixes: [
+          '<b>a<b>b</b></b>',
+          'a<b>b</b>',
+        ],
+      },
+    ]
+  );
+  testLint(
+    'unopened tag',
+    'text</SPAN> more',
+    [
+      {
+        type: 'unopenedTag',
+        start: 4,
+        end: 11,
+        fixes: ['text more'],
+      },
+    ]
+  );
+});
+
+describe('templates', () => {
+  testLint(
+    'unclosed template is closed at the end of the line',
+    'Hi {{ping|A  \nmore',
+    [
+      {
+        type: 'unclosedTemplate',
+        start: 3,
+        end: 5,
+        fixes: [
+          'Hi {{ping|A}}  \nmore',
+          'Hi <nowiki>{{</nowiki>ping|A  \nmore',
+        ],
+      },
+    ]
+  );
+  testLint(
+    'unopened template',
+    'a }} b',
+    [
+      {
+        type: 'unopenedTemplate',
+        start: 2,
+        end: 4,
+        fixes: [
+          'a  b',
+          'a <nowiki>}}</nowiki> b',
+        ],
+      },
+    ]
+  );
+});
+
+describe('tables', () => {
+  testLint(
+    'unclosed table is closed at the end of the code with the same indentation',
+    ':{|\n:|a\n\n',
+    [
+      {
+        type: 'unclosedTable',
+        start: 1,
+        end: 3,
+        fixes: [':{|\n:|a\n:|}\n\n'],
+      },
+    ]
+  );
+  testLint(
+    'stray table end',
+    'text\n|}',
+    [
+      {
+        type: 'strayTableEnd',
+        start: 5,
+        end: 7,
+        fixes: [
+          'text\n&#124;}',
+          'text\n',
+        ],
+      },
+    ]
+  );
+});
+
+test('problems are sorted by position', () => {
+  const problems = wikitextLinter.lint('|}\n{{a\n<i>');
+  expect(problems.map((problem) => problem.type)).toEqual([
+    'strayTableEnd',
+    'unclosedTemplate',
+    'unclosedTag',
+  ]);
+  expect(problems[2].message).toBe('cf-lint-unclosedtag <i>');
+});